@@ -0,0 +1,50 @@
+import { backfillRecords } from "@/pages/api/summarizeRecords";
+import { parseOptionalInt } from "@/utils/queryParams";
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+// Each page can cost 250 report fetches; this keeps one run under congress.gov's 5,000 requests an hour
+const MAX_PAGES_PER_RUN = 16;
+
+const parseOptionalDate = ( value, label ) => {
+    if ( value === undefined || value === "" ) return null;
+    if ( typeof value !== "string" || !DATE_REGEX.test( value ) ) {
+        throw new Error( `Invalid ${ label }` );
+    }
+    return value;
+};
+
+export default async function handler( req, res ) {
+    if ( req.method !== "GET" ) {
+        return res.status( 405 ).end( "Method Not Allowed" );
+    }
+
+    // Same secret as the daily cron; backfills hit congress.gov hard and must not be public
+    if ( req.headers.authorization !== `Bearer ${ process.env.CRON_SECRET }` ) {
+        return res.status( 401 ).end( "Unauthorized" );
+    }
+
+    let options;
+    try {
+        const maxPages = parseOptionalInt( req.query.maxPages, "maxPages" );
+        options = {
+            congress: parseOptionalInt( req.query.congress, "congress" ),
+            startDate: parseOptionalDate( req.query.startDate, "startDate" ),
+            endDate: parseOptionalDate( req.query.endDate, "endDate" ),
+            reset: req.query.reset === "true"
+        };
+        if ( maxPages ) {
+            options.maxPages = Math.min( maxPages, MAX_PAGES_PER_RUN );
+        }
+    } catch ( error ) {
+        return res.status( 400 ).json( { success: false, error: error.message } );
+    }
+
+    try {
+        console.log( "📚 Running Congressional Record backfill:", options );
+        const result = await backfillRecords( options );
+        return res.status( 200 ).json( { success: true, ...result } );
+    } catch ( error ) {
+        console.error( "❌ Error in backfill:", error );
+        return res.status( 500 ).json( { success: false, error: error.message } );
+    }
+}
@@ -0,0 +1,46 @@
+import { connectToDatabase } from "../getRecords";
+import { parseBillNumber } from "@/utils/billCitations";
+import { findBillMentions } from "@/utils/billMentions";
+import { parseOptionalInt } from "@/utils/queryParams";
+
+const MAX_ISSUES = 250;
+
+// GET /api/bills/hr1234?congress=118 (also accepts "H.R. 1234" or "118 H.R. 1234", URL-encoded): every
+// issue where the bill was cited in that Congress, by default the most recent one that cited it
+export default async function handler( req, res ) {
+    if ( req.method !== "GET" ) {
+        return res.status( 405 ).json( { success: false, message: "Method not allowed" } );
+    }
+
+    const bill = parseBillNumber( req.query.bill );
+    if ( !bill ) {
+        return res.status( 400 ).json( { success: false, message: "Invalid bill number" } );
+    }
+
+    let options;
+    try {
+        options = {
+            congress: parseOptionalInt( req.query.congress, "congress", bill.congress ),
+            limit: Math.min( parseOptionalInt( req.query.limit, "limit", 100 ), MAX_ISSUES )
+        };
+    } catch ( error ) {
+        return res.status( 400 ).json( { success: false, message: error.message } );
+    }
+
+    try {
+        const { db } = await connectToDatabase();
+        const { congress, congresses, issues } = await findBillMentions( db, { billKey: bill.key, ...options } );
+
+        return res.status( 200 ).json( {
+            success: true,
+            bill: { key: bill.key, type: bill.type, number: bill.number, label: bill.label },
+            congress,
+            congresses,
+            count: issues.length,
+            data: issues
+        } );
+    } catch ( error ) {
+        console.error( "❌ Error fetching bill mentions:", error.message );
+        return res.status( 500 ).json( { success: false, message: "Failed to fetch bill mentions" } );
+    }
+}
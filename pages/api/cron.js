@@ -1,4 +1,6 @@
-import fetchAndStoreRecords from "@/pages/api/summarizeRecords";
+import fetchAndStoreRecords, { connectToDatabase } from "@/pages/api/summarizeRecords";
+import { autoSummarizeNewIssues, reprocessUpdatedIssues, saveRunReport } from "@/utils/autoSummarize";
+import { parseNewDigests } from "@/utils/digests";
 
 export default async function handler( req, res ) {
     if ( req.method !== "GET" ) {
@@ -10,12 +12,34 @@ export default async function handler( req, res ) {
         return res.status( 401 ).end( "Unauthorized" );
     }
 
+    const report = { startedAt: new Date() };
+
     try {
         console.log( "🚀 Running Vercel Cron Job: Fetching congressional reports..." );
-        await fetchAndStoreRecords();
-        return res.status( 200 ).json( { success: true, message: "Reports fetched successfully" } );
+        const { fetchedCount, upsertedCount, updatedCount, insertedRecords, updatedRecords } = await fetchAndStoreRecords();
+        Object.assign( report, { fetched: fetchedCount, inserted: upsertedCount, updated: updatedCount } );
+
+        const db = await connectToDatabase();
+        // The Digest parses without the model, so every new issue gets one regardless of the summary caps
+        report.digestsParsed = await parseNewDigests( db, insertedRecords );
+        // Updated issues are re-read from congress.gov; only sections whose text changed are redone
+        report.reprocessed = await reprocessUpdatedIssues( db, updatedRecords );
+
+        console.log( `🧠 Auto-summarizing ${ insertedRecords.length } new issue(s)...` );
+        Object.assign( report, await autoSummarizeNewIssues( db, insertedRecords ) );
+
+        report.finishedAt = new Date();
+        await saveRunReport( db, report );
+        return res.status( 200 ).json( { success: true, message: "Reports fetched successfully", report } );
     } catch ( error ) {
         console.error( "❌ Error in cron job:", error );
+        report.error = error.message;
+        report.finishedAt = new Date();
+        try {
+            await saveRunReport( await connectToDatabase(), report );
+        } catch ( reportError ) {
+            console.error( "❌ Failed to save cron run report:", reportError.message );
+        }
         return res.status( 500 ).json( { success: false, error: error.message } );
     }
 }
@@ -0,0 +1,36 @@
+import { connectToDatabase } from "./getRecords";
+import { getDigest } from "@/utils/digests";
+import { parseOptionalInt } from "@/utils/queryParams";
+
+// GET /api/digest for the latest issue's Daily Digest, or /api/digest?volumeNumber=170&issueNumber=95
+export default async function handler( req, res ) {
+    if ( req.method !== "GET" ) {
+        return res.status( 405 ).json( { success: false, message: "Method not allowed" } );
+    }
+
+    let options;
+    try {
+        options = {
+            volumeNumber: parseOptionalInt( req.query.volumeNumber, "volume number" ),
+            issueNumber: parseOptionalInt( req.query.issueNumber, "issue number" )
+        };
+        if ( Boolean( options.volumeNumber ) !== Boolean( options.issueNumber ) ) {
+            throw new Error( "Provide both a volume and issue number, or neither" );
+        }
+    } catch ( error ) {
+        return res.status( 400 ).json( { success: false, message: error.message } );
+    }
+
+    try {
+        const { db } = await connectToDatabase();
+        const result = await getDigest( db, options );
+        if ( !result ) {
+            return res.status( 404 ).json( { success: false, message: "Issue not found" } );
+        }
+
+        return res.status( 200 ).json( { success: true, data: result } );
+    } catch ( error ) {
+        console.error( "❌ Error fetching Daily Digest:", error.message );
+        return res.status( 500 ).json( { success: false, message: "Failed to fetch Daily Digest" } );
+    }
+}
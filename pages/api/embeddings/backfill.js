@@ -0,0 +1,38 @@
+import { connectToDatabase } from "../getRecords";
+import { embeddingsEnabled } from "@/utils/embeddings";
+import { backfillSummaryVectors } from "@/utils/vectorIndex";
+import { parseOptionalInt } from "@/utils/queryParams";
+
+const MAX_EMBEDDINGS_PER_RUN = 500;
+
+// GET /api/embeddings/backfill?maxEmbeddings=200 indexes summaries and chunks written before the vector
+// index existed; call it again until `remaining` is 0
+export default async function handler( req, res ) {
+    if ( req.method !== "GET" ) {
+        return res.status( 405 ).end( "Method Not Allowed" );
+    }
+
+    if ( req.headers.authorization !== `Bearer ${ process.env.CRON_SECRET }` ) {
+        return res.status( 401 ).end( "Unauthorized" );
+    }
+
+    let maxEmbeddings;
+    try {
+        maxEmbeddings = Math.min( parseOptionalInt( req.query.maxEmbeddings, "maxEmbeddings" ) ?? 200, MAX_EMBEDDINGS_PER_RUN );
+    } catch ( error ) {
+        return res.status( 400 ).json( { success: false, error: error.message } );
+    }
+    if ( !embeddingsEnabled() ) {
+        return res.status( 503 ).json( { success: false, error: "No embedding model is configured" } );
+    }
+
+    try {
+        const { db } = await connectToDatabase();
+        const result = await backfillSummaryVectors( db, { maxEmbeddings } );
+        console.log( `🧭 Indexed ${ result.indexed } summary vectors (${ result.embedded } new embeddings, ${ result.remaining } remaining, ${ result.outdated } from another model)` );
+        return res.status( 200 ).json( { success: true, ...result } );
+    } catch ( error ) {
+        console.error( "❌ Error backfilling summary vectors:", error );
+        return res.status( 500 ).json( { success: false, error: error.message } );
+    }
+}
@@ -0,0 +1,40 @@
+import { connectToDatabase } from "../getRecords";
+import { embeddingsEnabled } from "@/utils/embeddings";
+import { reembedCorpus } from "@/utils/reembedding";
+import { getEmbeddingCoverage } from "@/utils/vectorIndex";
+import { parseOptionalInt } from "@/utils/queryParams";
+
+const MAX_EMBEDDINGS_PER_RUN = 500;
+
+// GET /api/embeddings/reembed?maxEmbeddings=200 moves stored embeddings to the configured embedding
+// model after it changes; call it again until `done` is true. `reset=true` restarts the migration.
+export default async function handler( req, res ) {
+    if ( req.method !== "GET" ) {
+        return res.status( 405 ).end( "Method Not Allowed" );
+    }
+
+    if ( req.headers.authorization !== `Bearer ${ process.env.CRON_SECRET }` ) {
+        return res.status( 401 ).end( "Unauthorized" );
+    }
+
+    let maxEmbeddings;
+    try {
+        maxEmbeddings = Math.min( parseOptionalInt( req.query.maxEmbeddings, "maxEmbeddings" ) ?? 200, MAX_EMBEDDINGS_PER_RUN );
+    } catch ( error ) {
+        return res.status( 400 ).json( { success: false, error: error.message } );
+    }
+    if ( !embeddingsEnabled() ) {
+        return res.status( 503 ).json( { success: false, error: "No embedding model is configured" } );
+    }
+
+    try {
+        const { db } = await connectToDatabase();
+        const result = await reembedCorpus( db, { maxEmbeddings, reset: req.query.reset === "true" } );
+        const coverage = await getEmbeddingCoverage( db );
+        console.log( `🧭 Re-embedded ${ result.embedded } items with ${ result.model } (${ result.phase }${ result.done ? ", done" : "" }); ${ coverage.incompatible } vectors from other models remain` );
+        return res.status( 200 ).json( { success: true, ...result, coverage } );
+    } catch ( error ) {
+        console.error( "❌ Error re-embedding summaries:", error );
+        return res.status( 500 ).json( { success: false, error: error.message } );
+    }
+}
@@ -0,0 +1,43 @@
+import { connectToDatabase } from "./getRecords";
+import { buildSearchFilters, findHybridMatches, issueKey } from "@/utils/issueSearch";
+import { issueVariantsFilter } from "@/utils/recordSections";
+import { getSearchFacets } from "@/utils/searchFacets";
+import { getSearchText, parseSearchQuery } from "@/utils/searchQuery";
+
+// POST the same { query, filters } body as /api/searchRecords for counts over its matches
+export default async function handler( req, res ) {
+    if ( req.method !== "POST" ) {
+        return res.status( 405 ).json( { success: false, message: "Method not allowed" } );
+    }
+
+    const { query = "", filters = {} } = req.body || {};
+    let parsedQuery;
+    try {
+        parsedQuery = parseSearchQuery( query );
+    } catch ( error ) {
+        return res.status( 400 ).json( { success: false, message: error.message } );
+    }
+
+    try {
+        const { db } = await connectToDatabase();
+        const { mongoFilters, sections } = await buildSearchFilters( db, filters, parsedQuery );
+
+        let filter = mongoFilters;
+        let capped = false;
+        if ( getSearchText( parsedQuery ) ) {
+            // A query's matches are the issues its rankers returned, so count exactly those
+            const hybrid = await findHybridMatches( db, parsedQuery, filters, mongoFilters, sections );
+            const matches = hybrid.matches;
+            capped = hybrid.capped;
+            const issues = Array.from( new Map( matches.map( ( record ) => [ issueKey( record ), record ] ) ).values() );
+            filter = issues.length > 0
+                ? { $or: issues.map( issueVariantsFilter ) }
+                : { _id: null };
+        }
+
+        return res.status( 200 ).json( { success: true, data: await getSearchFacets( db, filter ), capped } );
+    } catch ( error ) {
+        console.error( "❌ Error computing search facets:", error.message );
+        return res.status( 500 ).json( { success: false, message: "Failed to compute facets" } );
+    }
+}
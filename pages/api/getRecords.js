@@ -1,4 +1,5 @@
 import { MongoClient } from 'mongodb';
+import { stripApiKey } from '../../utils/pdfUrls';
 
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
 const DATABASE_NAME = 'congressionalSummaries';
@@ -33,9 +34,10 @@ export default async function handler( req, res ) {
 
         console.log( "✅ Fetched and sorted records:", records );
 
+        // PDFs are served through /api/pdf, so the congress.gov key stays on the server
         const updatedRecords = records.map( record => ( {
             ...record,
-            url: `${ record.url }&api_key=${ process.env.CONGRESS_API_KEY }`
+            url: stripApiKey( record.url )
         } ) );
 
         res.status( 200 ).json( { success: true, data: updatedRecords } );
@@ -0,0 +1,36 @@
+import { connectToDatabase } from "../getRecords";
+import { importRoster, parseRoster } from "@/utils/memberRoster";
+import { parseOptionalInt } from "@/utils/queryParams";
+
+// legislators-current.json is a few MB; the historical file is larger, so import it one Congress at a time
+export const config = {
+    api: { bodyParser: { sizeLimit: "25mb" } }
+};
+
+// POST the bioguide-style roster JSON (e.g. legislators-current.json) as the body; ?congress=118 limits the import
+export default async function handler( req, res ) {
+    if ( req.method !== "POST" ) {
+        return res.status( 405 ).end( "Method Not Allowed" );
+    }
+
+    if ( req.headers.authorization !== `Bearer ${ process.env.CRON_SECRET }` ) {
+        return res.status( 401 ).end( "Unauthorized" );
+    }
+
+    let entries;
+    try {
+        entries = parseRoster( req.body, { congress: parseOptionalInt( req.query.congress, "congress" ) } );
+    } catch ( error ) {
+        return res.status( 400 ).json( { success: false, error: error.message } );
+    }
+
+    try {
+        const { db } = await connectToDatabase();
+        const result = await importRoster( db, entries );
+        console.log( `👥 Imported ${ result.entries } roster entries for Congress ${ result.congresses.join( ", " ) || "none" }` );
+        return res.status( 200 ).json( { success: true, ...result } );
+    } catch ( error ) {
+        console.error( "❌ Error importing member roster:", error.message );
+        return res.status( 500 ).json( { success: false, error: error.message } );
+    }
+}
@@ -0,0 +1,24 @@
+import { connectToDatabase } from "../getRecords";
+import { stripStoredApiKeys } from "@/utils/pdfUrls";
+
+// GET /api/migrations/stripApiKeys removes the congress.gov API key from URLs stored before PDFs
+// went through /api/pdf; safe to call again
+export default async function handler( req, res ) {
+    if ( req.method !== "GET" ) {
+        return res.status( 405 ).end( "Method Not Allowed" );
+    }
+
+    if ( req.headers.authorization !== `Bearer ${ process.env.CRON_SECRET }` ) {
+        return res.status( 401 ).end( "Unauthorized" );
+    }
+
+    try {
+        const { db } = await connectToDatabase();
+        const updated = await stripStoredApiKeys( db );
+        console.log( "🔑 Stripped API keys from stored URLs:", updated );
+        return res.status( 200 ).json( { success: true, updated } );
+    } catch ( error ) {
+        console.error( "❌ Error stripping stored API keys:", error );
+        return res.status( 500 ).json( { success: false, error: error.message } );
+    }
+}
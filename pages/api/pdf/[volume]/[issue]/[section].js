@@ -0,0 +1,94 @@
+import axios from "axios";
+import { connectToDatabase } from "../../../getRecords";
+import { validatePdfUrl, withCongressApiKey } from "@/utils/pdfUrls";
+import { DEFAULT_SECTION, extractSections, isSectionKey, issueVariantsFilter } from "@/utils/recordSections";
+
+const COLLECTION_NAME = "summaries";
+// congress.gov revises an issue's PDFs now and then, so shared caches hold them for a day
+const CACHE_CONTROL = "public, max-age=3600, s-maxage=86400, stale-while-revalidate=86400";
+const FORWARDED_REQUEST_HEADERS = [ "range", "if-none-match", "if-modified-since" ];
+const FORWARDED_RESPONSE_HEADERS = [ "content-length", "content-range", "accept-ranges", "etag", "last-modified" ];
+
+// PDFs run to tens of megabytes; stream them rather than buffer against Next's response limit
+export const config = {
+    api: { responseLimit: false }
+};
+
+const parsePositiveInt = ( value ) => {
+    if ( typeof value !== "string" || !/^\d+$/.test( value ) ) return null;
+    const numberValue = Number.parseInt( value, 10 );
+    return Number.isSafeInteger( numberValue ) && numberValue > 0 ? numberValue : null;
+};
+
+// Documents the summarize pipeline created carry no contents, so check every copy of the issue
+const findSectionUrl = ( records, section ) => {
+    for ( const record of records ) {
+        const sectionUrl = extractSections( record.contents ).find( ( item ) => item.key === section )?.url;
+        if ( sectionUrl ) return sectionUrl;
+    }
+    return section === DEFAULT_SECTION ? records.find( ( record ) => record.pdfUrl )?.pdfUrl ?? null : null;
+};
+
+// GET /api/pdf/170/95/senateSection streams that section's PDF from congress.gov, adding the API key server-side
+export default async function handler( req, res ) {
+    if ( req.method !== "GET" ) {
+        return res.status( 405 ).json( { success: false, message: "Method not allowed" } );
+    }
+
+    const volumeNumber = parsePositiveInt( req.query.volume );
+    const issueNumber = parsePositiveInt( req.query.issue );
+    const { section } = req.query;
+    if ( !volumeNumber || !issueNumber || !isSectionKey( section ) ) {
+        return res.status( 400 ).json( { success: false, message: "Invalid volume, issue or section" } );
+    }
+
+    let pdfUrl;
+    try {
+        const { db } = await connectToDatabase();
+        const records = await db
+            .collection( COLLECTION_NAME )
+            .find( issueVariantsFilter( { volumeNumber, issueNumber } ), { projection: { contents: 1, pdfUrl: 1 } } )
+            .toArray();
+        const sectionUrl = findSectionUrl( records, section );
+        if ( !sectionUrl ) {
+            return res.status( 404 ).json( { success: false, message: "No PDF for this issue section" } );
+        }
+        pdfUrl = validatePdfUrl( sectionUrl );
+    } catch ( error ) {
+        console.error( "❌ Error looking up PDF:", error.message );
+        return res.status( 500 ).json( { success: false, message: "Failed to look up PDF" } );
+    }
+
+    let upstream;
+    try {
+        upstream = await axios.get( withCongressApiKey( pdfUrl ), {
+            responseType: "stream",
+            maxRedirects: 0,
+            headers: Object.fromEntries( FORWARDED_REQUEST_HEADERS.filter( ( name ) => req.headers[ name ] ).map( ( name ) => [ name, req.headers[ name ] ] ) ),
+            validateStatus: ( status ) => status === 200 || status === 206 || status === 304
+        } );
+    } catch ( error ) {
+        const status = error.response?.status === 404 ? 404 : 502;
+        console.error( `❌ Error fetching PDF for volume ${ volumeNumber }, issue ${ issueNumber }, ${ section }:`, error.message );
+        return res.status( status ).json( { success: false, message: status === 404 ? "PDF not found upstream" : "Failed to fetch PDF" } );
+    }
+
+    res.status( upstream.status );
+    res.setHeader( "Cache-Control", CACHE_CONTROL );
+    for ( const name of FORWARDED_RESPONSE_HEADERS ) {
+        if ( upstream.headers[ name ] ) res.setHeader( name, upstream.headers[ name ] );
+    }
+    if ( upstream.status === 304 ) {
+        upstream.data.destroy();
+        return res.end();
+    }
+
+    res.setHeader( "Content-Type", "application/pdf" );
+    res.setHeader( "Content-Disposition", `inline; filename="CREC-${ volumeNumber }-${ issueNumber }-${ section }.pdf"` );
+    upstream.data.on( "error", ( error ) => {
+        console.error( "❌ Error streaming PDF:", error.message );
+        res.destroy( error );
+    } );
+    res.on( "close", () => upstream.data.destroy() );
+    upstream.data.pipe( res );
+}
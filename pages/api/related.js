@@ -0,0 +1,45 @@
+import { connectToDatabase } from "./getRecords";
+import { findRelatedIssues, RELATED_CHAMBERS } from "@/utils/relatedIssues";
+import { parseOptionalInt } from "@/utils/queryParams";
+
+const MAX_RELATED = 25;
+const MAX_WINDOW_DAYS = 3650;
+
+// GET /api/related?volumeNumber=170&issueNumber=95&windowDays=30&chamber=Senate: the issues nearest this one by summary embedding
+export default async function handler( req, res ) {
+    if ( req.method !== "GET" ) {
+        return res.status( 405 ).json( { success: false, message: "Method not allowed" } );
+    }
+
+    let options;
+    try {
+        options = {
+            volumeNumber: parseOptionalInt( req.query.volumeNumber, "volume number" ),
+            issueNumber: parseOptionalInt( req.query.issueNumber, "issue number" ),
+            windowDays: Math.min( parseOptionalInt( req.query.windowDays, "window" ) ?? 0, MAX_WINDOW_DAYS ) || null,
+            chamber: req.query.chamber || null,
+            limit: Math.min( parseOptionalInt( req.query.limit, "limit", 8 ), MAX_RELATED )
+        };
+        if ( !options.volumeNumber || !options.issueNumber ) {
+            throw new Error( "A volume and issue number are required" );
+        }
+        if ( options.chamber && !RELATED_CHAMBERS.includes( options.chamber ) ) {
+            throw new Error( "Invalid chamber" );
+        }
+    } catch ( error ) {
+        return res.status( 400 ).json( { success: false, message: error.message } );
+    }
+
+    try {
+        const { db } = await connectToDatabase();
+        const related = await findRelatedIssues( db, options );
+        if ( !related ) {
+            return res.status( 404 ).json( { success: false, message: "Issue not found" } );
+        }
+
+        return res.status( 200 ).json( { success: true, count: related.length, data: related } );
+    } catch ( error ) {
+        console.error( "❌ Error fetching related issues:", error.message );
+        return res.status( 500 ).json( { success: false, message: "Failed to fetch related issues" } );
+    }
+}
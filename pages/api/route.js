@@ -2,11 +2,9 @@
 import { NextResponse } from "next/server";
 import pdf from "pdf-parse";
 import axios from "axios";
-import OpenAI from "openai";
 import { MongoClient } from "mongodb";
-import { createSummaryResponse } from "../../utils/openaiResponses";
-
-const openai = new OpenAI( { apiKey: process.env.OPENAI_API_KEY } );
+import { createEmbedding, embeddingFields } from "../../utils/embeddings";
+import { getLlmProvider } from "../../utils/llmProviders";
 
 const MONGODB_URI = process.env.MONGODB_URI || "mongodb://localhost:27017";
 const DATABASE_NAME = "congressionalSummaries";
@@ -68,17 +66,6 @@ function splitIntoChunks( text, maxWords = 20000 ) {
     return chunks;
 }
 
-async function createEmbedding( text ) {
-    if ( !process.env.OPENAI_API_KEY ) return null;
-    const trimmed = text.length > 7000 ? text.slice( 0, 7000 ) : text;
-    const response = await openai.embeddings.create( {
-        model: "text-embedding-3-small",
-        input: trimmed
-    } );
-
-    return response.data?.[ 0 ]?.embedding || null;
-}
-
 export async function POST( req ) {
     try {
         const { pdfUrl, issueNumber } = await req.json();
@@ -113,7 +100,7 @@ export async function POST( req ) {
                     if ( cachedChunk?.summary ) {
                         content = cachedChunk.summary;
                     } else {
-                        const response = await createSummaryResponse( openai, {
+                        const response = await getLlmProvider().summarize( {
                             instructions: SUMMARY_SYSTEM_PROMPT,
                             input: [
                                 { role: "user", content: chunks[ i ] }
@@ -140,10 +127,12 @@ export async function POST( req ) {
                 const finalSummary = allSummaries.map( ( c ) => c.content ).join( "\n\n" );
 
                 const summaryEmbedding = await createEmbedding( finalSummary );
-                const summaryUpdate = { issueNumber, pdfUrl, summary: finalSummary };
-                if ( summaryEmbedding ) {
-                    summaryUpdate.summaryEmbedding = summaryEmbedding;
-                }
+                const summaryUpdate = {
+                    issueNumber,
+                    pdfUrl,
+                    summary: finalSummary,
+                    ...( summaryEmbedding ? embeddingFields( "summaryEmbedding", summaryEmbedding ) : {} )
+                };
 
                 await summaries.updateOne(
                     { issueNumber },
@@ -1,102 +1,26 @@
-import OpenAI from "openai";
+import { ObjectId } from "mongodb";
 import { connectToDatabase } from "./getRecords";
+import {
+    DEFAULT_SECTION,
+    chunkSectionFilter,
+    extractSections,
+    getSectionSummary,
+    issueVariantsFilter,
+    pickPdfUrl,
+    SECTION_KEYS,
+    sectionSummaryPath
+} from "../../utils/recordSections";
+import { embeddingsEnabled } from "../../utils/embeddings";
+import { buildSearchFilters, cleanFilterValue, findHybridMatches } from "../../utils/issueSearch";
+import { stripApiKey } from "../../utils/pdfUrls";
+import { getSearchText, parseSearchQuery } from "../../utils/searchQuery";
+import { searchSpeeches } from "../../utils/speeches";
+import { getEmbeddingCoverage } from "../../utils/vectorIndex";
 
 const COLLECTION_NAME = "summaries";
-const EMBEDDING_MODEL = "text-embedding-3-small";
-
-// Map of content keys to human readable labels
-const SECTION_KEYS = {
-    entireIssue: "Entire Issue",
-    houseSection: "House",
-    senateSection: "Senate",
-    extensionsSection: "Extensions",
-    dailyDigest: "Daily Digest"
-};
-
-const openai = process.env.OPENAI_API_KEY ? new OpenAI( { apiKey: process.env.OPENAI_API_KEY } ) : null;
-
-const clampText = ( text, maxLength = 7000 ) => {
-    if ( !text ) return "";
-    return text.length > maxLength ? text.slice( 0, maxLength ) : text;
-};
-
-const buildMongoFilters = ( filters = {} ) => {
-    const query = {};
-
-    if ( filters.startDate || filters.endDate ) {
-        query.issueDate = {};
-        if ( filters.startDate ) query.issueDate.$gte = filters.startDate;
-        if ( filters.endDate ) query.issueDate.$lte = filters.endDate;
-    }
-
-    if ( filters.volumeNumber ) {
-        query.volumeNumber = filters.volumeNumber;
-    }
-
-    if ( filters.sessionNumber ) {
-        query.sessionNumber = filters.sessionNumber;
-    }
-
-    if ( filters.hasSummaryOnly ) {
-        query.summary = { $exists: true, $ne: "" };
-    }
-
-    if ( Array.isArray( filters.sections ) && filters.sections.length > 0 ) {
-        // Require that at least one of the requested sections exists on the record
-        query.$or = filters.sections.map( ( sectionKey ) => ( {
-            [ `contents.issue.fullIssue.${ sectionKey }` ]: { $exists: true, $ne: null }
-        } ) );
-    }
-
-    return query;
-};
-
-const cosineSimilarity = ( a, b ) => {
-    if ( !Array.isArray( a ) || !Array.isArray( b ) || a.length !== b.length ) return null;
-    let dot = 0;
-    let normA = 0;
-    let normB = 0;
-
-    for ( let i = 0; i < a.length; i++ ) {
-        dot += a[ i ] * b[ i ];
-        normA += a[ i ] * a[ i ];
-        normB += b[ i ] * b[ i ];
-    }
-
-    if ( normA === 0 || normB === 0 ) return null;
-    return dot / ( Math.sqrt( normA ) * Math.sqrt( normB ) );
-};
-
-const createEmbedding = async ( text ) => {
-    if ( !openai ) return null;
-    const trimmed = clampText( text );
-    const response = await openai.embeddings.create( {
-        model: EMBEDDING_MODEL,
-        input: trimmed
-    } );
-
-    return response.data?.[ 0 ]?.embedding || null;
-};
-
-const extractSections = ( contents = {} ) => {
-    const fullIssue = contents?.issue?.fullIssue ?? {};
-    return Object.entries( SECTION_KEYS ).map( ( [ key, label ] ) => {
-        const value = fullIssue?.[ key ];
-        const urlCandidate = Array.isArray( value ) ? value[ 0 ]?.url : value?.url;
-
-        return {
-            key,
-            label,
-            url: urlCandidate || null,
-            present: Boolean( urlCandidate )
-        };
-    } );
-};
-
-const pickPdfUrl = ( record, sections ) => {
-    const sectionUrl = sections.find( ( section ) => section.present )?.url;
-    return record.pdfUrl || sectionUrl || null;
-};
+const CHUNK_COLLECTION = "chunkSummaries";
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
 
 const getRecordKey = ( record ) => {
     if ( record.issueNumber != null && record.volumeNumber != null ) {
@@ -160,45 +84,264 @@ const dedupeRecords = ( records ) => {
 
 const hasRequiredValue = ( value ) => value !== undefined && value !== null && value !== "";
 
-const ensureRecordEmbedding = async ( record, db ) => {
-    if ( record.summaryEmbedding ) return record.summaryEmbedding;
-    if ( !record.summary ) return null;
-
-    const embedding = await createEmbedding( record.summary );
-    if ( embedding ) {
-        await db.collection( COLLECTION_NAME ).updateOne(
-            { _id: record._id },
-            { $set: { summaryEmbedding: embedding } }
-        );
-    }
-
-    return embedding;
+const chunkKey = ( { volumeNumber, issueNumber, section, chunkIndex } ) =>
+    `${ Number( volumeNumber ) }-${ Number( issueNumber ) }:${ section ?? DEFAULT_SECTION }:${ chunkIndex }`;
+
+// Chunk summaries are Markdown; a passage excerpt is plain text
+const toExcerpt = ( summary ) => summary ? buildPreview( summary.replace( /[#*]/g, "" ).replace( /\s+/g, " " ).trim(), 280 ) : null;
+
+// Fill in the chunk summary text behind each matched passage, for the results actually returned
+const attachPassageExcerpts = async ( db, records ) => {
+    const passages = records.flatMap( ( record ) => ( record.passages ?? [] ).map( ( passage ) => ( { ...passage, volumeNumber: record.volumeNumber, issueNumber: record.issueNumber } ) ) );
+    if ( passages.length === 0 ) return records;
+
+    const chunks = await db
+        .collection( CHUNK_COLLECTION )
+        .find(
+            {
+                $or: passages.map( ( passage ) => ( {
+                    ...issueVariantsFilter( passage ),
+                    chunkIndex: passage.chunkIndex,
+                    ...chunkSectionFilter( passage.section )
+                } ) )
+            },
+            { projection: { volumeNumber: 1, issueNumber: 1, section: 1, chunkIndex: 1, summary: 1 } }
+        )
+        .toArray();
+    const summaries = new Map( chunks.map( ( chunk ) => [ chunkKey( chunk ), chunk.summary ] ) );
+
+    return records.map( ( record ) => record.passages
+        ? {
+            ...record,
+            passages: record.passages.map( ( passage ) => ( {
+                ...passage,
+                excerpt: toExcerpt( summaries.get( chunkKey( { ...passage, volumeNumber: record.volumeNumber, issueNumber: record.issueNumber } ) ) )
+            } ) )
+        }
+        : record );
 };
 
+const buildSectionPayload = ( record ) =>
+    ( record.sections ?? [] )
+        .filter( ( section ) => section.present )
+        .map( ( section ) => {
+            const sectionSummary = getSectionSummary( record, section.key );
+            return {
+                ...section,
+                hasSummary: Boolean( sectionSummary?.summary ),
+                summaryStale: Boolean( sectionSummary?.summary && sectionSummary.summaryStale )
+            };
+        } );
+
 const buildPreview = ( summary, maxLength = 420 ) => {
     if ( !summary ) return null;
     const trimmed = summary.slice( 0, maxLength );
     return summary.length > maxLength ? `${ trimmed }…` : trimmed;
 };
 
+const CHAMBERS = [ "House", "Senate" ];
+
+// Relevance needs a query to rank by; without one it lists newest first
+const SORTS = {
+    relevance: null,
+    newest: { field: "issueDate", direction: -1 },
+    oldest: { field: "issueDate", direction: 1 },
+    recentlySummarized: { field: "summarizedAt", direction: -1, isDate: true }
+};
+
+const parseSort = ( value, hasQuery ) => {
+    if ( value === undefined || value === null || value === "" ) return hasQuery ? "relevance" : "newest";
+    if ( !Object.hasOwn( SORTS, value ) ) throw new Error( "Invalid sort" );
+    return value === "relevance" && !hasQuery ? "newest" : value;
+};
+
+// Cursors are opaque to the client: the sort they belong to, plus either the last row's sort key
+// (browsing walks the collection by key) or an offset into the ranked matches (searching)
+const encodeCursor = ( cursor ) => Buffer.from( JSON.stringify( cursor ) ).toString( "base64url" );
+
+const decodeCursor = ( value, sort, hasQuery ) => {
+    if ( value === undefined || value === null || value === "" ) return null;
+    let cursor;
+    try {
+        cursor = JSON.parse( Buffer.from( String( value ), "base64url" ).toString( "utf8" ) );
+    } catch ( error ) {
+        throw new Error( "Invalid cursor" );
+    }
+    if ( cursor?.sort !== sort ) throw new Error( "Cursor does not match the sort" );
+    const valid = hasQuery
+        ? Number.isSafeInteger( cursor.offset ) && cursor.offset >= 0
+        : typeof cursor.id === "string" && ObjectId.isValid( cursor.id ) && cursor.value !== undefined;
+    if ( !valid ) throw new Error( "Invalid cursor" );
+    return cursor;
+};
+
+const readSortValue = ( cursor, { isDate } ) => cursor.value === null ? null : isDate ? new Date( cursor.value ) : cursor.value;
+
+// Rows after the cursor in ( field, _id ) order. Missing values sort lowest in MongoDB, so they
+// come last when descending and first when ascending.
+const buildKeysetFilter = ( cursor, sortSpec ) => {
+    const { field, direction } = sortSpec;
+    const value = readSortValue( cursor, sortSpec );
+    const id = new ObjectId( cursor.id );
+    const after = direction < 0 ? "$lt" : "$gt";
+
+    if ( value === null ) {
+        return direction < 0
+            ? { [ field ]: null, _id: { $lt: id } }
+            : { $or: [ { [ field ]: null, _id: { $gt: id } }, { [ field ]: { $ne: null } } ] };
+    }
+    return {
+        $or: [
+            { [ field ]: { [ after ]: value } },
+            { [ field ]: value, _id: { [ after ]: id } },
+            ...( direction < 0 ? [ { [ field ]: null } ] : [] )
+        ]
+    };
+};
+
+const compareSortValues = ( a, b, direction ) => {
+    if ( a == null || b == null ) return a == null && b == null ? 0 : a == null ? 1 : -1;
+    const order = a < b ? -1 : a > b ? 1 : 0;
+    return order * direction;
+};
+
+const summarizedFilter = () => ( {
+    $or: Object.keys( SECTION_KEYS ).map( ( section ) => ( { [ sectionSummaryPath( section ) ]: { $exists: true, $ne: "" } } ) )
+} );
+
+// One page of a query's ranked matches; the ranking is recomputed per page and sliced by offset.
+// The matches are the rankers' bounded candidates, so `total` counts those and `capped` says
+// whether more issues matched than were ranked; pages stop at the end of the candidates.
+const pageSearchResults = ( { matches, capped }, sort, cursor, pageSize ) => {
+    const sortSpec = SORTS[ sort ];
+    const candidates = sort === "recentlySummarized"
+        ? matches.filter( ( record ) => Object.keys( SECTION_KEYS ).some( ( section ) => getSectionSummary( record, section )?.summary ) )
+        : matches;
+    const ordered = sortSpec
+        ? [ ...candidates ].sort( ( a, b ) => compareSortValues( a[ sortSpec.field ], b[ sortSpec.field ], sortSpec.direction ) )
+        : candidates;
+
+    const offset = cursor?.offset ?? 0;
+    const end = offset + pageSize;
+    return {
+        page: ordered.slice( offset, end ),
+        total: ordered.length,
+        capped,
+        nextCursor: end < ordered.length ? encodeCursor( { sort, offset: end } ) : null
+    };
+};
+
+// One page of the filtered collection, walked by keyset so deep pages stay cheap
+const pageBrowseResults = async ( db, mongoFilters, sort, cursor, pageSize ) => {
+    const sortSpec = SORTS[ sort ];
+    const filter = sort === "recentlySummarized" ? { $and: [ mongoFilters, summarizedFilter() ] } : mongoFilters;
+    const collection = db.collection( COLLECTION_NAME );
+
+    const [ rows, total ] = await Promise.all( [
+        collection
+            .find( cursor ? { $and: [ filter, buildKeysetFilter( cursor, sortSpec ) ] } : filter )
+            .sort( { [ sortSpec.field ]: sortSpec.direction, _id: sortSpec.direction } )
+            .limit( pageSize + 1 )
+            .toArray(),
+        collection.countDocuments( filter )
+    ] );
+
+    const page = rows.slice( 0, pageSize );
+    const last = page[ page.length - 1 ];
+    return {
+        page,
+        total,
+        capped: false,
+        nextCursor: rows.length > pageSize
+            ? encodeCursor( { sort, value: last[ sortSpec.field ] ?? null, id: last._id.toString() } )
+            : null
+    };
+};
+
+// "speeches" mode: every turn a member spoke in the date range, instead of matching issues
+const buildSpeechPayload = ( speech ) => ( {
+    id: speech._id?.toString?.(),
+    speaker: speech.speaker,
+    bioguideId: speech.bioguideId ?? null,
+    memberName: speech.memberName ?? null,
+    party: speech.party ?? null,
+    state: speech.state ?? null,
+    chamber: speech.chamber,
+    heading: speech.heading,
+    issueNumber: speech.issueNumber,
+    volumeNumber: speech.volumeNumber,
+    issueDate: speech.issueDate,
+    section: speech.section,
+    pdfUrl: speech.pdfUrl,
+    pdfPageStart: speech.pdfPageStart,
+    recordPageStart: speech.recordPageStart,
+    recordPageEnd: speech.recordPageEnd,
+    wordCount: speech.wordCount,
+    text: speech.text
+} );
+
 export default async function handler( req, res ) {
     if ( req.method !== "POST" ) {
         return res.status( 405 ).json( { success: false, message: "Method not allowed" } );
     }
 
     try {
-        const { query = "", filters = {}, limit = 200 } = req.body || {};
+        const { query = "", filters = {}, limit, mode = "issues", sort: requestedSort, cursor: requestedCursor } = req.body || {};
+
+        let parsedQuery;
+        let sort;
+        let cursor;
+        try {
+            parsedQuery = parseSearchQuery( mode === "speeches" ? "" : query );
+            const hasQuery = Boolean( getSearchText( parsedQuery ) );
+            sort = parseSort( requestedSort, hasQuery );
+            cursor = decodeCursor( requestedCursor, sort, hasQuery );
+        } catch ( error ) {
+            return res.status( 400 ).json( { success: false, message: error.message } );
+        }
+
         const { db } = await connectToDatabase();
 
-        const mongoFilters = buildMongoFilters( filters );
-        const cursor = db
-            .collection( COLLECTION_NAME )
-            .find( mongoFilters )
-            .sort( { issueDate: -1 } )
-            .limit( 250 );
+        if ( mode === "speeches" ) {
+            const speaker = cleanFilterValue( filters.speaker );
+            if ( !speaker ) {
+                return res.status( 400 ).json( { success: false, message: "A member name is required to search speeches" } );
+            }
+
+            const speeches = await searchSpeeches( db, {
+                speaker,
+                query: typeof query === "string" ? query : "",
+                startDate: filters.startDate || null,
+                endDate: filters.endDate || null,
+                chamber: CHAMBERS.includes( filters.chamber ) ? filters.chamber : null,
+                party: cleanFilterValue( filters.party )?.toUpperCase() ?? null,
+                state: cleanFilterValue( filters.state )?.toUpperCase() ?? null,
+                limit: Math.min( Number( limit ) || 200, 500 )
+            } );
+            const payload = speeches.map( buildSpeechPayload );
+
+            return res.status( 200 ).json( {
+                success: true,
+                mode,
+                count: payload.length,
+                data: payload,
+                appliedFilters: filters
+            } );
+        }
+
+        const { mongoFilters, sections: activeSections } = await buildSearchFilters( db, filters, parsedQuery );
+
+        const pageSize = Math.min( Math.max( Number.parseInt( limit, 10 ) || DEFAULT_PAGE_SIZE, 1 ), MAX_PAGE_SIZE );
+        const hasSearchText = Boolean( getSearchText( parsedQuery ) );
+        const [ { page, total, capped, nextCursor }, embeddingCoverage ] = await Promise.all( [
+            hasSearchText
+                ? findHybridMatches( db, parsedQuery, filters, mongoFilters, activeSections ).then( ( { matches, capped } ) => pageSearchResults( { matches: dedupeRecords( matches ), capped }, sort, cursor, pageSize ) )
+                : pageBrowseResults( db, mongoFilters, sort, cursor, pageSize ),
+            // Lets the page say when part of the corpus awaits re-embedding and cannot match by meaning
+            hasSearchText && embeddingsEnabled() ? getEmbeddingCoverage( db ) : null
+        ] );
 
-        const records = await cursor.toArray();
-        const sectionsForRecords = records.map( ( record ) => {
+        const results = dedupeRecords( page ).map( ( record ) => {
             const sections = extractSections( record.contents );
             return {
                 ...record,
@@ -206,44 +349,7 @@ export default async function handler( req, res ) {
                 pdfUrl: pickPdfUrl( record, sections )
             };
         } );
-
-        let results = sectionsForRecords;
-
-        if ( query?.trim() ) {
-            if ( !openai ) {
-                // Fallback to keyword matching when no OpenAI key is set
-                const lowered = query.trim().toLowerCase();
-                results = sectionsForRecords
-                    .map( ( record ) => {
-                        const hasKeyword =
-                            record.summary?.toLowerCase().includes( lowered ) ||
-                            JSON.stringify( record.contents || {} ).toLowerCase().includes( lowered );
-                        return { ...record, similarity: hasKeyword ? 1 : 0 };
-                    } )
-                    .filter( ( record ) => record.similarity > 0 );
-            } else {
-                const queryEmbedding = await createEmbedding( query );
-                const scored = [];
-
-                for ( const record of sectionsForRecords ) {
-                    const recordEmbedding = await ensureRecordEmbedding( record, db );
-                    if ( !recordEmbedding ) continue;
-
-                    const similarity = cosineSimilarity( queryEmbedding, recordEmbedding );
-                    if ( similarity === null ) continue;
-
-                    scored.push( { ...record, similarity } );
-                }
-
-                scored.sort( ( a, b ) => b.similarity - a.similarity );
-                results = scored;
-            }
-        } else {
-            results = results;
-        }
-
-        const dedupedResults = dedupeRecords( results );
-        const limitedResults = dedupedResults.slice( 0, limit );
+        const limitedResults = await attachPassageExcerpts( db, results );
 
         const payload = limitedResults.map( ( record ) => ( {
             id: record._id?.toString?.() ?? record.issueNumber,
@@ -251,12 +357,20 @@ export default async function handler( req, res ) {
             issueDate: record.issueDate,
             volumeNumber: record.volumeNumber,
             sessionNumber: record.sessionNumber,
-            url: record.url,
-            pdfUrl: record.pdfUrl,
-            summaryPreview: buildPreview( record.summary ),
-            similarity: record.similarity,
-            sections: record.sections?.filter( ( section ) => section.present ) ?? [],
+            url: stripApiKey( record.url ),
+            pdfUrl: stripApiKey( record.pdfUrl ),
+            summaryPreview: buildPreview( record.matchedSection ? getSectionSummary( record, record.matchedSection )?.summary : record.summary ),
+            similarity: record.similarity ?? null,
+            score: record.score ?? null,
+            matchedBy: record.matchedBy ?? [],
+            passages: record.passages ?? [],
+            matchedSection: record.matchedSection ?? null,
+            sections: buildSectionPayload( record ),
+            topics: ( record.matchedSection ? getSectionSummary( record, record.matchedSection ) : record )?.extraction?.topics ?? [],
             hasSummary: Boolean( record.summary ),
+            summaryStale: Boolean( record.summaryStale ),
+            sourceUpdatedAt: record.sourceUpdatedAt ?? null,
+            summarizedAt: record.summarizedAt ?? null,
             canSummarize: hasRequiredValue( record.pdfUrl ) && hasRequiredValue( record.issueNumber ) && hasRequiredValue( record.volumeNumber ),
             updatedAt: record.updateDate || record.fetchedAt
         } ) );
@@ -264,7 +378,12 @@ export default async function handler( req, res ) {
         return res.status( 200 ).json( {
             success: true,
             count: payload.length,
+            total,
+            capped,
+            sort,
+            nextCursor,
             data: payload,
+            embeddingCoverage,
             appliedFilters: filters
         } );
     } catch ( error ) {
@@ -1,3 +1,6 @@
+import { SECTION_KEYS, issueVariantsFilter, sectionSummaryPath } from '../../utils/recordSections';
+import { mapWithConcurrency } from '../../utils/concurrency';
+import { stripApiKey, withCongressApiKey } from '../../utils/pdfUrls';
 require( 'dotenv' ).config();
 const { MongoClient } = require( 'mongodb' );
 const axios = require( 'axios' );
@@ -5,7 +8,16 @@ const axios = require( 'axios' );
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
 const DATABASE_NAME = 'congressionalSummaries';
 const COLLECTION_NAME = 'summaries';
+const CHUNK_COLLECTION = 'chunkSummaries';
+const STATE_COLLECTION = 'ingestionState';
 const CONGRESS_API_KEY = process.env.CONGRESS_API_KEY;
+const RECORD_LIST_URL = 'https://api.congress.gov/v3/daily-congressional-record';
+const PAGE_SIZE = 250;
+const DEFAULT_BACKFILL_PAGES = 10;
+// congress.gov allows 5,000 requests an hour per key; a listing page costs up to 250 report fetches
+const REPORT_CONCURRENCY = 4;
+// A report that fails this many fetches in a row is most likely gone upstream
+const MAX_REPORT_ATTEMPTS = 5;
 
 // Create a single MongoDB client instance
 let client;
@@ -18,14 +30,16 @@ export async function connectToDatabase() {
     return client.db( DATABASE_NAME );
 }
 
-async function fetchCongressionalRecords( retries = 3 ) {
+// Fetch one page of the issue listing. Returns the raw listing entries plus the offset of the
+// next page, or null once the listing is exhausted.
+async function fetchRecordPage( { offset = 0, limit = PAGE_SIZE } = {}, retries = 3 ) {
     for ( let i = 0; i < retries; i++ ) {
         try {
-            const response = await axios.get( `https://api.congress.gov/v3/daily-congressional-record?api_key=${ CONGRESS_API_KEY }`, {
+            const response = await axios.get( `${ RECORD_LIST_URL }?api_key=${ CONGRESS_API_KEY }`, {
                 params: {
                     format: 'json',
-                    limit: 250,
-                    offset: 0
+                    limit,
+                    offset
                 },
                 headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' }
             } );
@@ -34,73 +48,275 @@ async function fetchCongressionalRecords( retries = 3 ) {
                 throw new Error( 'Invalid API response format' );
             }
 
-            // Fetch full contents for each report & include the API key in stored URL
-            const reports = await Promise.all( response.data.dailyCongressionalRecord.map( async ( record ) => {
-                try {
-                    const reportUrl = `${ record.url }&api_key=${ CONGRESS_API_KEY }`; // Ensure stored URL has the key
-
-                    const reportResponse = await axios.get( reportUrl, {
-                        headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' }
-                    } );
-
-                    return {
-                        congress: record.congress,
-                        issueDate: record.issueDate,
-                        issueNumber: record.issueNumber,
-                        sessionNumber: record.sessionNumber,
-                        updateDate: record.updateDate,
-                        url: reportUrl, // Store the API key-embedded URL
-                        volumeNumber: record.volumeNumber,
-                        fetchedAt: new Date(), // Timestamp
-                        contents: reportResponse.data // Store the full contents of the report
-                    };
-                } catch ( reportError ) {
-                    console.error( `Error fetching report contents from ${ record.url }:`, reportError.message );
-                    return null;
-                }
-            } ) );
-
-            return reports.filter( report => report !== null ); // Remove failed fetches
+            const records = response.data.dailyCongressionalRecord.filter( record => record && typeof record === 'object' );
+            const total = response.data.pagination?.count ?? null;
+            const reachedEnd = records.length < limit || ( total !== null && offset + records.length >= total );
+
+            return { records, total, nextOffset: reachedEnd ? null : offset + records.length };
         } catch ( error ) {
-            console.error( `Error fetching Congressional Records (attempt ${ i + 1 }):`, error.message );
-            if ( i === retries - 1 ) return [];
+            console.error( `Error fetching Congressional Records at offset ${ offset } (attempt ${ i + 1 }):`, error.message );
+            if ( i === retries - 1 ) throw error;
             await new Promise( res => setTimeout( res, 2000 * Math.pow( 2, i ) ) ); // Exponential backoff
         }
     }
 }
 
-export async function storeRecordsInMongo( records ) {
+// Fetch full contents for each report, a few at a time; the API key is added for the request only,
+// never stored. Listing entries whose report could not be fetched come back in `failedRecords`.
+async function fetchReportContents( records ) {
+    const reports = await mapWithConcurrency( records, REPORT_CONCURRENCY, async ( record ) => {
+        try {
+            const reportUrl = stripApiKey( record.url );
+
+            const reportResponse = await axios.get( withCongressApiKey( reportUrl ), {
+                headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' }
+            } );
+
+            return {
+                congress: record.congress,
+                issueDate: record.issueDate,
+                issueNumber: record.issueNumber,
+                sessionNumber: record.sessionNumber,
+                updateDate: record.updateDate,
+                url: reportUrl,
+                volumeNumber: record.volumeNumber,
+                fetchedAt: new Date(), // Timestamp
+                contents: reportResponse.data // Store the full contents of the report
+            };
+        } catch ( reportError ) {
+            console.error( `Error fetching report contents from ${ stripApiKey( record.url ) }:`, reportError.message );
+            return null;
+        }
+    } );
+
+    return {
+        reports: reports.filter( report => report !== null ),
+        failedRecords: records.filter( ( record, index ) => reports[ index ] === null )
+    };
+}
+
+async function fetchCongressionalRecords( retries = 3 ) {
+    try {
+        const { records } = await fetchRecordPage( { offset: 0 }, retries );
+        const { reports } = await fetchReportContents( records );
+        return reports;
+    } catch ( error ) {
+        return [];
+    }
+}
+
+const getIssueKey = ( record ) => `${ record.volumeNumber }-${ record.issueNumber }`;
+
+// congress.gov bumps updateDate whenever an issue is corrected or extended after publication
+const hasUpstreamUpdate = ( existingRecord, record ) =>
+    Boolean( existingRecord?.updateDate && record.updateDate && existingRecord.updateDate !== record.updateDate );
+
+const emptyStoreResult = () => ( { upsertedCount: 0, matchedCount: 0, updatedCount: 0, insertedRecords: [], updatedRecords: [] } );
+
+// Upsert fetched reports, flagging summaries of issues congress.gov has since updated. Throws on
+// a database error so a backfill does not move past issues it failed to store.
+async function upsertRecords( records ) {
     if ( records.length === 0 ) {
         console.log( 'No new records to store.' );
-        return;
+        return emptyStoreResult();
     }
 
     const db = await connectToDatabase();
     const collection = db.collection( COLLECTION_NAME );
+    const chunkCollection = db.collection( CHUNK_COLLECTION );
+
+    const existingRecords = await collection
+        .find(
+            { $or: records.map( record => ( { issueNumber: record.issueNumber, volumeNumber: record.volumeNumber } ) ) },
+            { projection: { issueNumber: 1, volumeNumber: 1, updateDate: 1 } }
+        )
+        .toArray();
+    const existingByKey = new Map( existingRecords.map( record => [ getIssueKey( record ), record ] ) );
+
+    const bulkOps = [];
+    const insertCandidates = new Map(); // bulk op index -> record
+    const staleIssues = [];
+    const updatedRecords = [];
+
+    for ( const record of records ) {
+        const filter = { issueNumber: record.issueNumber, volumeNumber: record.volumeNumber };
+        const existingRecord = existingByKey.get( getIssueKey( record ) );
+
+        if ( !existingRecord ) {
+            insertCandidates.set( bulkOps.length, record );
+            bulkOps.push( { updateOne: { filter, update: { $setOnInsert: record }, upsert: true } } );
+            continue;
+        }
+
+        if ( existingRecord.updateDate && !hasUpstreamUpdate( existingRecord, record ) ) continue;
 
-    // Use bulk operations to prevent duplicate checking inefficiency
-    const bulkOps = records.map( record => ( {
-        updateOne: {
-            filter: { issueNumber: record.issueNumber, volumeNumber: record.volumeNumber },
-            update: { $setOnInsert: record }, // Inserts only if it doesn't exist
-            upsert: true // Creates if not found
+        // Refresh the source fields; keep any summary but flag it when the text behind it changed
+        const update = {
+            updateDate: record.updateDate,
+            url: record.url,
+            contents: record.contents,
+            fetchedAt: record.fetchedAt
+        };
+        if ( hasUpstreamUpdate( existingRecord, record ) ) {
+            update.sourceUpdatedAt = new Date();
+            staleIssues.push( issueVariantsFilter( record ) );
+            updatedRecords.push( record );
         }
-    } ) );
 
+        bulkOps.push( { updateOne: { filter, update: { $set: update } } } );
+    }
+
+    if ( bulkOps.length === 0 ) {
+        console.log( `All ${ records.length } records already up to date.` );
+        return { upsertedCount: 0, matchedCount: records.length, updatedCount: 0, insertedRecords: [], updatedRecords: [] };
+    }
+
+    const result = await collection.bulkWrite( bulkOps );
+
+    if ( staleIssues.length > 0 ) {
+        for ( const section of Object.keys( SECTION_KEYS ) ) {
+            await collection.updateMany(
+                { $or: staleIssues, [ sectionSummaryPath( section ) ]: { $exists: true, $ne: '' } },
+                { $set: { [ sectionSummaryPath( section, 'summaryStale' ) ]: true, sourceUpdatedAt: new Date() } }
+            );
+        }
+        await chunkCollection.updateMany( { $or: staleIssues }, { $set: { stale: true } } );
+    }
+
+    const insertedRecords = Object.keys( result.upsertedIds ?? {} )
+        .map( index => insertCandidates.get( Number( index ) ) )
+        .filter( Boolean );
+
+    console.log( `Inserted ${ result.upsertedCount } new records, refreshed ${ staleIssues.length } updated upstream.` );
+    return {
+        upsertedCount: result.upsertedCount,
+        matchedCount: records.length - result.upsertedCount,
+        updatedCount: staleIssues.length,
+        insertedRecords,
+        updatedRecords
+    };
+}
+
+export async function storeRecordsInMongo( records ) {
     try {
-        const result = await collection.bulkWrite( bulkOps );
-        console.log( `Inserted ${ result.upsertedCount } new records, ${ result.matchedCount } already existed.` );
+        return await upsertRecords( records );
     } catch ( error ) {
         console.error( 'Error storing records in MongoDB:', error.message );
+        return emptyStoreResult();
+    }
+}
+
+const getIssueDay = ( record ) => typeof record.issueDate === 'string' ? record.issueDate.slice( 0, 10 ) : null;
+
+const matchesBackfillScope = ( record, { congress, startDate, endDate } ) => {
+    if ( congress && Number( record.congress ) !== congress ) return false;
+
+    const issueDay = getIssueDay( record );
+    if ( ( startDate || endDate ) && !issueDay ) return false;
+    if ( startDate && issueDay < startDate ) return false;
+    if ( endDate && issueDay > endDate ) return false;
+
+    return true;
+};
+
+const buildCursorId = ( { congress, startDate, endDate } ) =>
+    `backfill:${ congress ?? 'all' }:${ startDate ?? '' }:${ endDate ?? '' }`;
+
+// Listing entries kept for a retry, without any API key a listing URL might carry
+const toRetryEntries = ( records, previous = [] ) => records.map( ( record ) => {
+    const attempts = ( previous.find( ( entry ) => getIssueKey( entry ) === getIssueKey( record ) )?.attempts ?? 0 ) + 1;
+    return { ...record, url: stripApiKey( record.url ), attempts };
+} );
+
+/**
+ * Walk the full issue listing page by page and store every issue in scope.
+ * The listing offset is saved to `ingestionState` after each page, so a later call with the same
+ * scope resumes where the previous one stopped. Each call processes at most `maxPages` pages.
+ * Issues whose report could not be fetched are kept in the state and retried first on later
+ * calls, up to `MAX_REPORT_ATTEMPTS` times; a database error stops the run before the offset
+ * moves past the page. `done` is true once the listing is read and no retries are left.
+ */
+export async function backfillRecords( { congress = null, startDate = null, endDate = null, maxPages = DEFAULT_BACKFILL_PAGES, reset = false } = {} ) {
+    const scope = { congress, startDate, endDate };
+    const db = await connectToDatabase();
+    const stateCollection = db.collection( STATE_COLLECTION );
+    const cursorId = buildCursorId( scope );
+
+    if ( reset ) {
+        await stateCollection.deleteOne( { _id: cursorId } );
+    }
+
+    const state = await stateCollection.findOne( { _id: cursorId } );
+    let retryRecords = state?.retryRecords ?? [];
+    let abandoned = 0;
+    let matched = 0;
+    let inserted = 0;
+    let updated = 0;
+
+    const storeReports = async ( records, previousAttempts = [] ) => {
+        const { reports, failedRecords } = await fetchReportContents( records );
+        const result = await upsertRecords( reports );
+        inserted += result.upsertedCount;
+        updated += result.updatedCount;
+
+        const retries = toRetryEntries( failedRecords, previousAttempts );
+        const kept = retries.filter( ( entry ) => entry.attempts < MAX_REPORT_ATTEMPTS );
+        abandoned += retries.length - kept.length;
+        for ( const entry of retries.filter( ( item ) => item.attempts >= MAX_REPORT_ATTEMPTS ) ) {
+            console.error( `Backfill ${ cursorId }: giving up on issue ${ getIssueKey( entry ) } after ${ entry.attempts } failed fetches.` );
+        }
+        return kept;
+    };
+
+    if ( retryRecords.length > 0 ) {
+        retryRecords = await storeReports( retryRecords, retryRecords );
+        await stateCollection.updateOne(
+            { _id: cursorId },
+            { $set: { retryRecords, updatedAt: new Date() }, $inc: { abandoned } }
+        );
     }
+
+    if ( state?.completed ) {
+        return { cursorId, done: retryRecords.length === 0, offset: state.offset, pagesProcessed: 0, matched, inserted, updated, retrying: retryRecords.length, abandoned };
+    }
+
+    let offset = state?.offset ?? 0;
+    let listingDone = false;
+    let pagesProcessed = 0;
+
+    while ( pagesProcessed < maxPages ) {
+        const { records, total, nextOffset } = await fetchRecordPage( { offset } );
+        const inScope = records.filter( record => matchesBackfillScope( record, scope ) );
+        const abandonedBefore = abandoned;
+
+        if ( inScope.length > 0 ) {
+            retryRecords = [ ...retryRecords, ...await storeReports( inScope ) ];
+            matched += inScope.length;
+        }
+
+        pagesProcessed += 1;
+        listingDone = nextOffset === null;
+        offset = listingDone ? offset + records.length : nextOffset;
+
+        await stateCollection.updateOne(
+            { _id: cursorId },
+            {
+                $set: { ...scope, offset, total, completed: listingDone, retryRecords, updatedAt: new Date() },
+                $inc: { matched: inScope.length, abandoned: abandoned - abandonedBefore }
+            },
+            { upsert: true }
+        );
+
+        console.log( `Backfill ${ cursorId }: offset ${ offset }${ total !== null ? ` of ${ total }` : '' }, ${ inScope.length } issues in scope, ${ retryRecords.length } to retry.` );
+
+        if ( listingDone ) break;
+    }
+
+    return { cursorId, done: listingDone && retryRecords.length === 0, offset, pagesProcessed, matched, inserted, updated, retrying: retryRecords.length, abandoned };
 }
 
 export default async function fetchAndStoreRecords() {
     const records = await fetchCongressionalRecords();
-    await storeRecordsInMongo( records );
+    const result = await storeRecordsInMongo( records );
+    return { fetchedCount: records.length, ...result };
 }
-
-// Run the function
-fetchAndStoreRecords()
-    .then( () => console.log( 'Congressional Record fetching complete.' ) )
-    .catch( err => console.error( 'Unexpected error:', err ) );
@@ -0,0 +1,34 @@
+import { connectToDatabase } from "../getRecords";
+import { getCachedSummary } from "@/utils/summarizeIssue";
+import { getSummaryJob, isJobClaimable, runSummaryJob, serializeJob } from "@/utils/summaryJobs";
+
+export default async function handler( req, res ) {
+    if ( req.method !== "GET" ) {
+        return res.status( 405 ).json( { success: false, message: "Method not allowed" } );
+    }
+
+    try {
+        const { db } = await connectToDatabase();
+        const job = await getSummaryJob( db, req.query.jobId );
+        if ( !job ) {
+            return res.status( 404 ).json( { success: false, message: "Job not found" } );
+        }
+
+        const payload = { success: true, job: serializeJob( job ) };
+        if ( job.status === "completed" ) {
+            Object.assign( payload, await getCachedSummary( db, job ) );
+        }
+
+        res.status( 200 ).json( payload );
+
+        // A poll on a waiting or abandoned job restarts it from the last cached chunk
+        if ( isJobClaimable( job ) ) {
+            runSummaryJob( db, job._id ).catch( ( error ) => {
+                console.error( `❌ Summary job ${ job._id } worker error:`, error.message );
+            } );
+        }
+    } catch ( error ) {
+        console.error( "❌ Error fetching summary job:", error.message );
+        return res.status( 500 ).json( { success: false, message: "Failed to fetch summary job" } );
+    }
+}
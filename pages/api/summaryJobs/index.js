@@ -0,0 +1,37 @@
+import { connectToDatabase } from "../getRecords";
+import { getCachedSummary, parseSummaryRequest } from "@/utils/summarizeIssue";
+import { enqueueSummaryJob, runSummaryJob, serializeJob } from "@/utils/summaryJobs";
+
+export default async function handler( req, res ) {
+    if ( req.method !== "POST" ) {
+        return res.status( 405 ).json( { success: false, message: "Method not allowed" } );
+    }
+
+    let issue;
+    try {
+        issue = parseSummaryRequest( req.body || {} );
+    } catch ( error ) {
+        return res.status( 400 ).json( { success: false, message: error.message } );
+    }
+
+    try {
+        const { db } = await connectToDatabase();
+
+        const cachedSummary = await getCachedSummary( db, issue );
+        if ( cachedSummary ) {
+            return res.status( 200 ).json( { success: true, ...cachedSummary } );
+        }
+
+        const job = await enqueueSummaryJob( db, issue );
+        res.status( 202 ).json( { success: true, job: serializeJob( job ) } );
+
+        // Keep working after the response where the server allows it; on serverless hosts the
+        // function may be frozen here, and the /api/summaryJobs/work cron picks the job up instead
+        runSummaryJob( db, job._id ).catch( ( error ) => {
+            console.error( `❌ Summary job ${ job._id } worker error:`, error.message );
+        } );
+    } catch ( error ) {
+        console.error( "❌ Error creating summary job:", error.message );
+        return res.status( 500 ).json( { success: false, message: "Failed to create summary job" } );
+    }
+}
@@ -0,0 +1,27 @@
+import { connectToDatabase } from "../getRecords";
+import { AUTO_SUMMARY_SOURCES, processQueuedAutoSummaries } from "@/utils/autoSummarize";
+import { processSummaryJobs } from "@/utils/summaryJobs";
+
+const MAX_JOBS_PER_RUN = 5;
+
+export default async function handler( req, res ) {
+    if ( req.method !== "GET" ) {
+        return res.status( 405 ).end( "Method Not Allowed" );
+    }
+
+    if ( req.headers.authorization !== `Bearer ${ process.env.CRON_SECRET }` ) {
+        return res.status( 401 ).end( "Unauthorized" );
+    }
+
+    try {
+        const { db } = await connectToDatabase();
+        // Readers' jobs first and unbudgeted; the cron's own jobs only within the daily chunk cap
+        const readerJobs = await processSummaryJobs( db, { maxJobs: MAX_JOBS_PER_RUN, filter: { source: { $nin: AUTO_SUMMARY_SOURCES } } } );
+        const autoSummaries = await processQueuedAutoSummaries( db, { maxJobs: MAX_JOBS_PER_RUN } );
+        const results = [ ...readerJobs, ...autoSummaries.jobs ];
+        return res.status( 200 ).json( { success: true, processed: results.length, results, chunkBudget: autoSummaries.chunkBudget } );
+    } catch ( error ) {
+        console.error( "❌ Error processing summary jobs:", error );
+        return res.status( 500 ).json( { success: false, error: error.message } );
+    }
+}
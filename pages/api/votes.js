@@ -0,0 +1,55 @@
+import { connectToDatabase } from "./getRecords";
+import { parseBillNumber } from "@/utils/billCitations";
+import { findVotes } from "@/utils/votes";
+import { parseOptionalInt } from "@/utils/queryParams";
+
+const CHAMBERS = [ "House", "Senate" ];
+
+// GET /api/votes?volumeNumber=170&issueNumber=95 for an issue's roll calls,
+// or /api/votes?bill=hr1234&congress=118 for every recorded vote on a bill in that Congress
+// (by default the most recent one that voted on it)
+export default async function handler( req, res ) {
+    if ( req.method !== "GET" ) {
+        return res.status( 405 ).json( { success: false, message: "Method not allowed" } );
+    }
+
+    let options;
+    try {
+        const bill = req.query.bill ? parseBillNumber( req.query.bill ) : null;
+        if ( req.query.bill && !bill ) {
+            throw new Error( "Invalid bill number" );
+        }
+        if ( req.query.chamber && !CHAMBERS.includes( req.query.chamber ) ) {
+            throw new Error( "Invalid chamber" );
+        }
+
+        options = {
+            volumeNumber: parseOptionalInt( req.query.volumeNumber, "volume number" ),
+            issueNumber: parseOptionalInt( req.query.issueNumber, "issue number" ),
+            billKey: bill?.key ?? null,
+            congress: parseOptionalInt( req.query.congress, "congress" ) ?? bill?.congress ?? null,
+            chamber: req.query.chamber || null
+        };
+        if ( !options.billKey && !( options.volumeNumber && options.issueNumber ) ) {
+            throw new Error( "Provide a volume and issue number, or a bill" );
+        }
+    } catch ( error ) {
+        return res.status( 400 ).json( { success: false, message: error.message } );
+    }
+
+    try {
+        const { db } = await connectToDatabase();
+        const { congress, congresses, votes } = await findVotes( db, options );
+
+        return res.status( 200 ).json( {
+            success: true,
+            congress,
+            congresses,
+            count: votes.length,
+            data: votes.map( ( { _id, ...vote } ) => ( { id: _id.toString(), ...vote } ) )
+        } );
+    } catch ( error ) {
+        console.error( "❌ Error fetching votes:", error.message );
+        return res.status( 500 ).json( { success: false, message: "Failed to fetch votes" } );
+    }
+}
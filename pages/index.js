@@ -11,6 +11,8 @@ import {
   AlertTriangle
 } from "lucide-react";
 import { format, parseISO } from "date-fns";
+import { CITATION_REGEX, parseCitationAnchors } from "@/utils/citations";
+import { pdfProxyPath } from "@/utils/pdfUrls";
 
 const SECTION_OPTIONS = [
   { key: "entireIssue", label: "Entire Issue" },
@@ -21,8 +23,29 @@ const SECTION_OPTIONS = [
 ];
 
 const escapeRegExp = ( value ) => value.replace( /[.*+?^${}()|[\]\\]/g, "\\$&" );
+const JOB_POLL_INTERVAL_MS = 2000;
+const PAGE_SIZE = 30;
+const SORT_OPTIONS = [
+  { key: "relevance", label: "Best match", needsQuery: true },
+  { key: "newest", label: "Newest first" },
+  { key: "oldest", label: "Oldest first" },
+  { key: "recentlySummarized", label: "Recently summarized" }
+];
+const DEFAULT_SECTION = "entireIssue";
 const makeSummaryKey = ( issueNumber, volumeNumber ) => `${ volumeNumber ?? "unknown" }-${ issueNumber ?? "unknown" }`;
 
+// The whole-issue summary uses the record's own PDF; chamber sections use their section PDF
+const getSectionPdfUrl = ( source, section ) => {
+  const sectionUrl = source.sections?.find( ( item ) => item.key === section )?.url;
+  return sectionUrl || ( section === DEFAULT_SECTION ? source.pdfUrl : null );
+};
+
+const getDefaultSection = ( record ) => {
+  const sectionKeys = record.sections?.map( ( item ) => item.key ) ?? [];
+  if ( sectionKeys.length === 0 || sectionKeys.includes( DEFAULT_SECTION ) ) return DEFAULT_SECTION;
+  return sectionKeys[ 0 ];
+};
+
 export default function Home() {
   const [ records, setRecords ] = useState( [] );
   const [ loading, setLoading ] = useState( true );
@@ -36,11 +59,27 @@ export default function Home() {
     sections: [],
     hasSummaryOnly: false,
     volumeNumber: "",
-    sessionNumber: ""
+    sessionNumber: "",
+    topic: "",
+    speaker: "",
+    congress: "",
+    summaryStatus: ""
   } );
+  const [ searchMode, setSearchMode ] = useState( "issues" );
+  const [ speeches, setSpeeches ] = useState( [] );
   const [ selectedSummary, setSelectedSummary ] = useState( null );
   const [ loadingSummaries, setLoadingSummaries ] = useState( {} );
   const [ summaryProgress, setSummaryProgress ] = useState( {} );
+  const [ issueVotes, setIssueVotes ] = useState( {} );
+  const [ digest, setDigest ] = useState( null );
+  const [ sort, setSort ] = useState( "" );
+  const [ nextCursor, setNextCursor ] = useState( null );
+  const [ total, setTotal ] = useState( null );
+  const [ totalCapped, setTotalCapped ] = useState( false );
+  const [ embeddingCoverage, setEmbeddingCoverage ] = useState( null );
+  const [ loadingMore, setLoadingMore ] = useState( false );
+  const [ facets, setFacets ] = useState( null );
+  const [ relatedIssues, setRelatedIssues ] = useState( {} );
 
   const hasActiveFilters = useMemo( () => {
     return Boolean(
@@ -49,6 +88,10 @@ export default function Home() {
       filters.volumeNumber ||
       filters.sessionNumber ||
       filters.hasSummaryOnly ||
+      filters.topic ||
+      filters.speaker ||
+      filters.congress ||
+      filters.summaryStatus ||
       filters.sections.length
     );
   }, [ filters ] );
@@ -65,16 +108,35 @@ export default function Home() {
     setSearching( Boolean( override.query !== undefined ) );
 
     try {
+      if ( searchMode === "speeches" && !filters.speaker.trim() ) {
+        setSpeeches( [] );
+        return;
+      }
+
+      if ( searchMode === "issues" ) {
+        loadFacets( override.query ?? activeQuery );
+      }
+
       const response = await axios.post( "/api/searchRecords", {
         query: override.query ?? activeQuery,
         filters: {
           ...filters,
           sections: filters.sections
         },
-        limit: 200
+        mode: searchMode,
+        sort: searchMode === "issues" && sort ? sort : undefined,
+        limit: searchMode === "speeches" ? 200 : PAGE_SIZE
       } );
 
-      setRecords( response.data.data || [] );
+      if ( searchMode === "speeches" ) {
+        setSpeeches( response.data.data || [] );
+      } else {
+        setRecords( response.data.data || [] );
+        setNextCursor( response.data.nextCursor ?? null );
+        setTotal( response.data.total ?? null );
+        setTotalCapped( Boolean( response.data.capped ) );
+        setEmbeddingCoverage( response.data.embeddingCoverage ?? null );
+      }
     } catch ( err ) {
       console.error( "Error fetching records", err );
       setError( "Failed to fetch congressional records." );
@@ -84,8 +146,73 @@ export default function Home() {
     }
   };
 
+  // Facet counts are a refinement aid; the result list does not wait for them
+  const loadFacets = async ( searchQuery ) => {
+    try {
+      const response = await axios.post( "/api/facets", { query: searchQuery, filters } );
+      setFacets( response.data.data ?? null );
+    } catch ( err ) {
+      console.error( "Error fetching facets", err );
+      setFacets( null );
+    }
+  };
+
+  const toggleFilterValue = ( key, value ) => {
+    setFilters( ( prev ) => ( { ...prev, [ key ]: String( prev[ key ] ) === String( value ) ? "" : String( value ) } ) );
+  };
+
+  const toggleMonth = ( month ) => {
+    const [ year, monthNumber ] = month.split( "-" ).map( Number );
+    const lastDay = new Date( Date.UTC( year, monthNumber, 0 ) ).getUTCDate();
+    const startDate = `${ month }-01`;
+    const endDate = `${ month }-${ String( lastDay ).padStart( 2, "0" ) }`;
+    setFilters( ( prev ) => prev.startDate === startDate && prev.endDate === endDate
+      ? { ...prev, startDate: "", endDate: "" }
+      : { ...prev, startDate, endDate } );
+  };
+
+  // Next page of the current search; the cursor carries its position and sort
+  const loadMoreRecords = async () => {
+    if ( !nextCursor || loadingMore ) return;
+    setLoadingMore( true );
+
+    try {
+      const response = await axios.post( "/api/searchRecords", {
+        query: activeQuery,
+        filters,
+        mode: "issues",
+        sort: sort || undefined,
+        cursor: nextCursor,
+        limit: PAGE_SIZE
+      } );
+      setRecords( ( prev ) => {
+        const seen = new Set( prev.map( ( record ) => record.id ) );
+        return [ ...prev, ...( response.data.data || [] ).filter( ( record ) => !seen.has( record.id ) ) ];
+      } );
+      setNextCursor( response.data.nextCursor ?? null );
+      setTotal( response.data.total ?? null );
+      setTotalCapped( Boolean( response.data.capped ) );
+    } catch ( err ) {
+      console.error( "Error loading more records", err );
+      setError( "Failed to load more congressional records." );
+    } finally {
+      setLoadingMore( false );
+    }
+  };
+
+  // The Daily Digest is parsed without the model, so the latest one is available as soon as the cron stores an issue
+  const loadDigest = async () => {
+    try {
+      const response = await axios.get( "/api/digest" );
+      setDigest( response.data.data?.digest ? response.data.data : null );
+    } catch ( err ) {
+      console.error( "Error fetching Daily Digest", err );
+    }
+  };
+
   useEffect( () => {
     fetchRecords();
+    loadDigest();
   }, [] );
 
   useEffect( () => {
@@ -96,16 +223,61 @@ export default function Home() {
     filters.hasSummaryOnly,
     filters.volumeNumber,
     filters.sessionNumber,
+    filters.topic,
+    filters.speaker,
+    filters.congress,
+    filters.summaryStatus,
+    searchMode,
+    sort,
     JSON.stringify( filters.sections )
   ] );
 
-  const summarizePdf = async ( pdfUrl, issueNumber, volumeNumber, issueDate ) => {
+  // Roll-call votes are indexed while an issue is summarized, so load them once its summary is in
+  const loadIssueVotes = async ( { issueNumber, volumeNumber } ) => {
+    const summaryKey = makeSummaryKey( issueNumber, volumeNumber );
+    setIssueVotes( ( prev ) => ( { ...prev, [ summaryKey ]: { loading: true, votes: prev[ summaryKey ]?.votes ?? [] } } ) );
+
+    try {
+      const response = await axios.get( "/api/votes", { params: { volumeNumber, issueNumber } } );
+      setIssueVotes( ( prev ) => ( { ...prev, [ summaryKey ]: { loading: false, votes: response.data.data || [] } } ) );
+    } catch ( err ) {
+      console.error( "Error fetching votes", err );
+      setIssueVotes( ( prev ) => ( { ...prev, [ summaryKey ]: { loading: false, votes: [], error: true } } ) );
+    }
+  };
+
+  // Nearest other days by summary embedding, so a debate that spans several issues can be followed
+  const loadRelatedIssues = async ( { issueNumber, volumeNumber } ) => {
+    const summaryKey = makeSummaryKey( issueNumber, volumeNumber );
+    setRelatedIssues( ( prev ) => ( { ...prev, [ summaryKey ]: { loading: true, issues: prev[ summaryKey ]?.issues ?? [] } } ) );
+
+    try {
+      const response = await axios.get( "/api/related", { params: { volumeNumber, issueNumber } } );
+      setRelatedIssues( ( prev ) => ( { ...prev, [ summaryKey ]: { loading: false, issues: response.data.data || [] } } ) );
+    } catch ( err ) {
+      console.error( "Error fetching related issues", err );
+      setRelatedIssues( ( prev ) => ( { ...prev, [ summaryKey ]: { loading: false, issues: [], error: true } } ) );
+    }
+  };
+
+  // Show a related day on its own: its volume and date, without the current query
+  const openRelatedIssue = ( issue ) => {
+    const day = issue.issueDate ? issue.issueDate.slice( 0, 10 ) : "";
+    setSelectedSummary( null );
+    setQuery( "" );
+    setActiveQuery( "" );
+    setFilters( ( prev ) => ( { ...prev, volumeNumber: String( issue.volumeNumber ), startDate: day, endDate: day } ) );
+  };
+
+  const summarizePdf = async ( source, { section = DEFAULT_SECTION, refresh = false } = {} ) => {
+    const { issueNumber, volumeNumber, issueDate } = source;
+    const pdfUrl = getSectionPdfUrl( source, section );
     const summaryKey = makeSummaryKey( issueNumber, volumeNumber );
     setLoadingSummaries( ( prev ) => ( { ...prev, [ summaryKey ]: true } ) );
     setSummaryProgress( ( prev ) => ( { ...prev, [ summaryKey ]: { total: null, completed: 0 } } ) );
 
     if ( !pdfUrl || !issueNumber || !volumeNumber ) {
-      setSelectedSummary( "Summary unavailable for this record." );
+      setSelectedSummary( { text: "Summary unavailable for this record.", section, source } );
       setLoadingSummaries( ( prev ) => ( { ...prev, [ summaryKey ]: false } ) );
       setSummaryProgress( ( prev ) => {
         const next = { ...prev };
@@ -116,85 +288,59 @@ export default function Home() {
     }
 
     try {
-      const response = await fetch( "/api/summarizePdf", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify( { pdfUrl, issueNumber, volumeNumber, issueDate } )
-      } );
-
-      if ( !response.ok ) {
-        throw new Error( `Summarize failed: ${ response.status }` );
-      }
-
-      if ( !response.body ) {
-        throw new Error( "No response body returned." );
-      }
+      const response = await axios.post( "/api/summaryJobs", { pdfUrl, issueNumber, volumeNumber, issueDate, section, refresh } );
+      let parsed = response.data;
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder( "utf-8" );
-      let buffer = "";
-      let lineBuffer = "";
-      let totalChunks = null;
-      const seenChunkIndexes = new Set();
-
-      while ( true ) {
-        const { done, value } = await reader.read();
-        if ( done ) break;
-
-        const decoded = decoder.decode( value, { stream: true } );
-        buffer += decoded;
-        lineBuffer += decoded;
-
-        const lines = lineBuffer.split( "\n" );
-        lineBuffer = lines.pop() ?? "";
-
-        for ( const line of lines ) {
-          const trimmed = line.trim();
-          if ( !trimmed ) continue;
-
-          if ( totalChunks === null ) {
-            const match = trimmed.match( /"totalChunks"\s*:\s*(\d+)/ );
-            if ( match ) {
-              totalChunks = Number( match[ 1 ] );
-              setSummaryProgress( ( prev ) => ( {
-                ...prev,
-                [ summaryKey ]: { total: totalChunks, completed: 0 }
-              } ) );
-            }
+      // Not cached yet: the server queued a job, so follow it until the summary is written
+      if ( parsed.job ) {
+        let job = parsed.job;
+        while ( job.status !== "completed" ) {
+          if ( job.status === "failed" ) {
+            throw new Error( job.error || "Summary job failed" );
           }
 
-          const jsonLine = trimmed.startsWith( "," ) ? trimmed.slice( 1 ) : trimmed;
-          if ( jsonLine.startsWith( "{" ) && jsonLine.includes( "\"index\"" ) ) {
-            try {
-              const parsedChunk = JSON.parse( jsonLine );
-              if ( Number.isInteger( parsedChunk.index ) && !seenChunkIndexes.has( parsedChunk.index ) ) {
-                seenChunkIndexes.add( parsedChunk.index );
-                const completed = seenChunkIndexes.size;
-                setSummaryProgress( ( prev ) => ( {
-                  ...prev,
-                  [ summaryKey ]: { total: totalChunks, completed }
-                } ) );
-              }
-            } catch ( err ) {
-              // Ignore non-chunk lines or partial JSON.
-            }
-          }
+          const { totalChunks, completedChunks } = job;
+          setSummaryProgress( ( prev ) => ( {
+            ...prev,
+            [ summaryKey ]: { total: totalChunks, completed: completedChunks }
+          } ) );
+
+          await new Promise( ( resolve ) => setTimeout( resolve, JOB_POLL_INTERVAL_MS ) );
+          const pollResponse = await axios.get( `/api/summaryJobs/${ job.id }` );
+          parsed = pollResponse.data;
+          job = parsed.job;
         }
       }
 
-      const parsed = JSON.parse( buffer );
-      setSelectedSummary( parsed.summary );
+      const stale = Boolean( parsed.stale );
+      const markSummarized = ( sections ) => sections?.map( ( item ) =>
+        item.key === section ? { ...item, hasSummary: true, summaryStale: stale } : item
+      );
+      setSelectedSummary( {
+        text: parsed.summary,
+        executiveSummary: parsed.executiveSummary ?? null,
+        citations: parsed.citations ?? [],
+        pdfUrl: pdfProxyPath( { issueNumber, volumeNumber, section } ),
+        stale,
+        section,
+        source: { ...source, sections: markSummarized( source.sections ) }
+      } );
+      loadIssueVotes( source );
+      loadRelatedIssues( source );
 
-      // Update the local record with the new summary preview so the card refreshes immediately
+      // Update the local record with the new summary so the card refreshes immediately
       setRecords( ( prev ) =>
-        prev.map( ( rec ) =>
-          rec.issueNumber === issueNumber && rec.volumeNumber === volumeNumber
-            ? { ...rec, summaryPreview: buildPreview( parsed.summary ), hasSummary: true }
-            : rec
-        )
+        prev.map( ( rec ) => {
+          if ( rec.issueNumber !== issueNumber || rec.volumeNumber !== volumeNumber ) return rec;
+
+          const sections = markSummarized( rec.sections );
+          return section === DEFAULT_SECTION
+            ? { ...rec, sections, summaryPreview: buildPreview( parsed.summary ), hasSummary: true, summaryStale: stale }
+            : { ...rec, sections };
+        } )
       );
     } catch ( err ) {
-      setSelectedSummary( "Failed to summarize this document." );
+      setSelectedSummary( { text: "Failed to summarize this document.", section, source } );
     } finally {
       setLoadingSummaries( ( prev ) => ( { ...prev, [ summaryKey ]: false } ) );
       setSummaryProgress( ( prev ) => {
@@ -205,6 +351,21 @@ export default function Home() {
     }
   };
 
+  // Switch chamber tabs (or re-run a stale summary) without closing the modal
+  const openSummarySection = ( section, options = {} ) => {
+    const source = selectedSummary?.source;
+    if ( !source ) return;
+    setSelectedSummary( { section, source, loading: true } );
+    summarizePdf( source, { ...options, section } );
+  };
+
+  const modalKey = selectedSummary?.source
+    ? makeSummaryKey( selectedSummary.source.issueNumber, selectedSummary.source.volumeNumber )
+    : null;
+  const modalProgress = modalKey ? summaryProgress[ modalKey ] : null;
+  const modalVotes = modalKey ? issueVotes[ modalKey ] : null;
+  const modalRelated = modalKey ? relatedIssues[ modalKey ] : null;
+
   const handleSectionToggle = ( key ) => {
     setFilters( ( prev ) => {
       const hasKey = prev.sections.includes( key );
@@ -244,6 +405,64 @@ export default function Home() {
     );
   };
 
+  const renderRelatedDays = ( related ) => {
+    if ( related?.loading ) return <p className="text-xs text-slate-500">Finding related days…</p>;
+    if ( related?.error ) return <p className="text-xs text-red-700">Could not load related days.</p>;
+    if ( !related?.issues?.length ) return <p className="text-xs text-slate-500">No related days found yet.</p>;
+
+    return (
+      <div className="flex gap-2 overflow-x-auto pb-1">
+        { related.issues.map( ( issue ) => (
+          <button
+            key={ `${ issue.volumeNumber }-${ issue.issueNumber }` }
+            type="button"
+            onClick={ () => openRelatedIssue( issue ) }
+            title={ issue.preview || "" }
+            className="shrink-0 text-left px-3 py-2 rounded-lg border border-slate-200 bg-slate-50 hover:border-blue-300 hover:bg-blue-50 transition"
+          >
+            <span className="block text-xs font-semibold text-slate-800">{ formatIssueDate( issue.issueDate ) }</span>
+            <span className="block text-xs text-slate-500">
+              Vol. { issue.volumeNumber } · Issue { issue.issueNumber } · <span className="text-blue-700 font-semibold">{ ( issue.similarity * 100 ).toFixed( 0 ) }%</span>
+            </span>
+          </button>
+        ) ) }
+      </div>
+    );
+  };
+
+  // Turn [H1234]-style citations into links that open the section PDF at the cited page
+  const renderWithCitations = ( { text, citations, pdfUrl } ) => {
+    if ( !text || !pdfUrl || !citations?.length ) return text;
+
+    const pagesByAnchor = new Map( citations.map( ( citation ) => [ citation.anchor, citation.pdfPage ] ) );
+    return text.split( CITATION_REGEX ).map( ( part, idx ) => {
+      if ( idx % 2 === 0 ) return <React.Fragment key={ idx }>{ part }</React.Fragment>;
+
+      const anchors = parseCitationAnchors( part );
+      return (
+        <span key={ idx } className="text-sm text-slate-500">
+          [
+          { anchors.map( ( anchor, anchorIdx ) => (
+            <React.Fragment key={ `${ anchor }-${ anchorIdx }` }>
+              { anchorIdx > 0 ? ", " : "" }
+              { pagesByAnchor.has( anchor ) ? (
+                <a
+                  href={ `${ pdfUrl }#page=${ pagesByAnchor.get( anchor ) }` }
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-blue-700 hover:underline"
+                >
+                  { anchor }
+                </a>
+              ) : anchor }
+            </React.Fragment>
+          ) ) }
+          ]
+        </span>
+      );
+    } );
+  };
+
   return (
     <div className="min-h-screen bg-slate-50 text-slate-900">
       <header className="bg-gradient-to-r from-slate-900 via-blue-900 to-indigo-800 text-white shadow">
@@ -275,17 +494,31 @@ export default function Home() {
                   type="text"
                   value={ query }
                   onChange={ ( e ) => setQuery( e.target.value ) }
-                  placeholder="Search by topic, bill, member, or phrase (semantic)"
+                  placeholder={ searchMode === "speeches"
+                    ? "Only show remarks containing this phrase (optional)"
+                    : "Search by topic or \"exact phrase\"; -exclude, member:Schumer, bill:hr1234" }
                   className="w-full pl-10 pr-4 py-3 rounded-lg border border-slate-200 bg-slate-50 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
                 />
               </div>
+              <div className="inline-flex rounded-lg border border-slate-200 bg-slate-50 p-1 text-sm">
+                { [ [ "issues", "Issues" ], [ "speeches", "Speeches" ] ].map( ( [ mode, label ] ) => (
+                  <button
+                    key={ mode }
+                    type="button"
+                    onClick={ () => setSearchMode( mode ) }
+                    className={ `px-3 py-2 rounded-md font-medium transition ${ searchMode === mode ? "bg-white text-blue-700 shadow-sm" : "text-slate-600 hover:text-slate-800" }` }
+                  >
+                    { label }
+                  </button>
+                ) ) }
+              </div>
               <button
                 type="submit"
                 disabled={ loading || searching }
                 className="inline-flex items-center justify-center gap-2 px-4 py-3 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-70"
               >
                 <Sparkles className="w-4 h-4" />
-                { searching ? "Searching..." : "Semantic search" }
+                { searching ? "Searching..." : searchMode === "speeches" ? "Search speeches" : "Semantic search" }
               </button>
             </div>
 
@@ -360,8 +593,53 @@ export default function Home() {
                   Only show saved summaries
                 </label>
               </div>
+
+              <div className="bg-slate-50 border border-slate-200 rounded-lg p-3">
+                <p className="text-sm font-semibold text-slate-800">Member</p>
+                <input
+                  type="text"
+                  value={ filters.speaker }
+                  placeholder="Surname, e.g. Schumer"
+                  onChange={ ( e ) => setFilters( ( prev ) => ( { ...prev, speaker: e.target.value } ) ) }
+                  className="w-full mt-2 px-3 py-2 rounded-md border border-slate-200 bg-white text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+                <p className="text-xs text-slate-500 mt-1">
+                  { searchMode === "speeches" ? "Required: every speech by this member in the date range." : "Issues where this member spoke." }
+                </p>
+              </div>
             </div>
 
+            { searchMode === "issues" && facets?.total ? (
+              <div className="border-t border-slate-100 pt-3 space-y-2">
+                { [
+                  { title: "Congress", items: facets.congress, isActive: ( item ) => String( item.value ) === String( filters.congress ), onToggle: ( item ) => toggleFilterValue( "congress", item.value ), format: ( item ) => `${ item.value }th` },
+                  { title: "Session", items: facets.session, isActive: ( item ) => String( item.value ) === String( filters.sessionNumber ), onToggle: ( item ) => toggleFilterValue( "sessionNumber", item.value ) },
+                  { title: "Volume", items: facets.volume, isActive: ( item ) => String( item.value ) === String( filters.volumeNumber ), onToggle: ( item ) => toggleFilterValue( "volumeNumber", item.value ) },
+                  { title: "Month", items: facets.month, isActive: ( item ) => filters.startDate === `${ item.value }-01`, onToggle: ( item ) => toggleMonth( item.value ), format: ( item ) => format( parseISO( `${ item.value }-01` ), "MMM yyyy" ) },
+                  { title: "Sections", items: facets.sections.filter( ( item ) => item.count > 0 ), isActive: ( item ) => filters.sections.includes( item.value ), onToggle: ( item ) => handleSectionToggle( item.value ), format: ( item ) => item.label },
+                  { title: "Summary", items: facets.summaryStatus.filter( ( item ) => item.count > 0 ), isActive: ( item ) => filters.summaryStatus === item.value, onToggle: ( item ) => toggleFilterValue( "summaryStatus", item.value ), format: ( item ) => item.label }
+                ].filter( ( group ) => group.items.length > 0 ).map( ( group ) => (
+                  <div key={ group.title } className="flex flex-wrap items-center gap-1.5 text-xs">
+                    <span className="w-20 shrink-0 font-semibold text-slate-500 uppercase tracking-wide">{ group.title }</span>
+                    { group.items.map( ( item ) => (
+                      <button
+                        key={ item.value }
+                        type="button"
+                        onClick={ () => group.onToggle( item ) }
+                        className={ `px-2 py-0.5 rounded-full border transition ${ group.isActive( item )
+                          ? "bg-blue-600 text-white border-blue-600"
+                          : "bg-white text-slate-700 border-slate-200 hover:border-slate-300"
+                          }` }
+                      >
+                        { group.format ? group.format( item ) : item.value }
+                        <span className={ group.isActive( item ) ? "ml-1 text-blue-100" : "ml-1 text-slate-400" }>{ item.count }</span>
+                      </button>
+                    ) ) }
+                  </div>
+                ) ) }
+              </div>
+            ) : null }
+
             { hasActiveFilters && (
               <div className="flex items-center gap-2 text-xs text-slate-600">
                 <Sparkles className="w-4 h-4 text-blue-600" />
@@ -371,6 +649,80 @@ export default function Home() {
           </form>
         </section>
 
+        { digest ? (
+          <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 md:p-6 space-y-4">
+            <div className="flex flex-wrap items-baseline justify-between gap-2">
+              <h2 className="text-xl font-semibold text-slate-900">What happened today</h2>
+              <p className="text-sm text-slate-500">
+                Daily Digest · { formatIssueDate( digest.issueDate ) } · Vol. { digest.volumeNumber }, Issue { digest.issueNumber }
+                { digest.digest.pdfUrl ? (
+                  <a
+                    href={ pdfProxyPath( { ...digest, section: "dailyDigest" } ) }
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="ml-2 inline-flex items-center gap-1 text-blue-700 font-semibold hover:underline"
+                  >
+                    PDF <ExternalLink className="w-3 h-3" />
+                  </a>
+                ) : null }
+              </p>
+            </div>
+            { digest.digest.highlights?.length ? (
+              <ul className="list-disc pl-5 space-y-1 text-sm text-slate-800">
+                { digest.digest.highlights.map( ( highlight, index ) => <li key={ index }>{ highlight }</li> ) }
+              </ul>
+            ) : null }
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+              { [ [ "senate", "Senate" ], [ "house", "House" ] ].map( ( [ key, label ] ) => {
+                const chamber = digest.digest[ key ];
+                const nextMeeting = digest.digest.nextMeetings?.[ key ];
+                if ( !chamber?.actions?.length && !chamber?.committeeMeetings?.length && !nextMeeting ) return null;
+                return (
+                  <div key={ key } className="space-y-3">
+                    <h3 className="text-sm font-semibold uppercase tracking-wide text-slate-500">{ label }</h3>
+                    { chamber.actions.filter( ( action ) => action.text ).length ? (
+                      <ul className="space-y-2">
+                        { chamber.actions.filter( ( action ) => action.text ).map( ( action, index ) => (
+                          <li key={ index } className="text-sm text-slate-700">
+                            <span className="font-semibold text-slate-900">{ action.title }:</span>{ " " }
+                            <span className="line-clamp-3">{ action.text }</span>
+                          </li>
+                        ) ) }
+                      </ul>
+                    ) : null }
+                    { chamber.committeeMeetings.length ? (
+                      <div>
+                        <p className="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-1">Committee meetings</p>
+                        <ul className="text-sm text-slate-700 space-y-1">
+                          { chamber.committeeMeetings.map( ( meeting, index ) => (
+                            <li key={ index } title={ meeting.text }>{ meeting.title }</li>
+                          ) ) }
+                        </ul>
+                      </div>
+                    ) : null }
+                    { nextMeeting ? (
+                      <p className="text-xs text-slate-600 bg-slate-50 border border-slate-200 rounded-md p-2">
+                        <span className="font-semibold">Next meeting:</span> { nextMeeting.when }
+                        { nextMeeting.text ? ` ${ nextMeeting.text }` : "" }
+                      </p>
+                    ) : null }
+                  </div>
+                );
+              } ) }
+            </div>
+            { digest.digest.jointMeetings?.length ? (
+              <div>
+                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-1">Joint meetings</p>
+                <ul className="text-sm text-slate-700 space-y-1">
+                  { digest.digest.jointMeetings.map( ( meeting, index ) => (
+                    <li key={ index } title={ meeting.text }>{ meeting.title }</li>
+                  ) ) }
+                </ul>
+              </div>
+            ) : null }
+          </section>
+        ) : null }
+
         { loading ? (
           <p className="text-center text-slate-600 font-semibold mt-6">Loading search results…</p>
         ) : error ? (
@@ -381,16 +733,95 @@ export default function Home() {
               <p className="text-sm">{ error }</p>
             </div>
           </div>
-        ) : (
+        ) : searchMode === "speeches" ? (
           <>
             <div className="flex items-center justify-between text-sm text-slate-600">
               <p>
-                Showing { records.length } result{ records.length === 1 ? "" : "s" }
+                Showing { speeches.length } speech{ speeches.length === 1 ? "" : "es" }
+                { filters.speaker.trim() ? ` by “${ filters.speaker.trim() }”` : "" }
+              </p>
+            </div>
+
+            { speeches.length === 0 ? (
+              <div className="bg-white border border-slate-200 rounded-xl p-6 text-center text-slate-600">
+                <p className="font-semibold text-slate-800 mb-1">
+                  { filters.speaker.trim() ? "No speeches match that member." : "Enter a member to list their speeches." }
+                </p>
+                <p className="text-sm">Speeches are indexed when an issue is summarized.</p>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                { speeches.map( ( speech ) => (
+                  <article key={ speech.id } className="bg-white border border-slate-200 rounded-xl shadow-sm p-5 space-y-2">
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <div>
+                        <p className="font-semibold text-slate-900">
+                          { speech.memberName ?? speech.speaker }
+                          { speech.party ? (
+                            <span className="ml-1 text-sm font-normal text-slate-500">
+                              ({ [ speech.party, speech.state ].filter( Boolean ).join( "-" ) })
+                            </span>
+                          ) : null }
+                        </p>
+                        <p className="text-xs text-slate-500">
+                          { formatIssueDate( speech.issueDate ) } · Vol. { speech.volumeNumber }, Issue { speech.issueNumber }
+                          { speech.chamber ? ` · ${ speech.chamber }` : "" }
+                        </p>
+                      </div>
+                      { speech.pdfUrl ? (
+                        <a
+                          href={ `${ pdfProxyPath( speech ) }#page=${ speech.pdfPageStart }` }
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="inline-flex items-center gap-1 text-blue-700 font-semibold text-sm hover:underline"
+                        >
+                          { speech.recordPageStart
+                            ? speech.recordPageEnd && speech.recordPageEnd !== speech.recordPageStart
+                              ? `${ speech.recordPageStart }–${ speech.recordPageEnd }`
+                              : speech.recordPageStart
+                            : "View PDF" }
+                          <ExternalLink className="w-4 h-4" />
+                        </a>
+                      ) : null }
+                    </div>
+                    { speech.heading ? <p className="text-xs uppercase tracking-wide text-slate-500">{ speech.heading }</p> : null }
+                    <p className="text-sm text-slate-700 leading-6 whitespace-pre-line line-clamp-6">{ renderHighlighted( speech.text ) }</p>
+                  </article>
+                ) ) }
+              </div>
+            ) }
+          </>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center justify-between gap-2 text-sm text-slate-600">
+              <p>
+                Showing { records.length }{ total !== null && ( total > records.length || totalCapped ) ? ` of ${ totalCapped ? "the top " : "" }${ total }` : "" } result{ ( total ?? records.length ) === 1 ? "" : "s" }
                 { activeQuery ? ` for “${ activeQuery }”` : "" }
               </p>
-              { activeQuery && <p className="text-blue-700 font-medium">Semantic search enabled</p> }
+              <div className="flex items-center gap-3">
+                { activeQuery && <p className="text-blue-700 font-medium">Ranked by keywords and meaning</p> }
+                <label className="flex items-center gap-2">
+                  <span className="text-slate-500">Sort</span>
+                  <select
+                    value={ sort || ( activeQuery ? "relevance" : "newest" ) }
+                    onChange={ ( e ) => setSort( e.target.value ) }
+                    className="px-2 py-1 rounded-md border border-slate-200 bg-white text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    { SORT_OPTIONS.filter( ( option ) => !option.needsQuery || activeQuery ).map( ( option ) => (
+                      <option key={ option.key } value={ option.key }>{ option.label }</option>
+                    ) ) }
+                  </select>
+                </label>
+              </div>
             </div>
 
+            { activeQuery && embeddingCoverage?.incompatible > 0 && (
+              <p className="flex items-center gap-2 text-xs rounded-lg px-3 py-2 bg-amber-50 text-amber-800 border border-amber-200">
+                <AlertTriangle className="w-3 h-3 shrink-0" />
+                { embeddingCoverage.incompatible } indexed summar{ embeddingCoverage.incompatible === 1 ? "y was" : "ies were" } embedded with an older model and only match by keyword until re-embedding finishes.
+              </p>
+            ) }
+
             { records.length === 0 ? (
               <div className="bg-white border border-slate-200 rounded-xl p-6 text-center text-slate-600">
                 <p className="font-semibold text-slate-800 mb-1">No reports match that search.</p>
@@ -419,21 +850,34 @@ export default function Home() {
                             <span>{ formatIssueDate( record.issueDate ) }</span>
                           </div>
                         </div>
-                        { record.similarity !== undefined && record.similarity !== null && (
+                        { record.summaryStale && (
+                          <span
+                            className="shrink-0 inline-flex items-center gap-1 px-2 py-1 text-xs rounded-full bg-amber-50 text-amber-800 border border-amber-200"
+                            title="congress.gov revised this issue after it was summarized."
+                          >
+                            <AlertTriangle className="w-3 h-3" /> Source updated
+                          </span>
+                        ) }
+                        { record.similarity !== undefined && record.similarity !== null ? (
                           <div className="text-right">
                             <p className="text-xs text-slate-500">Match</p>
                             <p className="text-sm font-semibold text-blue-700">
                               { ( record.similarity * 100 ).toFixed( 1 ) }%
                             </p>
                           </div>
-                        ) }
+                        ) : record.matchedBy?.length ? (
+                          <div className="text-right">
+                            <p className="text-xs text-slate-500">Match</p>
+                            <p className="text-sm font-semibold text-blue-700">Keyword</p>
+                          </div>
+                        ) : null }
                       </div>
 
                       <div className="flex flex-wrap gap-2">
                         { record.sections?.map( ( section ) => (
                           <a
                             key={ `${ record.id }-${ section.key }` }
-                            href={ section.url }
+                            href={ pdfProxyPath( { ...record, section: section.key } ) }
                             target="_blank"
                             rel="noopener noreferrer"
                             className="inline-flex items-center gap-1 px-3 py-1 text-xs rounded-full bg-blue-50 text-blue-800 border border-blue-100 hover:bg-blue-100 transition"
@@ -447,9 +891,80 @@ export default function Home() {
                         { renderHighlighted( record.summaryPreview ) }
                       </div>
 
+                      { record.passages?.length ? (
+                        <div className="space-y-2">
+                          <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Matching passages</p>
+                          { record.passages.map( ( passage ) => {
+                            const passagePdfUrl = getSectionPdfUrl( record, passage.section );
+                            const pageLabel = passage.recordPageStart
+                              ? passage.recordPageEnd && passage.recordPageEnd !== passage.recordPageStart
+                                ? `${ passage.recordPageStart }–${ passage.recordPageEnd }`
+                                : passage.recordPageStart
+                              : `p${ passage.pdfPageStart ?? "?" }`;
+                            return (
+                              <div key={ `${ passage.section }-${ passage.chunkIndex }` } className="text-xs bg-slate-50 border border-slate-200 rounded-md p-2">
+                                <div className="flex items-center justify-between gap-2 mb-1">
+                                  { passagePdfUrl && passage.pdfPageStart ? (
+                                    <a
+                                      href={ `${ pdfProxyPath( { ...record, section: passage.section } ) }#page=${ passage.pdfPageStart }` }
+                                      target="_blank"
+                                      rel="noopener noreferrer"
+                                      className="inline-flex items-center gap-1 text-blue-700 font-semibold hover:underline"
+                                    >
+                                      { pageLabel } <ExternalLink className="w-3 h-3" />
+                                    </a>
+                                  ) : (
+                                    <span className="font-semibold text-slate-700">{ pageLabel }</span>
+                                  ) }
+                                  <span className="text-blue-700 font-semibold">{ ( passage.similarity * 100 ).toFixed( 1 ) }%</span>
+                                </div>
+                                { passage.excerpt ? <p className="text-slate-700 leading-5 line-clamp-3">{ renderHighlighted( passage.excerpt ) }</p> : null }
+                              </div>
+                            );
+                          } ) }
+                        </div>
+                      ) : null }
+
+                      { record.topics?.length ? (
+                        <div className="flex flex-wrap gap-1">
+                          { record.topics.slice( 0, 6 ).map( ( topic ) => (
+                            <button
+                              key={ topic }
+                              type="button"
+                              onClick={ () => setFilters( ( prev ) => ( { ...prev, topic: prev.topic === topic ? "" : topic } ) ) }
+                              className={ `px-2 py-0.5 text-xs rounded-full border transition ${ filters.topic === topic
+                                ? "bg-blue-600 text-white border-blue-600"
+                                : "bg-slate-50 text-slate-600 border-slate-200 hover:border-slate-300"
+                                }` }
+                            >
+                              #{ topic }
+                            </button>
+                          ) ) }
+                        </div>
+                      ) : null }
+
+                      { record.hasSummary ? (
+                        <div className="space-y-2">
+                          <button
+                            type="button"
+                            onClick={ () => relatedIssues[ summaryKey ]
+                              ? setRelatedIssues( ( prev ) => {
+                                const next = { ...prev };
+                                delete next[ summaryKey ];
+                                return next;
+                              } )
+                              : loadRelatedIssues( record ) }
+                            className="text-xs font-semibold uppercase tracking-wide text-slate-500 hover:text-slate-700"
+                          >
+                            { relatedIssues[ summaryKey ] ? "Hide related days" : "Related days" }
+                          </button>
+                          { relatedIssues[ summaryKey ] ? renderRelatedDays( relatedIssues[ summaryKey ] ) : null }
+                        </div>
+                      ) : null }
+
                       <div className="flex items-center gap-3 pt-2">
                         <a
-                          href={ pdfUrl }
+                          href={ pdfProxyPath( { ...record, section: getDefaultSection( record ) } ) }
                           target="_blank"
                           rel="noopener noreferrer"
                           className="inline-flex items-center gap-1 text-blue-700 font-semibold text-sm hover:underline"
@@ -457,7 +972,7 @@ export default function Home() {
                           View PDF <ExternalLink className="w-4 h-4" />
                         </a>
                         <button
-                          onClick={ () => summarizePdf( pdfUrl, record.issueNumber, record.volumeNumber, record.issueDate ) }
+                          onClick={ () => summarizePdf( record, { section: getDefaultSection( record ) } ) }
                           className="text-sm font-semibold inline-flex items-center gap-1 text-green-700 hover:underline disabled:opacity-60"
                           disabled={ !canSummarize || loadingSummaries[ summaryKey ] }
                           title={ canSummarize ? "" : "Summary unavailable for this record." }
@@ -499,6 +1014,19 @@ export default function Home() {
                 } ) }
               </div>
             ) }
+
+            { nextCursor ? (
+              <div className="flex justify-center">
+                <button
+                  type="button"
+                  onClick={ loadMoreRecords }
+                  disabled={ loadingMore }
+                  className="px-4 py-2 rounded-lg border border-slate-200 bg-white text-slate-700 font-semibold hover:bg-slate-50 disabled:opacity-70"
+                >
+                  { loadingMore ? "Loading…" : "Load more" }
+                </button>
+              </div>
+            ) : null }
           </>
         ) }
       </main>
@@ -512,7 +1040,113 @@ export default function Home() {
                 Close
               </button>
             </div>
-            <p className="text-slate-800 text-base leading-7 whitespace-pre-wrap text-pretty">{ selectedSummary }</p>
+            { selectedSummary.source?.sections?.length > 1 ? (
+              <div className="flex flex-wrap gap-2 border-b border-slate-200 pb-3 mb-4">
+                { selectedSummary.source.sections.map( ( section ) => {
+                  const isActive = section.key === selectedSummary.section;
+                  return (
+                    <button
+                      key={ section.key }
+                      type="button"
+                      onClick={ () => openSummarySection( section.key ) }
+                      disabled={ selectedSummary.loading }
+                      className={ `px-3 py-1 rounded-full text-sm border transition disabled:opacity-60 ${ isActive
+                        ? "bg-blue-600 text-white border-blue-600 shadow-sm"
+                        : "bg-white text-slate-700 border-slate-200 hover:border-slate-300"
+                        }` }
+                    >
+                      { section.label }
+                      { section.hasSummary && !isActive ? <span className="ml-1 text-green-600">•</span> : null }
+                    </button>
+                  );
+                } ) }
+              </div>
+            ) : null }
+            { selectedSummary.loading ? (
+              <p className="text-slate-600 text-sm">
+                Summarizing this section
+                { modalProgress?.total ? ` (${ modalProgress.completed } / ${ modalProgress.total } chunks)` : "" }…
+              </p>
+            ) : (
+              <>
+                { selectedSummary.stale && selectedSummary.source ? (
+                  <div className="mb-4 bg-amber-50 border border-amber-200 text-amber-800 rounded-lg p-3 flex items-start justify-between gap-3">
+                    <div className="flex items-start gap-2 text-sm">
+                      <AlertTriangle className="w-4 h-4 mt-0.5" />
+                      <span>Source updated. congress.gov has revised this issue since the summary was written.</span>
+                    </div>
+                    <button
+                      onClick={ () => openSummarySection( selectedSummary.section, { refresh: true } ) }
+                      className="shrink-0 px-3 py-1 rounded-md bg-amber-600 text-white text-sm font-semibold hover:bg-amber-700"
+                    >
+                      Re-summarize
+                    </button>
+                  </div>
+                ) : null }
+                { selectedSummary.executiveSummary ? (
+                  <div className="mb-6 bg-blue-50 border border-blue-100 rounded-lg p-4">
+                    <h3 className="text-sm font-semibold uppercase tracking-wide text-blue-800 mb-2">Executive summary</h3>
+                    <p className="text-slate-800 text-base leading-7 whitespace-pre-wrap text-pretty">
+                      { renderWithCitations( { ...selectedSummary, text: selectedSummary.executiveSummary } ) }
+                    </p>
+                  </div>
+                ) : null }
+                { selectedSummary.executiveSummary ? (
+                  <h3 className="text-sm font-semibold uppercase tracking-wide text-slate-500 mb-2">Full summary</h3>
+                ) : null }
+                <p className="text-slate-800 text-base leading-7 whitespace-pre-wrap text-pretty">{ renderWithCitations( selectedSummary ) }</p>
+                { modalRelated ? (
+                  <div className="mt-6 border-t border-slate-200 pt-4">
+                    <h3 className="text-sm font-semibold uppercase tracking-wide text-slate-500 mb-3">Related days</h3>
+                    { renderRelatedDays( modalRelated ) }
+                  </div>
+                ) : null }
+                { modalVotes?.votes?.length ? (
+                  <div className="mt-6 border-t border-slate-200 pt-4">
+                    <h3 className="text-sm font-semibold uppercase tracking-wide text-slate-500 mb-3">Votes</h3>
+                    <ul className="space-y-3">
+                      { modalVotes.votes.map( ( vote ) => (
+                        <li key={ vote.id } className="bg-slate-50 border border-slate-200 rounded-lg p-3 text-sm">
+                          <div className="flex flex-wrap items-center justify-between gap-2">
+                            <span className="font-semibold text-slate-800">
+                              { vote.chamber } roll call { vote.rollNumber }
+                              { vote.bills?.length ? ` · ${ vote.bills.map( ( bill ) => bill.label ).join( ", " ) }` : "" }
+                            </span>
+                            { vote.outcome ? (
+                              <span className={ `px-2 py-0.5 rounded-full text-xs font-semibold ${ /not|rejected/.test( vote.outcome )
+                                ? "bg-red-100 text-red-800"
+                                : "bg-green-100 text-green-800"
+                                }` }>
+                                { vote.outcome }
+                              </span>
+                            ) : null }
+                          </div>
+                          { vote.question ? <p className="text-slate-700 mt-1">{ vote.question }</p> : null }
+                          <p className="text-slate-600 mt-1">
+                            Yeas { vote.yeas ?? "?" } · Nays { vote.nays ?? "?" }
+                            { vote.present != null ? ` · Present ${ vote.present }` : "" }
+                            { vote.notVoting != null ? ` · Not voting ${ vote.notVoting }` : "" }
+                            { vote.pdfUrl && vote.pdfPage ? (
+                              <>
+                                { " · " }
+                                <a
+                                  href={ `${ pdfProxyPath( { ...vote, section: vote.section ?? DEFAULT_SECTION } ) }#page=${ vote.pdfPage }` }
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  className="text-blue-700 hover:underline"
+                                >
+                                  { vote.recordPage ?? `p${ vote.pdfPage }` }
+                                </a>
+                              </>
+                            ) : null }
+                          </p>
+                        </li>
+                      ) ) }
+                    </ul>
+                  </div>
+                ) : null }
+              </>
+            ) }
           </div>
         </div>
       ) }
@@ -0,0 +1,107 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const calls = [];
+const sectionText = { pages: [], textHash: "new", indexedTextHash: "old" };
+
+vi.mock( "../utils/sectionTexts", () => ( {
+    findStoredSections: async () => [ { section: "fullIssue", pdfUrl: "https://www.congress.gov/118/crec/2024/03/12/170/44/CREC-2024-03-12.pdf" } ],
+    loadSectionText: async () => sectionText,
+    markSectionTextIndexed: async () => calls.push( "markIndexed" )
+} ) );
+// The real indexIssueText runs over these indexers, each logging its rebuild
+const indexVotes = vi.fn();
+vi.mock( "../utils/billMentions", () => ( { indexBillMentions: async () => calls.push( "index:bills" ) } ) );
+vi.mock( "../utils/speeches", () => ( { indexSpeeches: async () => calls.push( "index:speeches" ) } ) );
+vi.mock( "../utils/votes", () => ( { indexVotes } ) );
+vi.mock( "../utils/digests", () => ( { indexDigest: async () => calls.push( "index:digest" ) } ) );
+vi.mock( "../utils/memberRoster", () => ( { congressForDate: () => 118, loadRoster: async () => null } ) );
+vi.mock( "../utils/summaryJobs", () => ( {
+    enqueueSummaryJob: async () => ( { _id: "job" } ),
+    processSummaryJobs: vi.fn( async () => [] )
+} ) );
+vi.mock( "../utils/summarizeIssue", () => ( { parseSummaryRequest: ( issue ) => issue } ) );
+
+const { processSummaryJobs } = await import( "../utils/summaryJobs" );
+const { processQueuedAutoSummaries, reprocessUpdatedIssues } = await import( "../utils/autoSummarize" );
+
+// Logs each write by the collection it lands in
+const createDb = () => ( {
+    collection: ( name ) => ( {
+        countDocuments: async () => 0,
+        findOne: async () => ( { congress: 118, issueDate: "2024-03-12T04:00:00Z" } ),
+        updateMany: async () => calls.push( `${ name }.updateMany` ),
+        updateOne: async () => calls.push( `${ name }.updateOne` )
+    } )
+} );
+
+const record = { volumeNumber: 170, issueNumber: 44, issueDate: "2024-03-12T04:00:00Z", contents: [] };
+
+beforeEach( () => {
+    calls.length = 0;
+    Object.assign( sectionText, { textHash: "new", indexedTextHash: "old" } );
+    indexVotes.mockImplementation( async () => calls.push( "index:votes" ) );
+} );
+
+describe( "reprocessUpdatedIssues", () => {
+    it( "clears chunk stale flags only after the new text hash is stored", async () => {
+        const result = await reprocessUpdatedIssues( createDb(), [ record ] );
+
+        expect( result.changed ).toBe( 1 );
+        expect( calls ).toEqual( [ "index:bills", "index:speeches", "index:votes", "index:digest", "markIndexed", "chunkSummaries.updateMany" ] );
+    } );
+
+    it( "does not mark the text indexed when one of its indexers fails", async () => {
+        indexVotes.mockRejectedValue( new Error( "roll call table unreadable" ) );
+        const result = await reprocessUpdatedIssues( createDb(), [ record ] );
+
+        expect( calls ).toContain( "index:digest" );
+        expect( calls ).not.toContain( "markIndexed" );
+        expect( result.failed ).toEqual( [ { volumeNumber: 170, issueNumber: 44, section: "fullIssue", reason: "failed to index roll-call votes" } ] );
+    } );
+
+    it( "keeps the summary when the processed text is unchanged", async () => {
+        sectionText.indexedTextHash = "new";
+        const result = await reprocessUpdatedIssues( createDb(), [ record ] );
+
+        expect( result.unchanged ).toBe( 1 );
+        expect( calls ).toEqual( [ "chunkSummaries.updateMany", "summaries.updateOne" ] );
+    } );
+} );
+
+describe( "processQueuedAutoSummaries", () => {
+    // Today's runs have spent `spent` chunks; saved reports are kept for inspection
+    const createUsageDb = ( spent ) => {
+        const reports = [];
+        return {
+            reports,
+            collection: () => ( {
+                countDocuments: async () => 0,
+                aggregate: () => ( { toArray: async () => [ { chunks: spent } ] } ),
+                insertOne: async ( report ) => {
+                    reports.push( report );
+                    return { insertedId: "run" };
+                }
+            } )
+        };
+    };
+
+    it( "runs the cron's jobs within the rest of the daily chunk budget and records the spend", async () => {
+        processSummaryJobs.mockResolvedValueOnce( [ { id: "a", summarizedChunks: 6 }, { id: "b", summarizedChunks: 4 } ] );
+        const db = createUsageDb( 30 );
+        const result = await processQueuedAutoSummaries( db, { maxJobs: 5 } );
+
+        expect( processSummaryJobs ).toHaveBeenLastCalledWith( db, { maxJobs: 5, maxChunks: 10, filter: { source: { $in: [ "cron", "reprocess" ] } } } );
+        expect( result.chunksSummarized ).toBe( 10 );
+        expect( db.reports[ 0 ] ).toMatchObject( { kind: "work", chunksSummarized: 10 } );
+    } );
+
+    it( "runs nothing once the day's chunks are spent", async () => {
+        processSummaryJobs.mockClear();
+        const db = createUsageDb( 40 );
+        const result = await processQueuedAutoSummaries( db );
+
+        expect( processSummaryJobs ).not.toHaveBeenCalled();
+        expect( result ).toMatchObject( { chunkBudget: 0, jobs: [] } );
+        expect( db.reports ).toHaveLength( 0 );
+    } );
+} );
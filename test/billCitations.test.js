@@ -0,0 +1,106 @@
+import { describe, expect, it } from "vitest";
+import { parseBillNumber } from "../utils/billCitations";
+import { findBillMentions } from "../utils/billMentions";
+import { parseSearchQuery } from "../utils/searchQuery";
+import { findVotes } from "../utils/votes";
+
+// Mentions of H.R. 1234 in two Congresses; records which Congress each aggregation asked for
+const createDb = () => {
+    const matches = [];
+    const collection = {
+        createIndexes: async () => [],
+        distinct: async () => [ 117, null, 118 ],
+        aggregate: ( pipeline ) => {
+            const { $match } = pipeline[ 0 ];
+            matches.push( $match );
+            return {
+                toArray: async () => [ {
+                    _id: { volumeNumber: $match.congress === 118 ? 170 : 168, issueNumber: 12 },
+                    congress: $match.congress,
+                    issueDate: "2024-01-17T05:00:00Z",
+                    label: "H.R. 1234",
+                    mentions: [ { section: "house", pdfPage: 3, recordPage: "H123", occurrences: 2, snippet: "H.R. 1234" } ]
+                } ]
+            };
+        }
+    };
+    return { db: { collection: () => collection }, matches };
+};
+
+describe( "parseBillNumber", () => {
+    it( "reads the common spellings without a Congress", () => {
+        for ( const value of [ "hr1234", "H.R. 1234", "H. R. 1234", "hr 1234" ] ) {
+            expect( parseBillNumber( value ) ).toEqual( { type: "hr", number: 1234, key: "hr1234", label: "H.R. 1234", congress: null } );
+        }
+    } );
+
+    it( "reads a leading Congress", () => {
+        for ( const value of [ "118 hr1234", "118th H.R. 1234", "118-hr1234", "118th Congress H.R. 1234" ] ) {
+            expect( parseBillNumber( value ) ).toMatchObject( { key: "hr1234", congress: 118 } );
+        }
+        expect( parseBillNumber( "117 S.J. Res. 12" ) ).toMatchObject( { key: "sjres12", congress: 117 } );
+    } );
+
+    it( "rejects values that are not bill numbers", () => {
+        for ( const value of [ "sr 12", "0 hr1234", "hr", "1234" ] ) {
+            expect( parseBillNumber( value ) ).toBeNull();
+        }
+    } );
+
+    it( "carries the Congress through a bill: query prefix", () => {
+        expect( parseSearchQuery( "bill:118-hr1234 farm" ).bills[ 0 ] ).toMatchObject( { key: "hr1234", congress: 118 } );
+    } );
+} );
+
+describe( "findBillMentions", () => {
+    it( "keeps to the most recent Congress that cited the bill by default", async () => {
+        const { db, matches } = createDb();
+        const result = await findBillMentions( db, { billKey: "hr1234" } );
+
+        expect( matches ).toEqual( [ { billKey: "hr1234", congress: 118 } ] );
+        expect( result.congress ).toBe( 118 );
+        expect( result.congresses ).toEqual( [ 118, 117 ] );
+        expect( result.issues.map( ( issue ) => issue.volumeNumber ) ).toEqual( [ 170 ] );
+    } );
+
+    it( "keeps to the Congress asked for", async () => {
+        const { db, matches } = createDb();
+        const result = await findBillMentions( db, { billKey: "hr1234", congress: 117 } );
+
+        expect( matches ).toEqual( [ { billKey: "hr1234", congress: 117 } ] );
+        expect( result.issues[ 0 ] ).toMatchObject( { volumeNumber: 168, congress: 117, occurrences: 2 } );
+    } );
+} );
+
+describe( "findVotes", () => {
+    // Roll calls on H.R. 1234 in two Congresses; records the filter each find was sent with
+    const createVotesDb = () => {
+        const filters = [];
+        const collection = {
+            createIndexes: async () => [],
+            distinct: async () => [ 117, 118 ],
+            find: ( filter ) => {
+                filters.push( filter );
+                const cursor = { sort: () => cursor, limit: () => cursor, toArray: async () => [] };
+                return cursor;
+            }
+        };
+        return { db: { collection: () => collection }, filters };
+    };
+
+    it( "keeps a bill's votes to the most recent Congress that voted on it by default", async () => {
+        const { db, filters } = createVotesDb();
+        const result = await findVotes( db, { billKey: "hr1234" } );
+
+        expect( filters[ 0 ] ).toEqual( { "bills.key": "hr1234", congress: 118 } );
+        expect( result ).toMatchObject( { congress: 118, congresses: [ 118, 117 ], votes: [] } );
+    } );
+
+    it( "does not limit an issue's votes to one Congress", async () => {
+        const { db, filters } = createVotesDb();
+        const result = await findVotes( db, { volumeNumber: 170, issueNumber: 44 } );
+
+        expect( filters[ 0 ] ).not.toHaveProperty( "congress" );
+        expect( result.congress ).toBeNull();
+    } );
+} );
@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { CITATION_REGEX, buildPageMap, extractCitations, formatPageMarker, parseCitationAnchors } from "../utils/citations";
+
+const pageMap = buildPageMap( [
+    { pdfPage: 1, recordPage: "H1234" },
+    { pdfPage: 2, recordPage: "H1235" },
+    { pdfPage: 3, recordPage: "H1236" },
+    { pdfPage: 4, recordPage: "S567" },
+    { pdfPage: 5, recordPage: null }
+] );
+
+describe( "buildPageMap", () => {
+    it( "maps Record pages, and PDF pages without one, to where they start", () => {
+        expect( pageMap ).toEqual( { H1234: 1, H1235: 2, H1236: 3, S567: 4, p5: 5 } );
+        expect( buildPageMap( [ { pdfPage: 7, recordPage: "E89" }, { pdfPage: 8, recordPage: "E89" } ] ) ).toEqual( { E89: 7 } );
+        expect( formatPageMarker( { pdfPage: 5, recordPage: null } ) ).toBe( "[[Page p5]]" );
+    } );
+} );
+
+describe( "extractCitations", () => {
+    it( "collects cited pages in order of first mention", () => {
+        const text = "The House passed the bill [H1235]. The Senate confirmed the nominee [S567, p5]. See also [H1235].";
+        expect( extractCitations( text, pageMap ) ).toEqual( [
+            { anchor: "H1235", pdfPage: 2 },
+            { anchor: "S567", pdfPage: 4 },
+            { anchor: "p5", pdfPage: 5 }
+        ] );
+    } );
+
+    it( "counts every page inside a cited range", () => {
+        expect( extractCitations( "Debate ran long [H1234–H1236].", pageMap ).map( ( citation ) => citation.anchor ) ).toEqual( [ "H1234", "H1235", "H1236" ] );
+        expect( extractCitations( "Across chambers [H1236-S567].", pageMap ).map( ( citation ) => citation.anchor ) ).toEqual( [ "H1236", "S567" ] );
+    } );
+
+    it( "drops pages the source does not have and text that is not a citation", () => {
+        expect( extractCitations( "Invented [H9999], a page marker [[Page H1234]] and a list [1, 2].", pageMap ) ).toEqual( [] );
+        expect( extractCitations( "Real [S567] and invented [S9999].", pageMap ) ).toEqual( [ { anchor: "S567", pdfPage: 4 } ] );
+    } );
+} );
+
+describe( "CITATION_REGEX", () => {
+    it( "splits text around citations and keeps range endpoints for display", () => {
+        const parts = "Passed [H1234-H1236] today.".split( CITATION_REGEX );
+        expect( parts ).toEqual( [ "Passed ", "H1234-H1236", " today." ] );
+        expect( parseCitationAnchors( parts[ 1 ] ) ).toEqual( [ "H1234", "H1236" ] );
+    } );
+} );
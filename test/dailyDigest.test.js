@@ -0,0 +1,50 @@
+import { readFileSync } from "fs";
+import { describe, expect, it } from "vitest";
+import { isEmptyDigest, parseDailyDigest } from "../utils/dailyDigest";
+
+const readFixture = ( name ) => readFileSync( new URL( `./fixtures/${ name }`, import.meta.url ), "utf8" );
+
+describe( "parseDailyDigest", () => {
+    const digest = parseDailyDigest( [ { pdfPage: 1, recordPage: "D511", text: readFixture( "dailyDigest.txt" ) } ] );
+
+    it( "splits the Digest into highlights, floor actions and committee meetings", () => {
+        expect( digest.highlights ).toEqual( [ "Senate passed S. 5, Laken Riley Act." ] );
+        expect( digest.senate.actions.map( ( action ) => action.title ) ).toEqual( [ "Measures Passed", "Laken Riley Act", "Nomination—Agreement" ] );
+        expect( digest.senate.actions[ 1 ] ).toMatchObject( { pages: "S3805–07", bills: [ "S. 5" ] } );
+        expect( digest.senate.committeeMeetings ).toEqual( [ expect.objectContaining( { title: "Committee on Appropriations" } ) ] );
+        expect( digest.house.actions ).toEqual( [
+            expect.objectContaining( { title: "Public Bills and Resolutions Introduced", pages: "H3601–02" } )
+        ] );
+        expect( digest.jointMeetings ).toEqual( [] );
+    } );
+
+    it( "drops the running heads but keeps prose that opens with a weekday", () => {
+        const texts = [ ...digest.senate.actions, ...digest.house.actions ].map( ( action ) => action.text ).join( " " );
+
+        expect( texts ).not.toMatch( /D512|CONGRESSIONAL RECORD|June 5, 2024/ );
+        expect( digest.senate.actions[ 2 ].text ).toMatch( /Page S3810 Tuesday, the Senate will vote on confirmation of the nomination\.$/ );
+    } );
+
+    it( "reads when each chamber meets next", () => {
+        expect( digest.nextMeetings ).toEqual( {
+            senate: { when: "10 a.m., Thursday, June 6", text: "Senate will continue consideration of the nomination of Katherine Tai." },
+            house: { when: "9 a.m., Friday, June 7", text: "House will meet in pro forma session." }
+        } );
+    } );
+
+    it( "keeps only the D pages of a whole issue", () => {
+        const parsed = parseDailyDigest( [
+            { pdfPage: 1, recordPage: "S3801", text: "HIGHLIGHTS\nNot a Digest page." },
+            { pdfPage: 2, recordPage: "D511", text: "HIGHLIGHTS\nHouse passed H.R. 2." }
+        ] );
+
+        expect( parsed.highlights ).toEqual( [ "House passed H.R. 2." ] );
+    } );
+} );
+
+describe( "isEmptyDigest", () => {
+    it( "treats a parse of a page that is not a Digest as empty", () => {
+        expect( isEmptyDigest( parseDailyDigest( [ { pdfPage: 1, recordPage: "H1", text: "The House met at noon." } ] ) ) ).toBe( true );
+        expect( isEmptyDigest( null ) ).toBe( true );
+    } );
+} );
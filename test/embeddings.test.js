@@ -0,0 +1,104 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+const create = vi.fn( async () => ( { data: [ { embedding: [ 0.1, 0.2 ] } ] } ) );
+vi.mock( "openai", () => ( {
+    default: class {
+        embeddings = { create };
+    }
+} ) );
+
+// The provider is chosen once per process, so each configuration gets fresh modules
+const loadEmbeddings = async ( env = {} ) => {
+    vi.resetModules();
+    vi.stubEnv( "LLM_PROVIDER", "openai" );
+    vi.stubEnv( "OPENAI_API_KEY", "test-key" );
+    for ( const [ name, value ] of Object.entries( env ) ) vi.stubEnv( name, value );
+    return import( "../utils/embeddings" );
+};
+
+const vector = ( length ) => new Array( length ).fill( 0.01 );
+
+afterEach( () => {
+    vi.unstubAllEnvs();
+    create.mockClear();
+} );
+
+describe( "embedding model configuration", () => {
+    it( "defaults to text-embedding-3-small at its full length", async () => {
+        const embeddings = await loadEmbeddings( { OPENAI_EMBEDDING_MODEL: "", OPENAI_EMBEDDING_DIMENSIONS: "" } );
+        expect( embeddings.getEmbeddingModel() ).toBe( "text-embedding-3-small" );
+        expect( embeddings.getEmbeddingDimensions() ).toBe( 1536 );
+    } );
+
+    it( "reads the model and its length from the environment", async () => {
+        const embeddings = await loadEmbeddings( { OPENAI_EMBEDDING_MODEL: "text-embedding-3-large" } );
+        expect( embeddings.getEmbeddingModel() ).toBe( "text-embedding-3-large" );
+        expect( embeddings.getEmbeddingDimensions() ).toBe( 3072 );
+    } );
+
+    it( "asks OpenAI for shortened vectors when dimensions are configured", async () => {
+        const embeddings = await loadEmbeddings( { OPENAI_EMBEDDING_MODEL: "text-embedding-3-large", OPENAI_EMBEDDING_DIMENSIONS: "1024" } );
+        create.mockResolvedValueOnce( { data: [ { embedding: vector( 1024 ) } ] } );
+        await embeddings.createEmbedding( "farm bill" );
+        expect( embeddings.getEmbeddingDimensions() ).toBe( 1024 );
+        expect( create ).toHaveBeenCalledWith( { model: "text-embedding-3-large", input: "farm bill", dimensions: 1024 } );
+    } );
+} );
+
+describe( "openai-compatible embeddings", () => {
+    const loadProvider = async ( env = {} ) => {
+        vi.resetModules();
+        for ( const [ name, value ] of Object.entries( env ) ) vi.stubEnv( name, value );
+        const { createChatCompletionsProvider } = await import( "../utils/llmProviders" );
+        return createChatCompletionsProvider( { baseURL: "http://localhost:8080/v1", summaryModel: "llama", embeddingModel: "nomic-embed-text" } );
+    };
+
+    it( "asks the server for the configured length", async () => {
+        const provider = await loadProvider( { LLM_EMBEDDING_DIMENSIONS: "768" } );
+        create.mockResolvedValueOnce( { data: [ { embedding: vector( 768 ) } ] } );
+
+        expect( await provider.embed( "farm bill" ) ).toHaveLength( 768 );
+        expect( provider.embeddingDimensions ).toBe( 768 );
+        expect( create ).toHaveBeenCalledWith( { model: "nomic-embed-text", input: "farm bill", dimensions: 768 } );
+    } );
+
+    it( "rejects a vector of another length", async () => {
+        const provider = await loadProvider( { LLM_EMBEDDING_DIMENSIONS: "" } );
+        create.mockResolvedValueOnce( { data: [ { embedding: vector( 768 ) } ] } );
+
+        await expect( provider.embed( "farm bill" ) ).rejects.toThrow( "Embedding model returned 768 dimensions, expected 1536" );
+        expect( create ).toHaveBeenCalledWith( { model: "nomic-embed-text", input: "farm bill" } );
+    } );
+} );
+
+describe( "hasCurrentEmbedding", () => {
+    it( "treats unstamped embeddings as text-embedding-3-small", async () => {
+        const { hasCurrentEmbedding, storedEmbeddingModel } = await loadEmbeddings( { OPENAI_EMBEDDING_MODEL: "", OPENAI_EMBEDDING_DIMENSIONS: "" } );
+        const legacy = { summaryEmbedding: vector( 1536 ) };
+        expect( storedEmbeddingModel( legacy, "summaryEmbedding" ) ).toBe( "text-embedding-3-small" );
+        expect( hasCurrentEmbedding( legacy, "summaryEmbedding" ) ).toBe( true );
+        expect( hasCurrentEmbedding( { summaryEmbedding: null }, "summaryEmbedding" ) ).toBe( false );
+    } );
+
+    it( "marks embeddings from the previous model as not current after a switch", async () => {
+        const before = await loadEmbeddings( { OPENAI_EMBEDDING_MODEL: "", OPENAI_EMBEDDING_DIMENSIONS: "" } );
+        const chunk = before.embeddingFields( "embedding", vector( 1536 ) );
+        const section = before.sectionEmbeddingFields( "senateSection", vector( 1536 ) );
+        expect( chunk ).toMatchObject( { embeddingModel: "text-embedding-3-small", embeddingDimensions: 1536 } );
+        expect( section ).toMatchObject( { "sectionSummaries.senateSection.summaryEmbeddingModel": "text-embedding-3-small" } );
+        expect( before.hasCurrentEmbedding( chunk, "embedding" ) ).toBe( true );
+
+        const after = await loadEmbeddings( { OPENAI_EMBEDDING_MODEL: "text-embedding-3-large" } );
+        expect( after.hasCurrentEmbedding( chunk, "embedding" ) ).toBe( false );
+        expect( after.hasCurrentEmbedding( { summaryEmbedding: vector( 1536 ) }, "summaryEmbedding" ) ).toBe( false );
+        expect( after.hasCurrentEmbedding( after.embeddingFields( "embedding", vector( 3072 ) ), "embedding" ) ).toBe( true );
+    } );
+
+    it( "marks embeddings of another length as not current", async () => {
+        const full = await loadEmbeddings( { OPENAI_EMBEDDING_MODEL: "text-embedding-3-large" } );
+        const stored = full.embeddingFields( "embedding", vector( 3072 ) );
+
+        const shortened = await loadEmbeddings( { OPENAI_EMBEDDING_MODEL: "text-embedding-3-large", OPENAI_EMBEDDING_DIMENSIONS: "1024" } );
+        expect( shortened.hasCurrentEmbedding( stored, "embedding" ) ).toBe( false );
+    } );
+} );
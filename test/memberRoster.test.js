@@ -0,0 +1,153 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { congressForDate, importRoster, loadRoster, parseRoster, resolveMember } from "../utils/memberRoster";
+
+const LEGISLATORS = [
+    {
+        id: { bioguide: "S000148" },
+        name: { first: "Charles", last: "Schumer", official_full: "Charles E. Schumer" },
+        terms: [
+            { type: "rep", start: "1995-01-04", end: "1997-01-03", state: "NY", district: 9, party: "Democrat" },
+            { type: "sen", start: "2023-01-03", end: "2029-01-03", state: "NY", party: "Democrat" }
+        ]
+    },
+    {
+        id: { bioguide: "S001157" },
+        name: { first: "David", last: "Scott" },
+        terms: [ { type: "rep", start: "2023-01-03", end: "2025-01-03", state: "GA", district: 13, party: "Democrat" } ]
+    },
+    {
+        id: { bioguide: "S000185" },
+        name: { first: "Robert", last: "Scott", nickname: "Bobby" },
+        terms: [ { type: "rep", start: "2023-01-03", end: "2025-01-03", state: "VA", district: 3, party: "Democrat" } ]
+    },
+    {
+        id: { bioguide: "S000770" },
+        name: { first: "Kyrsten", last: "Sinema" },
+        terms: [ {
+            type: "sen", start: "2019-01-03", end: "2025-01-03", state: "AZ", party: "Independent",
+            party_affiliations: [
+                { start: "2019-01-03", end: "2022-12-09", party: "Democrat" },
+                { start: "2022-12-09", end: "2025-01-03", party: "Independent" }
+            ]
+        } ]
+    },
+    { id: {}, name: { last: "Nobody" }, terms: [] },
+    { id: { bioguide: "X000001" }, name: { last: "Delegate" }, terms: [ { type: "del", start: "2023-01-03", end: "2025-01-03" } ] }
+];
+
+const rosterDb = ( members ) => {
+    const find = vi.fn( () => ( { toArray: async () => members } ) );
+    return { find, db: { collection: () => ( { find, createIndexes: async () => [], bulkWrite: async () => ( {} ) } ) } };
+};
+
+describe( "congressForDate", () => {
+    it( "starts each Congress on January 3 of an odd year", () => {
+        expect( congressForDate( "2023-01-03" ) ).toBe( 118 );
+        expect( congressForDate( "2023-01-02" ) ).toBe( 117 );
+        expect( congressForDate( "2024-12-31" ) ).toBe( 118 );
+    } );
+} );
+
+describe( "parseRoster", () => {
+    it( "gives each member one entry per chamber and Congress served", () => {
+        const entries = parseRoster( { legislators: LEGISLATORS } );
+
+        expect( entries.filter( ( entry ) => entry.bioguideId === "S000148" ).map( ( entry ) => entry._id ) ).toEqual( [
+            "S000148:104:House",
+            "S000148:118:Senate",
+            "S000148:119:Senate",
+            "S000148:120:Senate"
+        ] );
+        expect( entries.map( ( entry ) => entry.bioguideId ) ).not.toContain( "X000001" );
+    } );
+
+    it( "keeps names, seats and party changes for one Congress", () => {
+        const entries = parseRoster( LEGISLATORS, { congress: 118 } );
+
+        expect( entries.map( ( entry ) => entry.bioguideId ) ).toEqual( [ "S000148", "S001157", "S000185", "S000770" ] );
+        expect( entries[ 0 ] ).toMatchObject( { officialName: "Charles E. Schumer", chamber: "Senate", state: "NY", nameKeys: [ "SCHUMER", "CHARLES SCHUMER" ] } );
+        expect( entries[ 1 ] ).toMatchObject( { officialName: "David Scott", district: 13 } );
+        expect( entries[ 2 ].nameKeys ).toEqual( [ "SCOTT", "ROBERT SCOTT", "BOBBY SCOTT" ] );
+        expect( entries[ 3 ].partyAffiliations ).toEqual( [
+            { party: "D", start: "2019-01-03", end: "2022-12-09" },
+            { party: "I", start: "2022-12-09", end: "2025-01-03" }
+        ] );
+    } );
+
+    it( "rejects a roster that is not a list of legislators", () => {
+        expect( () => parseRoster( { people: [] } ) ).toThrow( "Roster must be an array of legislators" );
+    } );
+} );
+
+describe( "resolveMember", () => {
+    const roster = {
+        byName: parseRoster( LEGISLATORS, { congress: 118 } ).reduce( ( byName, member ) => {
+            for ( const key of member.nameKeys ) byName.set( key, [ ...( byName.get( key ) ?? [] ), member ] );
+            return byName;
+        }, new Map() )
+    };
+
+    it( "matches a surname the Record prints in capitals", () => {
+        expect( resolveMember( roster, { surname: "SCHUMER", chamber: "Senate", date: "2024-03-12T00:00:00.000Z" } ) ).toEqual( {
+            bioguideId: "S000148",
+            name: "Charles E. Schumer",
+            party: "D",
+            state: "NY",
+            district: null,
+            chamber: "Senate"
+        } );
+    } );
+
+    it( "tells members who share a surname apart by state or first name", () => {
+        expect( resolveMember( roster, { surname: "SCOTT", chamber: "House" } ) ).toBeNull();
+        expect( resolveMember( roster, { surname: "SCOTT", stateName: "Virginia", chamber: "House" } ) ).toMatchObject( { bioguideId: "S000185" } );
+        expect( resolveMember( roster, { surname: "DAVID SCOTT", chamber: "House" } ) ).toMatchObject( { bioguideId: "S001157" } );
+    } );
+
+    it( "uses the party held on the day and skips members not seated then", () => {
+        expect( resolveMember( roster, { surname: "SINEMA", date: "2023-06-01" } ) ).toMatchObject( { party: "I" } );
+        expect( resolveMember( roster, { surname: "SCOTT", state: "GA", date: "2025-02-01" } ) ).toBeNull();
+        expect( resolveMember( roster, { surname: "SCHUMER", chamber: "House" } ) ).toBeNull();
+        expect( resolveMember( null, { surname: "SCHUMER" } ) ).toBeNull();
+    } );
+} );
+
+describe( "loadRoster", () => {
+    afterEach( () => {
+        vi.useRealTimers();
+    } );
+
+    it( "indexes members by every name key", async () => {
+        const { db } = rosterDb( parseRoster( LEGISLATORS, { congress: 118 } ) );
+        const roster = await loadRoster( db, 118 );
+
+        expect( roster.size ).toBe( 4 );
+        expect( roster.byName.get( "SCOTT" ).map( ( member ) => member.bioguideId ) ).toEqual( [ "S001157", "S000185" ] );
+        expect( await loadRoster( db, null ) ).toBeNull();
+    } );
+
+    it( "does not cache a Congress with no members yet", async () => {
+        const { db, find } = rosterDb( [] );
+
+        expect( ( await loadRoster( db, 90 ) ).size ).toBe( 0 );
+        await loadRoster( db, 90 );
+        expect( find ).toHaveBeenCalledTimes( 2 );
+    } );
+
+    it( "reloads a cached roster once it expires or a roster is imported", async () => {
+        vi.useFakeTimers();
+        const { db, find } = rosterDb( parseRoster( LEGISLATORS, { congress: 117 } ) );
+
+        await loadRoster( db, 117 );
+        await loadRoster( db, 117 );
+        expect( find ).toHaveBeenCalledTimes( 1 );
+
+        vi.advanceTimersByTime( 10 * 60 * 1000 );
+        await loadRoster( db, 117 );
+        expect( find ).toHaveBeenCalledTimes( 2 );
+
+        await importRoster( db, [] );
+        await loadRoster( db, 117 );
+        expect( find ).toHaveBeenCalledTimes( 3 );
+    } );
+} );
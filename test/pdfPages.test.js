@@ -0,0 +1,41 @@
+import { readFileSync } from "fs";
+import { describe, expect, it } from "vitest";
+import { detectRecordPage, orderReadingItems, renderItems } from "../utils/pdfPages";
+
+const { view, items } = JSON.parse( readFileSync( new URL( "./fixtures/twoColumnPage.json", import.meta.url ), "utf8" ) );
+const textAt = ( x ) => items.filter( ( item ) => item.transform[ 4 ] === x ).map( ( item ) => item.str );
+
+describe( "orderReadingItems", () => {
+    it( "reads the running head, then the left column, then the right", () => {
+        const lines = renderItems( orderReadingItems( items, view ) ).split( "\n" );
+        expect( lines[ 0 ] ).toBe( "S1620 CONGRESSIONAL RECORD — SENATE March 12, 2024" );
+        expect( lines.slice( 1 ) ).toEqual( [ ...textAt( 50 ), ...textAt( 320 ) ] );
+    } );
+
+    it( "keeps the drawing order of a single-column page", () => {
+        const singleColumn = items.map( ( item ) => ( { ...item, transform: [ ...item.transform.slice( 0, 4 ), 50, item.transform[ 5 ] ] } ) );
+        expect( orderReadingItems( singleColumn, view ) ).toEqual( singleColumn );
+    } );
+
+    it( "keeps the drawing order when a column is nearly empty", () => {
+        // A wide table or quotation that spills past the middle on a few lines only
+        let spilled = 0;
+        const lopsided = items.map( ( item ) => item.transform[ 4 ] === 320 && spilled++ >= 2
+            ? { ...item, transform: [ ...item.transform.slice( 0, 4 ), 50, item.transform[ 5 ] - 6 ] }
+            : item );
+        expect( orderReadingItems( lopsided, view ) ).toEqual( lopsided );
+    } );
+
+    it( "leaves short pages and pages without a size alone", () => {
+        expect( orderReadingItems( items.slice( 0, 10 ), view ) ).toEqual( items.slice( 0, 10 ) );
+        expect( orderReadingItems( items, undefined ) ).toEqual( items );
+    } );
+} );
+
+describe( "detectRecordPage", () => {
+    it( "reads the page identifier from the running head", () => {
+        expect( detectRecordPage( renderItems( items ) ) ).toBe( "S1620" );
+        expect( detectRecordPage( "H1234\nMarch 5, 2024\nThe House met at noon." ) ).toBe( "H1234" );
+        expect( detectRecordPage( "The House met at noon." ) ).toBeNull();
+    } );
+} );
@@ -0,0 +1,16 @@
+import { describe, expect, it } from "vitest";
+import { parseOptionalInt } from "../utils/queryParams";
+
+describe( "parseOptionalInt", () => {
+    it( "reads positive integers and falls back when absent", () => {
+        expect( parseOptionalInt( " 118 ", "congress" ) ).toBe( 118 );
+        expect( parseOptionalInt( undefined, "limit", 100 ) ).toBe( 100 );
+        expect( parseOptionalInt( "", "limit" ) ).toBeNull();
+    } );
+
+    it( "rejects anything else by its label", () => {
+        for ( const value of [ "0", "-3", "1.5", "ten", [ "1", "2" ], "99999999999999999999" ] ) {
+            expect( () => parseOptionalInt( value, "limit" ) ).toThrow( "Invalid limit" );
+        }
+    } );
+} );
@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { chunkRecordPages, estimateTokens, isHeading } from "../utils/recordChunks";
+
+// Each sentence is 39 characters, so 10 tokens plus one for its line break
+const sentence = ( n ) => `Senator ${ String( n ).padStart( 3, "0" ) } spoke on the farm bill now.`;
+const page = ( pdfPage, recordPage, lines ) => ( { pdfPage, recordPage, text: lines.join( "\n" ) } );
+const range = ( from, to ) => Array.from( { length: to - from + 1 }, ( _, offset ) => sentence( from + offset ) );
+
+describe( "isHeading", () => {
+    it( "recognises capitalized article titles but not running heads or speaker tags", () => {
+        expect( isHeading( "RECOGNIZING THE 50TH ANNIVERSARY OF THE CLEAN WATER ACT" ) ).toBe( true );
+        expect( isHeading( "CONGRESSIONAL RECORD — SENATE" ) ).toBe( false );
+        expect( isHeading( "Mr. SCHUMER. Mr. President," ) ).toBe( false );
+        expect( isHeading( "H1234" ) ).toBe( false );
+    } );
+} );
+
+describe( "chunkRecordPages", () => {
+    it( "keeps a short section in one chunk with its page range and page markers", () => {
+        const [ chunk, ...rest ] = chunkRecordPages( [ page( 3, "S567", range( 1, 2 ) ), page( 4, null, range( 3, 3 ) ) ] );
+
+        expect( rest ).toEqual( [] );
+        expect( chunk ).toMatchObject( {
+            index: 0,
+            tokens: 33,
+            overlapLines: 0,
+            overlapText: "",
+            pdfPageStart: 3,
+            pdfPageEnd: 4,
+            recordPageStart: "S567",
+            recordPageEnd: "S567"
+        } );
+        expect( chunk.bodyText ).toBe( [ "[[Page S567]]", sentence( 1 ), sentence( 2 ), "[[Page p4]]", sentence( 3 ) ].join( "\n" ) );
+    } );
+
+    it( "stays under the token budget and repeats the previous chunk's tail", () => {
+        const chunks = chunkRecordPages( [ page( 1, "H1234", range( 1, 20 ) ), page( 2, "H1235", range( 21, 40 ) ) ], { maxTokens: 110, overlapTokens: 22 } );
+
+        expect( chunks.length ).toBeGreaterThan( 3 );
+        for ( const chunk of chunks ) expect( chunk.tokens ).toBeLessThanOrEqual( 110 );
+        expect( chunks.map( ( chunk ) => chunk.index ) ).toEqual( chunks.map( ( _, index ) => index ) );
+
+        const [ first, second ] = chunks;
+        expect( second.overlapLines ).toBe( 2 );
+        expect( second.overlapText ).toBe( [ "[[Page H1234]]", ...first.text.split( "\n" ).slice( -2 ) ].join( "\n" ) );
+        expect( second.bodyText ).not.toContain( first.text.split( "\n" ).pop() );
+        expect( chunks.at( -1 ).text.split( "\n" ).pop() ).toBe( sentence( 40 ) );
+    } );
+
+    it( "records where a chunk crosses from one page to the next", () => {
+        const chunks = chunkRecordPages( [ page( 1, "H1234", range( 1, 20 ) ), page( 2, "H1235", range( 21, 40 ) ) ], { maxTokens: 110, overlapTokens: 22 } );
+        const crossing = chunks.find( ( chunk ) => chunk.pdfPageStart !== chunk.pdfPageEnd );
+
+        expect( crossing ).toMatchObject( { pdfPageStart: 1, pdfPageEnd: 2, recordPageStart: "H1234", recordPageEnd: "H1235" } );
+        expect( crossing.bodyText ).toContain( "[[Page H1235]]" );
+    } );
+
+    it( "ends a chunk before an article heading rather than in the middle of the article", () => {
+        const heading = "TRIBUTE TO THE CLEAN WATER ACT";
+        const chunks = chunkRecordPages( [ page( 1, "S10", [ ...range( 1, 7 ), heading, ...range( 8, 10 ) ] ) ], { maxTokens: 110, overlapTokens: 0 } );
+
+        expect( chunks[ 0 ].text.split( "\n" ).pop() ).toBe( sentence( 7 ) );
+        expect( chunks[ 1 ].text.split( "\n" )[ 0 ] ).toBe( heading );
+        expect( chunks[ 1 ].headings ).toEqual( [ heading ] );
+    } );
+
+    it( "estimates four characters to a token", () => {
+        expect( estimateTokens( sentence( 1 ) ) ).toBe( 10 );
+        expect( estimateTokens( "" ) ).toBe( 0 );
+    } );
+} );
@@ -0,0 +1,85 @@
+import { describe, expect, it } from "vitest";
+import { mergeExtractions, parseExtraction, validateExtraction } from "../utils/recordExtraction";
+
+describe( "validateExtraction", () => {
+    it( "returns null for output that is not an extraction", () => {
+        expect( parseExtraction( "Here is the JSON you asked for:" ) ).toBeNull();
+        expect( parseExtraction( "[]" ) ).toBeNull();
+        expect( validateExtraction( null ) ).toBeNull();
+        expect( validateExtraction( "speakers" ) ).toBeNull();
+    } );
+
+    it( "defaults missing or mistyped lists to empty", () => {
+        expect( parseExtraction( JSON.stringify( { speakers: "Schumer", bills: { number: "S. 5" } } ) ) ).toEqual( {
+            speakers: [],
+            bills: [],
+            votes: [],
+            topics: []
+        } );
+    } );
+
+    it( "drops entries that do not fit the schema and nulls fields that do not", () => {
+        const extraction = validateExtraction( {
+            speakers: [
+                { name: "  Mr.   SCHUMER ", party: "Democrat", state: "ny", chamber: "Senate" },
+                { name: "", party: "R" },
+                { party: "R", state: "KY" },
+                "McConnell"
+            ],
+            bills: [
+                { number: "hr 1234", title: "Farm Bill", action: "passed" },
+                { number: "the farm bill", title: "Farm Bill", action: "debated" }
+            ],
+            votes: [
+                { question: "On passage", bill: "H.R. 1234", kind: "roll call", result: "passed", yeas: 215, nays: -3 },
+                { question: "   ", kind: "voice" }
+            ],
+            topics: [ "Farm Policy", 7, "" ]
+        } );
+
+        expect( extraction ).toEqual( {
+            speakers: [ { name: "Mr. SCHUMER", party: null, state: "NY", chamber: "Senate" } ],
+            bills: [ { number: "H.R. 1234", title: "Farm Bill", actions: [ "passed" ] } ],
+            votes: [ { question: "On passage", bill: "H.R. 1234", kind: "other", result: "passed", yeas: 215, nays: null } ],
+            topics: [ "farm policy" ]
+        } );
+    } );
+} );
+
+describe( "mergeExtractions", () => {
+    it( "counts a speaker, bill or vote repeated across chunks once", () => {
+        const merged = mergeExtractions( [
+            {
+                speakers: [ { name: "Mr. SCHUMER", party: null, state: null, chamber: "Senate" } ],
+                bills: [ { number: "H.R. 1234", title: null, actions: [ "debated" ] } ],
+                votes: [ { question: "On passage", bill: "H.R. 1234", kind: "recorded", result: "passed", yeas: 215, nays: 210 } ],
+                topics: [ "farm policy", "budget" ]
+            },
+            null,
+            {
+                speakers: [ { name: "Schumer", party: "D", state: "NY", chamber: null }, { name: "Ms. COLLINS", party: "R", state: "ME", chamber: "Senate" } ],
+                bills: [ { number: "H.R. 1234", title: "Farm Bill", actions: [ "debated", "passed" ] } ],
+                votes: [
+                    { question: "ON PASSAGE", bill: "H.R. 1234", kind: "recorded", result: "passed", yeas: 215, nays: 210 },
+                    { question: "On passage", bill: "S. 5", kind: "voice", result: "passed", yeas: null, nays: null }
+                ],
+                topics: [ "farm policy" ]
+            }
+        ] );
+
+        expect( merged.speakers ).toEqual( [
+            { name: "Mr. SCHUMER", party: "D", state: "NY", chamber: "Senate" },
+            { name: "Ms. COLLINS", party: "R", state: "ME", chamber: "Senate" }
+        ] );
+        expect( merged.bills ).toEqual( [ { number: "H.R. 1234", title: "Farm Bill", actions: [ "debated", "passed" ] } ] );
+        expect( merged.votes.map( ( vote ) => vote.bill ) ).toEqual( [ "H.R. 1234", "S. 5" ] );
+        expect( merged.topics ).toEqual( [ "farm policy", "budget" ] );
+    } );
+
+    it( "does not change the chunk extractions it merges", () => {
+        const bill = { number: "S. 5", title: null, actions: [ "introduced" ] };
+        mergeExtractions( [ { speakers: [], bills: [ bill ], votes: [], topics: [] }, { speakers: [], bills: [ { ...bill, actions: [ "passed" ] } ], votes: [], topics: [] } ] );
+
+        expect( bill.actions ).toEqual( [ "introduced" ] );
+    } );
+} );
@@ -0,0 +1,38 @@
+import { readFileSync } from "fs";
+import { describe, expect, it } from "vitest";
+import { cleanPageText } from "../utils/recordText";
+
+const readFixture = ( name ) => readFileSync( new URL( `./fixtures/${ name }`, import.meta.url ), "utf8" );
+
+describe( "cleanPageText", () => {
+    it( "reduces a sample House page to its proceedings", () => {
+        expect( cleanPageText( readFixture( "housePage.txt" ) ) ).toBe( readFixture( "housePage.cleaned.txt" ).trim() );
+    } );
+
+    it( "drops running heads and page identifiers", () => {
+        const text = "S1620 CONGRESSIONAL RECORD — SENATE March 12, 2024\nS1620\nTuesday, March 12, 2024\nThe Senate met at 10 a.m.";
+        expect( cleanPageText( text ) ).toBe( "The Senate met at 10 a.m." );
+    } );
+
+    it( "keeps a date that is part of the proceedings", () => {
+        const text = "The Senate met at 10 a.m.\nThe Chaplain offered the prayer.\nThe Journal was approved.\nThe order of";
+        expect( cleanPageText( `${ text }\nMarch 12, 2024` ) ).toBe( `${ text }\nMarch 12, 2024` );
+    } );
+
+    it( "removes the margin notes wherever they break", () => {
+        const text = "Mr. REED. I ask unanimous consent.\nThis ‘‘bullet’’ symbol identifies statements or insertions\nwhich are not spoken by a Member of the Senate on the floor.\nWithout objection, it is so ordered.";
+        expect( cleanPageText( text ) ).toBe( "Mr. REED. I ask unanimous consent.\n\nWithout objection, it is so ordered." );
+    } );
+
+    it( "drops floor time stamps", () => {
+        expect( cleanPageText( "The House will be in order.\nb 1415\n• 1530\nThe clerk will report." ) ).toBe( "The House will be in order.\nThe clerk will report." );
+    } );
+
+    it( "rejoins words hyphenated across a line break", () => {
+        expect( cleanPageText( "the appropri-\nations process and\nthe Defense Au-\nthorization Act" ) ).toBe( "the appropriations process and\nthe Defense Authorization Act" );
+    } );
+
+    it( "keeps the hyphen when the next line starts with a capital", () => {
+        expect( cleanPageText( "the Jones-\nSmith amendment" ) ).toBe( "the Jones-\nSmith amendment" );
+    } );
+} );
@@ -0,0 +1,63 @@
+import { describe, expect, it, vi } from "vitest";
+
+const createEmbedding = vi.fn();
+const upsertChunkVector = vi.fn( async () => {} );
+vi.mock( "../utils/embeddings", () => ( {
+    createEmbedding,
+    embeddingFields: ( field, embedding ) => ( { [ field ]: embedding, [ `${ field }Model` ]: "new-model" } ),
+    getEmbeddingDimensions: () => 2,
+    getEmbeddingModel: () => "new-model",
+    hasCurrentEmbedding: ( document, field ) => document[ `${ field }Model` ] === "new-model",
+    sectionEmbeddingFields: () => ( {} )
+} ) );
+vi.mock( "../utils/vectorIndex", () => ( {
+    ensureVectorSearchIndex: async () => {},
+    outdatedVectorFilter: () => ( { embeddingModel: { $ne: "new-model" } } ),
+    upsertChunkVector,
+    upsertSummaryVector: async () => {}
+} ) );
+
+const { reembedCorpus } = await import( "../utils/reembedding" );
+
+// Summaries are already current; two chunks still carry the old model's vectors
+const createDb = () => {
+    const chunks = [
+        { _id: "a", volumeNumber: 170, issueNumber: 41, summary: "Farm bill debate.", embeddingModel: "old-model" },
+        { _id: "b", volumeNumber: 170, issueNumber: 41, summary: "Defense appropriations.", embeddingModel: "old-model" }
+    ];
+    let state = null;
+    const deleteMany = vi.fn( async () => ( { deletedCount: 3 } ) );
+    const collections = {
+        ingestionState: {
+            findOne: async () => state,
+            updateOne: async ( filter, update ) => {
+                state = { ...state, ...update.$set, _id: filter._id };
+            }
+        },
+        summaries: { find: () => [], findOne: async () => ( { issueDate: "2024-03-12" } ) },
+        chunkSummaries: {
+            find: ( filter ) => chunks.filter( ( chunk ) => !filter._id || chunk._id > filter._id.$gt ),
+            updateOne: async ( { _id }, { $set } ) => Object.assign( chunks.find( ( chunk ) => chunk._id === _id ), $set )
+        },
+        summaryVectors: { deleteMany }
+    };
+    return { deleteMany, db: { collection: ( name ) => collections[ name ] } };
+};
+
+describe( "reembedCorpus", () => {
+    it( "retries a failed embedding on the next run and only then removes old vectors", async () => {
+        const { db, deleteMany } = createDb();
+        createEmbedding.mockResolvedValueOnce( [ 0.1, 0.2 ] ).mockResolvedValueOnce( null );
+
+        const first = await reembedCorpus( db );
+        expect( first ).toMatchObject( { done: false, phase: "chunks", embedded: 1, failed: 1 } );
+        expect( deleteMany ).not.toHaveBeenCalled();
+
+        createEmbedding.mockResolvedValueOnce( [ 0.3, 0.4 ] );
+        const second = await reembedCorpus( db );
+        expect( second ).toMatchObject( { done: true, phase: "cleanup", embedded: 1, failed: 0, removedVectors: 3 } );
+        expect( createEmbedding ).toHaveBeenLastCalledWith( "Defense appropriations." );
+        expect( upsertChunkVector.mock.calls.map( ( [ , , chunk ] ) => chunk._id ) ).toEqual( [ "a", "b" ] );
+        expect( deleteMany ).toHaveBeenCalledTimes( 1 );
+    } );
+} );
@@ -0,0 +1,77 @@
+import { readFileSync } from "fs";
+import { describe, expect, it } from "vitest";
+import { parseRollCallVotes } from "../utils/rollCallVotes";
+
+const readFixture = ( name ) => readFileSync( new URL( `./fixtures/${ name }`, import.meta.url ), "utf8" );
+
+describe( "parseRollCallVotes", () => {
+    it( "reads a House roll call with its question, result and every tally", () => {
+        const [ vote ] = parseRollCallVotes( [ { pdfPage: 12, recordPage: "H1502", text: readFixture( "houseRollCall.txt" ) } ] );
+
+        expect( vote ).toMatchObject( {
+            chamber: "House",
+            rollNumber: 123,
+            business: null,
+            question: "The question is on the passage of the bill (H.R. 1234) to amend the Food Security Act of 1985.",
+            result: "So the bill was passed.",
+            outcome: "passed",
+            yeas: 215,
+            nays: 210,
+            present: 1,
+            notVoting: 8,
+            bills: [ { key: "hr1234", label: "H.R. 1234" } ],
+            billKey: "hr1234",
+            pdfPage: 12,
+            recordPage: "H1502"
+        } );
+    } );
+
+    it( "reads a Senate roll call, taking a tally missing from the lists from the announcement", () => {
+        const [ vote ] = parseRollCallVotes( [ { pdfPage: 4, recordPage: "S880", text: readFixture( "senateRollCall.txt" ) } ] );
+
+        expect( vote ).toMatchObject( {
+            chamber: "Senate",
+            rollNumber: 45,
+            business: "executive",
+            question: "The question is, Will the Senate advise and consent to the Tai nomination?",
+            result: "The nomination was confirmed.",
+            outcome: "confirmed",
+            yeas: 98,
+            nays: 0,
+            present: null,
+            notVoting: 2,
+            bills: [],
+            billKey: null
+        } );
+    } );
+
+    it( "keeps consecutive roll calls apart and places each on its own page", () => {
+        const votes = parseRollCallVotes( [
+            { pdfPage: 12, recordPage: "H1502", text: readFixture( "houseRollCall.txt" ) },
+            {
+                pdfPage: 13,
+                recordPage: "H1503",
+                text: "The SPEAKER pro tempore. The question is on agreeing to the amendment.\n" +
+                    "The vote was taken by electronic device, and there were—yeas 190, nays 236, not voting 7, as follows:\n" +
+                    "[Roll No. 124]\nYEAS—190\nAdams\nNAYS—236\nAguilar\nSo the amendment was not agreed to."
+            }
+        ] );
+
+        expect( votes.map( ( vote ) => [ vote.rollNumber, vote.pdfPage, vote.outcome ] ) ).toEqual( [
+            [ 123, 12, "passed" ],
+            [ 124, 13, "not agreed to" ]
+        ] );
+        expect( votes[ 1 ] ).toMatchObject( {
+            question: "The question is on agreeing to the amendment.",
+            yeas: 190,
+            nays: 236,
+            present: null,
+            notVoting: 7,
+            bills: []
+        } );
+    } );
+
+    it( "finds nothing in text without a roll-call marker", () => {
+        expect( parseRollCallVotes( [ { pdfPage: 1, recordPage: "H1", text: "Yeas and nays were ordered. YEAS—2" } ] ) ).toEqual( [] );
+    } );
+} );
@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { findIssuesBySectionText } from "../utils/sectionTexts";
+
+// Answers the text search with the given groups and records what it was asked
+const createDb = ( groups = [] ) => {
+    const pipelines = [];
+    const collection = {
+        createIndexes: async () => [],
+        aggregate: ( pipeline ) => {
+            pipelines.push( pipeline );
+            return { toArray: async () => groups };
+        }
+    };
+    return { db: { collection: () => collection }, pipelines };
+};
+
+describe( "findIssuesBySectionText", () => {
+    it( "ranks issues by their best-matching section", async () => {
+        const { db, pipelines } = createDb( [ { _id: { volumeNumber: 170, issueNumber: 42 }, score: 3.5 } ] );
+        const issues = await findIssuesBySectionText( db, "\"farm bill\"", { limit: 10 } );
+
+        expect( pipelines[ 0 ][ 0 ].$match ).toEqual( { $text: { $search: "\"farm bill\"" } } );
+        expect( pipelines[ 0 ].at( -1 ) ).toEqual( { $limit: 10 } );
+        expect( issues ).toEqual( [ { volumeNumber: 170, issueNumber: 42, score: 3.5 } ] );
+    } );
+
+    it( "keeps undated text inside a date range for the caller to check", async () => {
+        const { db, pipelines } = createDb();
+        await findIssuesBySectionText( db, "farm bill", { startDate: "2024-03-01", endDate: "2024-03-12" } );
+
+        expect( pipelines[ 0 ][ 0 ].$match.$or ).toEqual( [
+            { issueDate: { $gte: "2024-03-01", $lte: "2024-03-12T23:59:59Z" } },
+            { issueDate: null }
+        ] );
+    } );
+} );
@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { loadRoster, parseRoster, resolveMember } from "../utils/memberRoster";
+import { findSpeakerTags, segmentSpeakerTurns } from "../utils/speakerTurns";
+
+const page = ( text, recordPage = "S1620" ) => ( { pdfPage: 1, recordPage, text } );
+
+describe( "findSpeakerTags", () => {
+    it( "recognises surnames printed in capitals", () => {
+        const text = "Mr. SMITH. Mr. Speaker, I rise today.\nMs. SÁNCHEZ of California. I thank the gentleman.\nMr. VAN HOLLEN. Mr. President.";
+        expect( findSpeakerTags( text ) ).toEqual( [
+            { speaker: "Mr. SMITH", surname: "SMITH", stateName: null },
+            { speaker: "Ms. SÁNCHEZ of California", surname: "SÁNCHEZ", stateName: "California" },
+            { speaker: "Mr. VAN HOLLEN", surname: "VAN HOLLEN", stateName: null }
+        ] );
+    } );
+
+    it( "recognises surnames with a mixed-case prefix", () => {
+        const text = [
+            "Mr. McCONNELL. Mr. President, I ask unanimous consent.",
+            "Ms. DeLAURO. Madam Speaker, I yield myself such time.",
+            "Mr. LaHOOD. I thank the chairwoman.",
+            "Mr. DesJARLAIS. I rise in support.",
+            "Ms. DelBENE of Washington. Madam Speaker.",
+            "Mr. MacARTHUR. I yield back."
+        ].join( "\n" );
+        expect( findSpeakerTags( text ).map( ( tag ) => tag.speaker ) ).toEqual( [
+            "Mr. McCONNELL",
+            "Ms. DeLAURO",
+            "Mr. LaHOOD",
+            "Mr. DesJARLAIS",
+            "Ms. DelBENE of Washington",
+            "Mr. MacARTHUR"
+        ] );
+    } );
+
+    it( "ignores sentences that only start like a tag", () => {
+        expect( findSpeakerTags( "Mr. Speaker, I rise today.\nMr. Smith. Went to Washington." ) ).toEqual( [] );
+    } );
+} );
+
+describe( "segmentSpeakerTurns", () => {
+    it( "gives each member their own turn", () => {
+        const turns = segmentSpeakerTurns( [ page( [
+            "Mr. SCHUMER. Mr. President, the farm bill",
+            "is ready for the floor.",
+            "Mr. McCONNELL. Mr. President, we will",
+            "support the motion to proceed.",
+            "The PRESIDING OFFICER. The clerk will call the roll."
+        ].join( "\n" ) ) ] );
+
+        expect( turns.map( ( { speaker, text } ) => [ speaker, text ] ) ).toEqual( [
+            [ "Mr. SCHUMER", "Mr. President, the farm bill\nis ready for the floor." ],
+            [ "Mr. McCONNELL", "Mr. President, we will\nsupport the motion to proceed." ],
+            [ "The PRESIDING OFFICER", "The clerk will call the roll." ]
+        ] );
+        expect( turns[ 1 ] ).toMatchObject( { surname: "McCONNELL", chamber: "Senate", presiding: false } );
+    } );
+} );
+
+describe( "resolving prefixed surnames", () => {
+    it( "finds the roster member a mixed-case tag names", async () => {
+        const entries = parseRoster( [
+            { id: { bioguide: "M000355" }, name: { first: "Mitch", last: "McConnell" }, terms: [ { type: "sen", start: "2021-01-03", end: "2027-01-03", state: "KY", party: "Republican" } ] },
+            { id: { bioguide: "D000216" }, name: { first: "Rosa", last: "DeLauro" }, terms: [ { type: "rep", start: "2023-01-03", end: "2025-01-03", state: "CT", district: 3, party: "Democrat" } ] }
+        ], { congress: 118 } );
+        const db = { collection: () => ( { find: () => ( { toArray: async () => entries } ) } ) };
+        const roster = await loadRoster( db, 118 );
+
+        const [ mcconnell, delauro ] = findSpeakerTags( "Mr. McCONNELL. Mr. President.\nMs. DeLAURO. Madam Speaker." );
+        expect( resolveMember( roster, { ...mcconnell, chamber: "Senate", date: "2024-03-12" } ) ).toMatchObject( { bioguideId: "M000355", party: "R", state: "KY" } );
+        expect( resolveMember( roster, { ...delauro, chamber: "House", date: "2024-03-12" } ) ).toMatchObject( { bioguideId: "D000216", party: "D", state: "CT" } );
+    } );
+} );
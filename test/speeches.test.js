@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { findIssuesBySpeechText, searchSpeeches } from "../utils/speeches";
+
+// Records the filter each query is sent with
+const createDb = () => {
+    const queries = [];
+    const collection = {
+        createIndexes: async () => [],
+        find: ( filter ) => {
+            queries.push( filter );
+            const cursor = { sort: () => cursor, limit: () => cursor, toArray: async () => [] };
+            return cursor;
+        },
+        aggregate: ( pipeline ) => {
+            queries.push( pipeline[ 0 ].$match );
+            return { toArray: async () => [] };
+        }
+    };
+    return { db: { collection: () => collection }, queries };
+};
+
+describe( "searchSpeeches", () => {
+    it( "matches the whole printed surname", async () => {
+        const { db, queries } = createDb();
+        await searchSpeeches( db, { speaker: "Smith" } );
+        const surname = new RegExp( queries[ 0 ].surname.$regex, queries[ 0 ].surname.$options );
+
+        expect( [ "SMITH", "ADAM SMITH" ].every( ( name ) => surname.test( name ) ) ).toBe( true );
+        expect( [ "SMITHSON", "GOLDSMITH" ].some( ( name ) => surname.test( name ) ) ).toBe( false );
+    } );
+
+    it( "matches surnames with a mixed-case prefix", async () => {
+        const { db, queries } = createDb();
+        await searchSpeeches( db, { speaker: "mcconnell" } );
+        expect( new RegExp( queries[ 0 ].surname.$regex, queries[ 0 ].surname.$options ).test( "McCONNELL" ) ).toBe( true );
+    } );
+
+    it( "includes speeches on the end date", async () => {
+        const { db, queries } = createDb();
+        await searchSpeeches( db, { speaker: "Smith", startDate: "2024-03-01", endDate: "2024-03-12" } );
+        expect( queries[ 0 ].issueDate ).toEqual( { $gte: "2024-03-01", $lte: "2024-03-12T23:59:59Z" } );
+        expect( "2024-03-12T04:00:00Z" <= queries[ 0 ].issueDate.$lte ).toBe( true );
+    } );
+} );
+
+describe( "findIssuesBySpeechText", () => {
+    it( "includes issues on the end date", async () => {
+        const { db, queries } = createDb();
+        await findIssuesBySpeechText( db, "farm bill", { endDate: "2024-03-12" } );
+        expect( queries[ 0 ].issueDate ).toEqual( { $lte: "2024-03-12T23:59:59Z" } );
+    } );
+} );
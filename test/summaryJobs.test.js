@@ -0,0 +1,75 @@
+import { describe, expect, it, vi } from "vitest";
+import { ObjectId } from "mongodb";
+
+const summarizeIssue = vi.fn();
+vi.mock( "../utils/summarizeIssue", () => ( { summarizeIssue } ) );
+
+const { enqueueSummaryJob, isJobClaimable, runSummaryJob } = await import( "../utils/summaryJobs" );
+
+// One job document; claims honour the same queued-or-lapsed rule the real filter encodes
+const createDb = ( job ) => ( {
+    collection: () => ( {
+        findOneAndUpdate: async ( filter, update ) => {
+            if ( !filter._id.equals( job._id ) || !isJobClaimable( job ) ) return null;
+            Object.assign( job, update.$set );
+            return { ...job };
+        },
+        updateOne: async ( filter, update ) => {
+            Object.assign( job, update.$set );
+        }
+    } )
+} );
+
+const queuedJob = () => ( { _id: new ObjectId(), issueNumber: 1, volumeNumber: 171, status: "queued", attempts: 0, lockedUntil: null } );
+
+describe( "summary job attempts", () => {
+    it( "counts a run that throws and fails the job after three", async () => {
+        summarizeIssue.mockRejectedValue( new Error( "model unavailable" ) );
+        const job = queuedJob();
+        const db = createDb( job );
+
+        expect( await runSummaryJob( db, job._id ) ).toMatchObject( { status: "queued" } );
+        expect( job.attempts ).toBe( 1 );
+        await runSummaryJob( db, job._id );
+        expect( await runSummaryJob( db, job._id ) ).toMatchObject( { status: "failed" } );
+        expect( job.attempts ).toBe( 3 );
+    } );
+
+    it( "does not count reclaiming a job whose lease lapsed", async () => {
+        summarizeIssue.mockResolvedValue( {} );
+        const job = { ...queuedJob(), status: "running", lockedUntil: new Date( Date.now() - 1000 ) };
+        const db = createDb( job );
+
+        expect( await runSummaryJob( db, job._id ) ).toMatchObject( { status: "completed" } );
+        expect( job.attempts ).toBe( 0 );
+    } );
+
+    it( "leaves a job alone while another worker holds its lease", async () => {
+        const job = { ...queuedJob(), status: "running", lockedUntil: new Date( Date.now() + 60000 ) };
+        expect( await runSummaryJob( createDb( job ), job._id ) ).toBeNull();
+    } );
+} );
+
+describe( "enqueueSummaryJob", () => {
+    it( "returns the job a concurrent request inserted first", async () => {
+        const existing = queuedJob();
+        const createIndexes = vi.fn( async () => [] );
+        const findOne = vi.fn( async () => existing );
+        const db = {
+            collection: () => ( {
+                createIndexes,
+                findOneAndUpdate: async () => {
+                    throw Object.assign( new Error( "E11000 duplicate key error" ), { code: 11000 } );
+                },
+                findOne
+            } )
+        };
+
+        expect( await enqueueSummaryJob( db, { issueNumber: 1, volumeNumber: 171, section: "senateSection" } ) ).toBe( existing );
+        expect( findOne ).toHaveBeenCalledWith( { issueNumber: 1, volumeNumber: 171, section: "senateSection", status: { $in: [ "queued", "running" ] } } );
+        expect( createIndexes.mock.calls[ 0 ][ 0 ] ).toEqual( [ expect.objectContaining( {
+            unique: true,
+            partialFilterExpression: { status: { $in: [ "queued", "running" ] } }
+        } ) ] );
+    } );
+} );
@@ -0,0 +1,116 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock( "openai", () => ( { default: class {} } ) );
+
+const matches = ( doc, filter ) => Object.entries( filter ).every( ( [ field, condition ] ) => {
+    if ( condition && typeof condition === "object" && !( condition instanceof Date ) ) {
+        if ( "$gt" in condition ) return doc[ field ] > condition.$gt;
+        if ( "$gte" in condition ) return doc[ field ] >= condition.$gte;
+    }
+    return doc[ field ] === condition;
+} );
+
+// Just enough of a collection for the in-process index: filtered finds and deletes
+const createDb = () => {
+    const docs = [];
+    const collection = {
+        docs,
+        find: ( filter ) => docs.filter( ( doc ) => matches( doc, filter ) ),
+        deleteMany: async ( filter ) => {
+            const kept = docs.filter( ( doc ) => !matches( doc, filter ) );
+            const deletedCount = docs.length - kept.length;
+            docs.splice( 0, docs.length, ...kept );
+            return { deletedCount };
+        }
+    };
+    return { collection: () => collection };
+};
+
+const chunkVector = ( chunkIndex, embedding, model = "text-embedding-3-small" ) => ( {
+    _id: `1-1:floor:${ chunkIndex }`,
+    volumeNumber: 1,
+    issueNumber: 1,
+    section: "floor",
+    kind: "chunk",
+    chunkIndex,
+    model,
+    dimensions: embedding.length,
+    embedding,
+    updatedAt: new Date()
+} );
+
+const loadVectorIndex = async () => {
+    vi.resetModules();
+    vi.stubEnv( "LLM_PROVIDER", "openai" );
+    vi.stubEnv( "OPENAI_API_KEY", "test-key" );
+    vi.stubEnv( "OPENAI_EMBEDDING_MODEL", "text-embedding-3-small" );
+    vi.stubEnv( "OPENAI_EMBEDDING_DIMENSIONS", "2" );
+    vi.stubEnv( "VECTOR_SEARCH_INDEX", "" );
+    return import( "../utils/vectorIndex" );
+};
+
+const search = ( vectorIndex, db ) =>
+    vectorIndex.searchSummaryVectors( db, [ 1, 0 ], { kind: "chunk", sections: [ "floor" ] } );
+
+beforeEach( () => {
+    vi.useFakeTimers( { toFake: [ "Date" ] } );
+    vi.setSystemTime( new Date( "2026-01-01T00:00:00Z" ) );
+} );
+
+afterEach( () => {
+    vi.useRealTimers();
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+} );
+
+describe( "in-process vector index", () => {
+    it( "ranks vectors by cosine similarity and leaves out other models and lengths", async () => {
+        const vectorIndex = await loadVectorIndex();
+        const db = createDb();
+        db.collection().docs.push(
+            chunkVector( 0, [ 0, 1 ] ),
+            chunkVector( 1, [ 3, 4 ] ),
+            chunkVector( 2, [ 1, 0 ], "text-embedding-ada-002" ),
+            chunkVector( 3, [ 1, 0, 0 ] )
+        );
+
+        const results = await search( vectorIndex, db );
+        expect( results.map( ( result ) => result.chunkIndex ) ).toEqual( [ 1, 0 ] );
+        expect( results[ 0 ].similarity ).toBeCloseTo( 0.6, 2 );
+    } );
+
+    it( "forgets pruned chunk vectors at once", async () => {
+        const vectorIndex = await loadVectorIndex();
+        const db = createDb();
+        db.collection().docs.push( chunkVector( 0, [ 1, 0 ] ), chunkVector( 1, [ 1, 1 ] ), chunkVector( 2, [ 0, 1 ] ) );
+        expect( await search( vectorIndex, db ) ).toHaveLength( 3 );
+
+        await vectorIndex.pruneChunkVectors( db, { volumeNumber: 1, issueNumber: 1, section: "floor" }, 1 );
+        expect( ( await search( vectorIndex, db ) ).map( ( result ) => result.chunkIndex ) ).toEqual( [ 0 ] );
+    } );
+
+    it( "drops vectors deleted elsewhere once the index is reconciled", async () => {
+        const vectorIndex = await loadVectorIndex();
+        const db = createDb();
+        db.collection().docs.push( chunkVector( 0, [ 1, 0 ] ), chunkVector( 1, [ 0, 1 ] ) );
+        expect( await search( vectorIndex, db ) ).toHaveLength( 2 );
+
+        db.collection().docs.pop();
+        vi.setSystemTime( new Date( "2026-01-01T00:01:00Z" ) );
+        expect( await search( vectorIndex, db ) ).toHaveLength( 2 );
+
+        vi.setSystemTime( new Date( "2026-01-01T00:10:00Z" ) );
+        expect( ( await search( vectorIndex, db ) ).map( ( result ) => result.chunkIndex ) ).toEqual( [ 0 ] );
+    } );
+
+    it( "holds no more than LOCAL_VECTOR_LIMIT vectors", async () => {
+        vi.stubEnv( "LOCAL_VECTOR_LIMIT", "2" );
+        const vectorIndex = await loadVectorIndex();
+        const db = createDb();
+        db.collection().docs.push( chunkVector( 0, [ 1, 0 ] ), chunkVector( 1, [ 1, 1 ] ), chunkVector( 2, [ 0, 1 ] ) );
+        vi.spyOn( console, "error" ).mockImplementation( () => {} );
+
+        expect( ( await search( vectorIndex, db ) ).map( ( result ) => result.chunkIndex ) ).toEqual( [ 0, 1 ] );
+        expect( console.error ).toHaveBeenCalledWith( expect.stringContaining( "full at 2 vectors" ) );
+    } );
+} );
@@ -0,0 +1,184 @@
+import { parseSummaryRequest } from "./summarizeIssue";
+import { enqueueSummaryJob, processSummaryJobs } from "./summaryJobs";
+import { getIssueContext, indexIssueText } from "./issueTextIndexes";
+import { findStoredSections, loadSectionText, markSectionTextIndexed } from "./sectionTexts";
+import { DEFAULT_SECTION, chunkSectionFilter, extractSections, issueVariantsFilter, sectionSummaryPath } from "./recordSections";
+
+const RUN_COLLECTION = "cronRuns";
+const SUMMARIES_COLLECTION = "summaries";
+const CHUNK_COLLECTION = "chunkSummaries";
+const JOB_COLLECTION = "summaryJobs";
+const JOB_SOURCE = "cron";
+const REPROCESS_SOURCE = "reprocess";
+// Jobs the cron queued itself, which spend the daily chunk budget wherever they run
+export const AUTO_SUMMARY_SOURCES = [ JOB_SOURCE, REPROCESS_SOURCE ];
+
+const parseCap = ( value, fallback ) => {
+    const parsed = Number.parseInt( value ?? "", 10 );
+    return Number.isSafeInteger( parsed ) && parsed >= 0 ? parsed : fallback;
+};
+
+// Daily limits shared by every cron run on the same UTC day; 0 turns auto-summarization off
+const DAILY_ISSUE_CAP = parseCap( process.env.AUTO_SUMMARY_MAX_ISSUES_PER_DAY, 5 );
+const DAILY_CHUNK_CAP = parseCap( process.env.AUTO_SUMMARY_MAX_CHUNKS_PER_DAY, 40 );
+// Re-summaries of sections whose text changed are budgeted apart, so they never crowd out new issues
+const DAILY_REPROCESS_CAP = parseCap( process.env.AUTO_SUMMARY_MAX_REPROCESS_PER_DAY, 5 );
+
+const startOfUtcDay = ( date = new Date() ) =>
+    new Date( Date.UTC( date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() ) );
+
+const countJobsToday = ( db, source ) =>
+    db.collection( JOB_COLLECTION ).countDocuments( { source, createdAt: { $gte: startOfUtcDay() } } );
+
+async function getUsageToday( db ) {
+    const since = startOfUtcDay();
+    const issuesQueued = await countJobsToday( db, JOB_SOURCE );
+    const [ chunkUsage ] = await db.collection( RUN_COLLECTION )
+        .aggregate( [
+            { $match: { startedAt: { $gte: since } } },
+            { $group: { _id: null, chunks: { $sum: "$chunksSummarized" } } }
+        ] )
+        .toArray();
+
+    return { issuesQueued, chunksSummarized: chunkUsage?.chunks ?? 0 };
+}
+
+/**
+ * Queue and run summaries for issues the cron just inserted, within the daily caps.
+ * Jobs that do not fit in today's chunk budget stay queued for /api/summaryJobs/work or a reader.
+ */
+export async function autoSummarizeNewIssues( db, insertedRecords = [] ) {
+    const usage = await getUsageToday( db );
+    let issueBudget = Math.max( 0, DAILY_ISSUE_CAP - usage.issuesQueued );
+    const chunkBudget = Math.max( 0, DAILY_CHUNK_CAP - usage.chunksSummarized );
+
+    const queued = [];
+    const skipped = [];
+
+    for ( const record of insertedRecords ) {
+        const label = { volumeNumber: record.volumeNumber, issueNumber: record.issueNumber };
+        // Prefer the whole issue; fall back to the first chamber section congress.gov published
+        const sections = extractSections( record.contents ).filter( ( section ) => section.present );
+        const target = sections.find( ( section ) => section.key === DEFAULT_SECTION ) ?? sections[ 0 ];
+        if ( !target ) {
+            skipped.push( { ...label, reason: "no PDF URL" } );
+            continue;
+        }
+        if ( issueBudget === 0 ) {
+            skipped.push( { ...label, reason: "daily issue cap reached" } );
+            continue;
+        }
+
+        try {
+            const issue = parseSummaryRequest( { ...label, section: target.key, pdfUrl: target.url, issueDate: record.issueDate } );
+            const job = await enqueueSummaryJob( db, issue, { source: JOB_SOURCE } );
+            queued.push( { ...label, jobId: job._id.toString() } );
+            issueBudget -= 1;
+        } catch ( error ) {
+            skipped.push( { ...label, reason: error.message } );
+        }
+    }
+
+    const jobs = chunkBudget > 0
+        ? await processSummaryJobs( db, { maxJobs: DAILY_ISSUE_CAP, maxChunks: chunkBudget, filter: { source: JOB_SOURCE } } )
+        : [];
+
+    return {
+        caps: { issuesPerDay: DAILY_ISSUE_CAP, chunksPerDay: DAILY_CHUNK_CAP },
+        queued,
+        skipped,
+        jobs,
+        chunksSummarized: jobs.reduce( ( total, job ) => total + job.summarizedChunks, 0 )
+    };
+}
+
+/**
+ * Run the cron's own queued jobs (those that did not fit when queued, and reprocess jobs) within
+ * what is left of today's chunk budget, and record what they spent in `cronRuns`, where every
+ * later run counts it.
+ */
+export async function processQueuedAutoSummaries( db, { maxJobs = DAILY_ISSUE_CAP } = {} ) {
+    const startedAt = new Date();
+    const usage = await getUsageToday( db );
+    const chunkBudget = Math.max( 0, DAILY_CHUNK_CAP - usage.chunksSummarized );
+    const jobs = chunkBudget > 0
+        ? await processSummaryJobs( db, { maxJobs, maxChunks: chunkBudget, filter: { source: { $in: AUTO_SUMMARY_SOURCES } } } )
+        : [];
+    const chunksSummarized = jobs.reduce( ( total, job ) => total + job.summarizedChunks, 0 );
+
+    if ( jobs.length > 0 ) {
+        await saveRunReport( db, { kind: "work", startedAt, jobs, chunksSummarized, finishedAt: new Date() } );
+    }
+    return { chunkBudget, jobs, chunksSummarized };
+}
+
+/**
+ * Re-check the stored text of every section of the issues congress.gov updated. A section whose
+ * extracted text hashes the same keeps its summary, which is no longer flagged stale. One whose
+ * text changed has its text indexes rebuilt and, when it was summarized and the daily reprocess
+ * cap allows, a summary job queued for /api/summaryJobs/work; chunk summaries are matched by
+ * their own text hash, so only changed chunks are redone. Sections past the cap keep their
+ * stale summary until a reader refreshes it.
+ */
+export async function reprocessUpdatedIssues( db, updatedRecords = [] ) {
+    const result = { cap: DAILY_REPROCESS_CAP, checked: 0, unchanged: 0, changed: 0, queued: [], skipped: [], failed: [] };
+    let jobBudget = Math.max( 0, DAILY_REPROCESS_CAP - await countJobsToday( db, REPROCESS_SOURCE ) );
+
+    for ( const record of updatedRecords ) {
+        const label = { volumeNumber: record.volumeNumber, issueNumber: record.issueNumber };
+        const sectionUrls = new Map( extractSections( record.contents ).map( ( section ) => [ section.key, section.url ] ) );
+
+        for ( const { section, pdfUrl: storedUrl } of await findStoredSections( db, label ) ) {
+            const issue = { ...label, section, pdfUrl: sectionUrls.get( section ) ?? storedUrl, issueDate: record.issueDate };
+            result.checked += 1;
+            try {
+                const text = await loadSectionText( db, issue );
+                const summaryFilter = { ...issueVariantsFilter( label ), [ sectionSummaryPath( section ) ]: { $exists: true, $ne: "" } };
+                // Compared with the text last processed rather than last stored, so a run that died
+                // between storing new text and rebuilding its indexes is finished here
+                const textChanged = text.indexedTextHash !== text.textHash;
+                if ( textChanged ) {
+                    const { indexes, complete } = await indexIssueText( db, await getIssueContext( db, issue ), text.pages );
+                    if ( complete ) {
+                        await markSectionTextIndexed( db, issue, text.textHash );
+                    } else {
+                        // Left unmarked, so the next summary or reprocess of this section rebuilds them
+                        const failedIndexes = Object.keys( indexes ).filter( ( name ) => !indexes[ name ].indexed );
+                        result.failed.push( { ...label, section, reason: `failed to index ${ failedIndexes.join( ", " ) }` } );
+                    }
+                }
+                // Only now may cached chunks be reused; each is still checked against its own hash
+                await db.collection( CHUNK_COLLECTION ).updateMany(
+                    { ...issueVariantsFilter( label ), ...chunkSectionFilter( section ) },
+                    { $set: { stale: false } }
+                );
+
+                if ( !textChanged ) {
+                    await db.collection( SUMMARIES_COLLECTION ).updateOne( summaryFilter, { $set: { [ sectionSummaryPath( section, "summaryStale" ) ]: false } } );
+                    result.unchanged += 1;
+                    continue;
+                }
+
+                result.changed += 1;
+                if ( await db.collection( SUMMARIES_COLLECTION ).countDocuments( summaryFilter, { limit: 1 } ) === 0 ) continue;
+                if ( jobBudget === 0 ) {
+                    result.skipped.push( { ...label, section, reason: "daily reprocess cap reached" } );
+                    continue;
+                }
+                const job = await enqueueSummaryJob( db, parseSummaryRequest( issue ), { source: REPROCESS_SOURCE } );
+                result.queued.push( { ...label, section, jobId: job._id.toString() } );
+                jobBudget -= 1;
+            } catch ( error ) {
+                console.error( `❌ Failed to reprocess volume ${ label.volumeNumber }, issue ${ label.issueNumber }, ${ section }:`, error.message );
+                result.failed.push( { ...label, section, reason: error.message } );
+            }
+        }
+    }
+
+    return result;
+}
+
+export async function saveRunReport( db, report ) {
+    const { insertedId } = await db.collection( RUN_COLLECTION ).insertOne( report );
+    return insertedId;
+}
@@ -0,0 +1,114 @@
+// Bill and resolution types as congress.gov keys them, with the printed prefix for each
+export const BILL_TYPES = {
+    hr: "H.R.",
+    s: "S.",
+    hres: "H.Res.",
+    sres: "S.Res.",
+    hjres: "H.J.Res.",
+    sjres: "S.J.Res.",
+    hconres: "H.Con.Res.",
+    sconres: "S.Con.Res."
+};
+
+// "H.R. 1234", "H. R. 1234", "S. 56", "H. Res. 789", "S.J. Res. 12", "H. Con. Res. 3". The chamber
+// letter needs its period so words like "S 5" inside tables and page headers are not read as bills,
+// and may not follow another initial, which keeps "U.S. 2024" out.
+const CITATION_PATTERN = "(?<![\\w.])(H|S)\\.\\s?(R\\.|Res\\.|J\\.\\s?Res\\.|Con\\.\\s?Res\\.)?\\s?(\\d{1,5})\\b";
+const BILL_CITATION_REGEX = new RegExp( CITATION_PATTERN, "g" );
+// Looser form accepted from people and models, e.g. "hr1234", "S 56", "hjres 12". Bill numbers
+// restart every Congress, so one may lead with it: "118 hr1234", "118th H.R. 1234", "118-s56".
+const BILL_NUMBER_REGEX = /^(?:(\d{1,3})(?:st|nd|rd|th)?(?:\s*Congress)?[\s,-]+)?(H|S)\.?\s*(R|Res|J\.?\s*Res|Con\.?\s*Res)?\.?\s*(\d{1,5})$/i;
+const SNIPPET_RADIUS = 160;
+
+// "S.R." composes to "sr", which is not a type; the Senate's simple resolutions are "S. Res."
+const toBillType = ( chamber, kind = "" ) => {
+    const type = `${ chamber }${ kind.replace( /[.\s]/g, "" ) }`.toLowerCase();
+    return BILL_TYPES[ type ] ? type : null;
+};
+
+const formatBill = ( type, number ) => `${ BILL_TYPES[ type ] } ${ number }`;
+
+/**
+ * Parse a bill or resolution number in any common spelling. Returns
+ * `{ type, number, key, label, congress }`, e.g. `{ type: "hr", number: 1234, key: "hr1234",
+ * label: "H.R. 1234", congress: 118 }` for "118 H.R. 1234", or null. `key` names the number
+ * within a Congress; `congress` is null when the value did not say which.
+ */
+export const parseBillNumber = ( value ) => {
+    if ( typeof value !== "string" ) return null;
+    const match = value.replace( /\s+/g, " " ).trim().match( BILL_NUMBER_REGEX );
+    if ( !match ) return null;
+
+    const type = toBillType( match[ 2 ], match[ 3 ] );
+    if ( !type ) return null;
+
+    const number = Number.parseInt( match[ 4 ], 10 );
+    const congress = match[ 1 ] ? Number.parseInt( match[ 1 ], 10 ) : null;
+    if ( congress === 0 ) return null;
+    return { type, number, key: `${ type }${ number }`, label: formatBill( type, number ), congress };
+};
+
+/**
+ * Normalize a bill or resolution number to its printed form ("hr 1234" becomes "H.R. 1234"),
+ * or return null when the value is not one.
+ */
+export const normalizeBillNumber = ( value ) => parseBillNumber( value )?.label ?? null;
+
+const buildSnippet = ( text, start, end ) => {
+    const from = Math.max( 0, start - SNIPPET_RADIUS );
+    const to = Math.min( text.length, end + SNIPPET_RADIUS );
+    const snippet = text.slice( from, to ).replace( /\s+/g, " " ).trim();
+    return `${ from > 0 ? "…" : "" }${ snippet }${ to < text.length ? "…" : "" }`;
+};
+
+/**
+ * Every bill or resolution citation in a stretch of whitespace-normalized text, in order, with
+ * where it starts and how long it is.
+ */
+export const findBillCitations = ( text ) => {
+    const citations = [];
+    for ( const match of text.matchAll( BILL_CITATION_REGEX ) ) {
+        const type = toBillType( match[ 1 ], match[ 2 ] );
+        if ( !type ) continue;
+        const number = Number.parseInt( match[ 3 ], 10 );
+        citations.push( { type, number, key: `${ type }${ number }`, label: formatBill( type, number ), index: match.index, length: match[ 0 ].length } );
+    }
+    return citations;
+};
+
+/**
+ * Find every bill and resolution cited in extracted Record pages. Returns one entry per bill per
+ * page, with how often it was cited there and the text around the first citation.
+ */
+export const parseBillCitations = ( pages ) => {
+    const mentions = [];
+
+    for ( const page of pages ) {
+        const byBill = new Map();
+        // Line breaks inside a citation ("H.R.\n1234") are common in the two-column layout
+        const text = page.text.replace( /\s+/g, " " );
+
+        for ( const citation of findBillCitations( text ) ) {
+            const existing = byBill.get( citation.key );
+            if ( existing ) {
+                existing.occurrences += 1;
+                continue;
+            }
+
+            byBill.set( citation.key, {
+                billKey: citation.key,
+                billType: citation.type,
+                billNumber: citation.number,
+                label: citation.label,
+                pdfPage: page.pdfPage,
+                recordPage: page.recordPage ?? null,
+                occurrences: 1,
+                snippet: buildSnippet( text, citation.index, citation.index + citation.length )
+            } );
+        }
+
+        mentions.push( ...byBill.values() );
+    }
+
+    return mentions;
+};
@@ -0,0 +1,99 @@
+import { parseBillCitations } from "./billCitations";
+import { ensureIndexes } from "./mongoIndexes";
+
+const COLLECTION_NAME = "billMentions";
+const INDEXES = [
+    { key: { billKey: 1, congress: 1, issueDate: -1 } },
+    { key: { volumeNumber: 1, issueNumber: 1, section: 1 } }
+];
+
+/**
+ * Replace the bill mentions stored for one issue section with the citations found in its pages.
+ * Runs on every (re)summarize, so a corrected issue never keeps mentions from its old text.
+ */
+export async function indexBillMentions( db, { issueNumber, volumeNumber, congress, issueDate, section, pdfUrl }, pages ) {
+    await ensureIndexes( db, COLLECTION_NAME, INDEXES );
+    const collection = db.collection( COLLECTION_NAME );
+
+    const indexedAt = new Date();
+    const mentions = parseBillCitations( pages ).map( ( mention ) => ( {
+        ...mention,
+        congress,
+        volumeNumber,
+        issueNumber,
+        issueDate,
+        section,
+        pdfUrl,
+        indexedAt
+    } ) );
+
+    await collection.deleteMany( { volumeNumber, issueNumber, section } );
+    if ( mentions.length > 0 ) {
+        await collection.insertMany( mentions );
+    }
+
+    return mentions.length;
+}
+
+/**
+ * List every issue in which a bill was cited, newest first, with the pages and snippets.
+ * Bill numbers restart every Congress, so the mentions are of `billKey` in `congress`; without
+ * one, the most recent Congress that cited it is used. Returns that Congress, every Congress
+ * that cited a bill of this number (most recent first), and the issues.
+ * The same Record page can be indexed through the whole issue and a chamber section; it is listed once.
+ */
+export async function findBillMentions( db, { billKey, congress = null, limit = 100 } ) {
+    await ensureIndexes( db, COLLECTION_NAME, INDEXES );
+    const congresses = ( await db.collection( COLLECTION_NAME ).distinct( "congress", { billKey } ) )
+        .filter( ( value ) => value != null )
+        .sort( ( a, b ) => b - a );
+    const resolvedCongress = congress ?? congresses[ 0 ] ?? null;
+    if ( !resolvedCongress ) return { congress: null, congresses, issues: [] };
+    const match = { billKey, congress: resolvedCongress };
+
+    const groups = await db.collection( COLLECTION_NAME ).aggregate( [
+        { $match: match },
+        { $sort: { issueDate: -1, pdfPage: 1 } },
+        {
+            $group: {
+                _id: { volumeNumber: "$volumeNumber", issueNumber: "$issueNumber" },
+                congress: { $first: "$congress" },
+                issueDate: { $first: "$issueDate" },
+                label: { $first: "$label" },
+                mentions: {
+                    $push: {
+                        section: "$section",
+                        pdfUrl: "$pdfUrl",
+                        pdfPage: "$pdfPage",
+                        recordPage: "$recordPage",
+                        occurrences: "$occurrences",
+                        snippet: "$snippet"
+                    }
+                }
+            }
+        },
+        { $sort: { issueDate: -1 } },
+        { $limit: limit }
+    ] ).toArray();
+
+    const issues = groups.map( ( issue ) => {
+        const seen = new Set();
+        const mentions = issue.mentions.filter( ( mention ) => {
+            const key = mention.recordPage ?? `${ mention.section }:${ mention.pdfPage }`;
+            if ( seen.has( key ) ) return false;
+            seen.add( key );
+            return true;
+        } );
+
+        return {
+            volumeNumber: issue._id.volumeNumber,
+            issueNumber: issue._id.issueNumber,
+            congress: issue.congress,
+            issueDate: issue.issueDate,
+            label: issue.label,
+            occurrences: mentions.reduce( ( total, mention ) => total + mention.occurrences, 0 ),
+            mentions
+        };
+    } );
+    return { congress: resolvedCongress, congresses, issues };
+}
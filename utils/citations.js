@@ -0,0 +1,65 @@
+// Pages are cited by their Record number (H1234, S567, E89, D12); pages without a detectable
+// Record number fall back to their PDF page, e.g. p5
+const ANCHOR_PATTERN = "(?:[HSED]\\d{1,5}|p\\d{1,4})";
+
+// Matches "[H1234]", "[H1234-H1236]" and "[S567, S570]"
+export const CITATION_REGEX = new RegExp( `\\[(${ ANCHOR_PATTERN }(?:\\s*[-–,]\\s*${ ANCHOR_PATTERN })*)\\]`, "g" );
+const ANCHOR_REGEX = new RegExp( ANCHOR_PATTERN, "g" );
+// A wider "range" is more likely a typo than a real citation, so only its endpoints are kept
+const MAX_RANGE_PAGES = 50;
+
+export const pageAnchor = ( { recordPage, pdfPage } ) => recordPage || `p${ pdfPage }`;
+
+export const formatPageMarker = ( page ) => `[[Page ${ pageAnchor( page ) }]]`;
+
+/**
+ * Map every page anchor in the extracted pages to the PDF page it starts on.
+ */
+export const buildPageMap = ( pages ) => {
+    const pageMap = {};
+    for ( const page of pages ) {
+        const anchor = pageAnchor( page );
+        if ( !( anchor in pageMap ) ) {
+            pageMap[ anchor ] = page.pdfPage;
+        }
+    }
+    return pageMap;
+};
+
+export const parseCitationAnchors = ( citation ) => citation.match( ANCHOR_REGEX ) ?? [];
+
+// "H1234-H1236" stands for H1234, H1235 and H1236; both ends must be on the same kind of page
+const expandRange = ( start, end ) => {
+    const [ , startPrefix, startNumber ] = start.match( /^([A-Za-z])(\d+)$/ );
+    const [ , endPrefix, endNumber ] = end.match( /^([A-Za-z])(\d+)$/ );
+    const first = Number( startNumber );
+    const last = Number( endNumber );
+    if ( startPrefix !== endPrefix || last <= first || last - first >= MAX_RANGE_PAGES ) return [ start, end ];
+    return Array.from( { length: last - first + 1 }, ( _, offset ) => `${ startPrefix }${ first + offset }` );
+};
+
+// Every page a citation covers: "H1234-H1236, S567" gives H1234, H1235, H1236 and S567
+const expandCitationAnchors = ( citation ) =>
+    citation.split( "," ).flatMap( ( part ) => {
+        const anchors = parseCitationAnchors( part );
+        return anchors.length === 2 ? expandRange( anchors[ 0 ], anchors[ 1 ] ) : anchors;
+    } );
+
+/**
+ * Collect the distinct pages a summary cites, in order of first mention, counting every page
+ * inside a cited range. Anchors that do not exist in the source are dropped rather than linked.
+ */
+export const extractCitations = ( text = "", pageMap = {} ) => {
+    const seen = new Set();
+    const citations = [];
+
+    for ( const match of text.matchAll( CITATION_REGEX ) ) {
+        for ( const anchor of expandCitationAnchors( match[ 1 ] ) ) {
+            if ( seen.has( anchor ) || !( anchor in pageMap ) ) continue;
+            seen.add( anchor );
+            citations.push( { anchor, pdfPage: pageMap[ anchor ] } );
+        }
+    }
+
+    return citations;
+};
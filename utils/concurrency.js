@@ -0,0 +1,25 @@
+/**
+ * Map over `items` with at most `limit` calls of `fn` in flight. Results keep the input order;
+ * the first rejection rejects the whole call once running tasks settle.
+ */
+export async function mapWithConcurrency( items, limit, fn ) {
+    const results = new Array( items.length );
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while ( nextIndex < items.length ) {
+            const index = nextIndex;
+            nextIndex += 1;
+            results[ index ] = await fn( items[ index ], index );
+        }
+    };
+
+    const workerCount = Math.max( 1, Math.min( limit, items.length ) );
+    const settled = await Promise.allSettled( Array.from( { length: workerCount }, worker ) );
+    const failure = settled.find( ( outcome ) => outcome.status === "rejected" );
+    if ( failure ) {
+        throw failure.reason;
+    }
+
+    return results;
+}
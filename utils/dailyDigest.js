@@ -0,0 +1,149 @@
+import { findBillCitations } from "./billCitations";
+
+// Running heads repeated on every Digest page: "CONGRESSIONAL RECORD — DAILY DIGEST", "D512",
+// "Wednesday, June 5, 2024"; the date must fill the line so "Tuesday, the Senate will …" survives
+const RUNNING_HEAD_REGEX = /CONGRESSIONAL RECORD|^Daily Digest$|^D\d{1,5}$|^(?:(?:Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday),? )?(?:January|February|March|April|May|June|July|August|September|October|November|December) \d{1,2}, \d{4}$/i;
+const NEXT_MEETING_REGEX = /^Next Meeting of the (SENATE|HOUSE OF REPRESENTATIVES)$/i;
+// The schedule of future hearings that closes some issues; not part of the day's business
+const PROGRAM_AHEAD_REGEX = /^(Congressional Program Ahead|Committee Meetings for )/i;
+// "Measures Passed: Senate passed S. 5 …" or "Committee on Armed Services: Committee concluded …"
+const ENTRY_REGEX = /^([A-Z][^:]{2,120}):\s*(.*)$/;
+const PAGES_REGEX = /\bPages? ([HSDE]\d{1,5}(?:\s*[–-]\s*[HSDE]?\d{1,5})?(?:,\s*[HSDE]?\d{1,5}(?:\s*[–-]\s*[HSDE]?\d{1,5})?)*)/;
+const CHAMBER_HEADINGS = { "Senate": "senate", "House of Representatives": "house" };
+const MAX_ENTRY_CHARS = 2000;
+
+const emptyChamber = () => ( { actions: [], committeeMeetings: [] } );
+
+const endsEntry = ( text ) => /[.)]["”’]?$/.test( text ) || PAGES_REGEX.test( text.slice( -40 ) );
+
+const finishEntry = ( entry ) => {
+    const text = entry.text.replace( /\s+/g, " " ).trim().slice( 0, MAX_ENTRY_CHARS );
+    return {
+        title: entry.title,
+        text,
+        pages: text.match( PAGES_REGEX )?.[ 1 ] ?? null,
+        bills: [ ...new Set( findBillCitations( text ).map( ( citation ) => citation.label ) ) ]
+    };
+};
+
+/**
+ * Parse Daily Digest pages into the day's highlights, each chamber's floor actions and committee
+ * meetings, joint meetings, and when each chamber meets next. Works on the Digest section alone
+ * or on a whole issue, whose Digest pages are the D pages.
+ */
+export function parseDailyDigest( pages ) {
+    const digestPages = pages.some( ( page ) => page.recordPage?.startsWith( "D" ) )
+        ? pages.filter( ( page ) => page.recordPage?.startsWith( "D" ) )
+        : pages;
+
+    const digest = {
+        highlights: [],
+        senate: emptyChamber(),
+        house: emptyChamber(),
+        jointMeetings: [],
+        nextMeetings: {}
+    };
+
+    let chamber = null;
+    let block = null;
+    let entry = null;
+    let highlight = "";
+    let nextMeeting = null;
+
+    const target = () => {
+        if ( block === "actions" && chamber ) return digest[ chamber ].actions;
+        if ( block === "committees" ) return chamber === "joint" ? digest.jointMeetings : chamber ? digest[ chamber ].committeeMeetings : null;
+        return null;
+    };
+    const closeEntry = () => {
+        if ( entry ) target()?.push( finishEntry( entry ) );
+        entry = null;
+    };
+    const closeHighlight = () => {
+        if ( highlight.trim() ) digest.highlights.push( highlight.replace( /\s+/g, " " ).trim() );
+        highlight = "";
+    };
+    const startBlock = ( nextChamber, nextBlock ) => {
+        closeEntry();
+        closeHighlight();
+        chamber = nextChamber;
+        block = nextBlock;
+    };
+
+    for ( const page of digestPages ) {
+        for ( const rawLine of page.text.split( "\n" ) ) {
+            const line = rawLine.trim();
+            if ( !line || RUNNING_HEAD_REGEX.test( line ) || /^\(Committees? not listed/i.test( line ) ) continue;
+
+            const nextMatch = line.match( NEXT_MEETING_REGEX );
+            if ( nextMatch ) {
+                startBlock( null, "next" );
+                nextMeeting = /SENATE/i.test( nextMatch[ 1 ] ) ? "senate" : "house";
+                digest.nextMeetings[ nextMeeting ] = { when: null, text: "" };
+                continue;
+            }
+            if ( PROGRAM_AHEAD_REGEX.test( line ) ) {
+                startBlock( null, "ignore" );
+                continue;
+            }
+            if ( /^HIGHLIGHTS$/i.test( line ) ) {
+                startBlock( null, "highlights" );
+                continue;
+            }
+            if ( block !== "next" && CHAMBER_HEADINGS[ line ] ) {
+                startBlock( CHAMBER_HEADINGS[ line ], null );
+                continue;
+            }
+            if ( /^Chamber Action$/i.test( line ) ) {
+                startBlock( chamber, "actions" );
+                continue;
+            }
+            if ( /^Committee Meetings$/i.test( line ) ) {
+                startBlock( chamber, "committees" );
+                continue;
+            }
+            if ( /^Joint Meetings?$/i.test( line ) ) {
+                startBlock( "joint", "committees" );
+                continue;
+            }
+
+            if ( block === "highlights" ) {
+                highlight = `${ highlight } ${ line }`;
+                if ( endsEntry( line ) ) closeHighlight();
+            } else if ( block === "next" && nextMeeting ) {
+                const meeting = digest.nextMeetings[ nextMeeting ];
+                if ( !meeting.when ) {
+                    meeting.when = line;
+                } else {
+                    meeting.text = `${ meeting.text } ${ line }`.trim();
+                }
+            } else if ( block === "actions" || block === "committees" ) {
+                const match = line.match( ENTRY_REGEX );
+                // A colon only opens a new entry once the previous one has finished its sentence, or
+                // when the previous one is a bare group heading such as "Measures Passed:"
+                const canStart = !entry || !entry.text.trim() || endsEntry( entry.text );
+                // House committee meetings sit under capitalized committee names that repeat the entry title
+                if ( !match && canStart && !/[a-z]/.test( line ) ) continue;
+                if ( match && canStart ) {
+                    closeEntry();
+                    entry = { title: match[ 1 ].trim(), text: match[ 2 ] };
+                } else if ( entry ) {
+                    entry.text = `${ entry.text } ${ line }`;
+                }
+            }
+        }
+    }
+
+    startBlock( null, null );
+    return digest;
+}
+
+/**
+ * Whether a parse found anything; a PDF that is not a Digest yields an empty one.
+ */
+export const isEmptyDigest = ( digest ) =>
+    !digest ||
+    ( digest.highlights.length === 0 &&
+        [ digest.senate, digest.house ].every( ( chamber ) => chamber.actions.length === 0 && chamber.committeeMeetings.length === 0 ) &&
+        digest.jointMeetings.length === 0 &&
+        Object.keys( digest.nextMeetings ).length === 0 );
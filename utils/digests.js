@@ -0,0 +1,102 @@
+import { isEmptyDigest, parseDailyDigest } from "./dailyDigest";
+import { loadSectionText } from "./sectionTexts";
+import { DEFAULT_SECTION, extractSections, issueVariantsFilter } from "./recordSections";
+
+const COLLECTION_NAME = "summaries";
+const DIGEST_SECTION = "dailyDigest";
+
+const countEntries = ( digest ) =>
+    digest.highlights.length +
+    [ digest.senate, digest.house ].reduce( ( total, chamber ) => total + chamber.actions.length + chamber.committeeMeetings.length, 0 ) +
+    digest.jointMeetings.length;
+
+const storeDigest = async ( db, { issueNumber, volumeNumber }, digest, { pdfUrl, sourceUpdateDate = null } ) => {
+    await db.collection( COLLECTION_NAME ).updateOne(
+        issueVariantsFilter( { issueNumber, volumeNumber } ),
+        { $set: { digest: { ...digest, pdfUrl, sourceUpdateDate, parsedAt: new Date() } } }
+    );
+};
+
+/**
+ * Store the Daily Digest parsed from an issue's Digest section or whole issue on its summaries
+ * document. Other sections carry no Digest pages and are skipped.
+ */
+export async function indexDigest( db, { issueNumber, volumeNumber, section, pdfUrl }, pages ) {
+    if ( section !== DIGEST_SECTION && section !== DEFAULT_SECTION ) return 0;
+
+    const digest = parseDailyDigest( pages );
+    if ( isEmptyDigest( digest ) ) return 0;
+
+    const issue = await db.collection( COLLECTION_NAME ).findOne(
+        issueVariantsFilter( { issueNumber, volumeNumber } ),
+        { projection: { updateDate: 1 } }
+    );
+    await storeDigest( db, { issueNumber, volumeNumber }, digest, { pdfUrl, sourceUpdateDate: issue?.updateDate ?? null } );
+    return countEntries( digest );
+}
+
+/**
+ * Parse the Daily Digest PDF congress.gov lists for a stored record, without the model, reading
+ * its text through the extracted-text store. Returns the stored digest, or null when the issue
+ * has no Digest.
+ */
+export async function parseIssueDigest( db, record ) {
+    const pdfUrl = extractSections( record.contents ).find( ( section ) => section.key === DIGEST_SECTION )?.url;
+    if ( !pdfUrl ) return null;
+
+    console.log( `📜 Parsing Daily Digest for volume ${ record.volumeNumber }, issue ${ record.issueNumber }` );
+    const { pages } = await loadSectionText( db, { volumeNumber: record.volumeNumber, issueNumber: record.issueNumber, section: DIGEST_SECTION, pdfUrl } );
+    const digest = parseDailyDigest( pages );
+    if ( isEmptyDigest( digest ) ) return null;
+
+    await storeDigest( db, record, digest, { pdfUrl, sourceUpdateDate: record.updateDate ?? null } );
+    return { ...digest, pdfUrl, sourceUpdateDate: record.updateDate ?? null };
+}
+
+/**
+ * Parse the Digest for each record the cron just inserted. A Digest that fails to download or
+ * parse is logged and retried when a reader opens it.
+ */
+export async function parseNewDigests( db, insertedRecords = [] ) {
+    let parsed = 0;
+    for ( const record of insertedRecords ) {
+        try {
+            if ( await parseIssueDigest( db, record ) ) parsed += 1;
+        } catch ( error ) {
+            console.error( `❌ Failed to parse Daily Digest for volume ${ record.volumeNumber }, issue ${ record.issueNumber }:`, error.message );
+        }
+    }
+    return parsed;
+}
+
+/**
+ * The parsed Daily Digest for one issue, or for the most recent issue that published one.
+ * Parses on demand when the Digest is missing or congress.gov has updated the issue since.
+ */
+export async function getDigest( db, { volumeNumber = null, issueNumber = null } = {} ) {
+    const collection = db.collection( COLLECTION_NAME );
+    const projection = { volumeNumber: 1, issueNumber: 1, issueDate: 1, congress: 1, updateDate: 1, contents: 1, digest: 1 };
+    const record = volumeNumber && issueNumber
+        ? await collection.findOne( issueVariantsFilter( { volumeNumber, issueNumber } ), { projection } )
+        : await collection.findOne( { "contents.issue.fullIssue.dailyDigest": { $exists: true } }, { projection, sort: { issueDate: -1 } } );
+    if ( !record ) return null;
+
+    let digest = record.digest ?? null;
+    if ( !digest || ( record.updateDate && digest.sourceUpdateDate !== record.updateDate ) ) {
+        try {
+            digest = await parseIssueDigest( db, record ) ?? digest;
+        } catch ( error ) {
+            // Serve the Digest parsed before the upstream update rather than nothing
+            if ( !digest ) throw error;
+            console.error( "❌ Failed to re-parse Daily Digest:", error.message );
+        }
+    }
+
+    return {
+        volumeNumber: record.volumeNumber,
+        issueNumber: record.issueNumber,
+        issueDate: record.issueDate ?? null,
+        congress: record.congress ?? null,
+        digest: digest ?? null
+    };
+}
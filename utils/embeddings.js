@@ -0,0 +1,55 @@
+import { getLlmProvider } from "./llmProviders";
+import { sectionSummaryPath } from "./recordSections";
+
+const MAX_EMBEDDING_CHARS = 7000;
+// Embeddings stored before the model was recorded beside them all came from this one
+const LEGACY_EMBEDDING_MODEL = "text-embedding-3-small";
+
+// The configured provider's embedding model and its vector length, stored with every vector
+export const getEmbeddingModel = () => getLlmProvider().embeddingModel;
+export const getEmbeddingDimensions = () => getLlmProvider().embeddingDimensions;
+
+export const embeddingsEnabled = () => getLlmProvider().canEmbed;
+
+/**
+ * The fields to $set for an embedding stored under `field`: the vector, plus `<field>Model` and
+ * `<field>Dimensions` so a later model change can tell which vectors are out of date.
+ */
+export const embeddingFields = ( field, embedding ) => ( {
+    [ field ]: embedding,
+    [ `${ field }Model` ]: getEmbeddingModel(),
+    [ `${ field }Dimensions` ]: embedding.length
+} );
+
+/**
+ * `embeddingFields` for one issue section's summary embedding, keyed by their path in the issue.
+ */
+export const sectionEmbeddingFields = ( section, embedding ) => Object.fromEntries(
+    Object.entries( embeddingFields( "summaryEmbedding", embedding ) ).map( ( [ field, value ] ) => [ sectionSummaryPath( section, field ), value ] )
+);
+
+/**
+ * The model that produced the embedding a document stores under `field`, or null without one.
+ */
+export const storedEmbeddingModel = ( document, field ) => {
+    const embedding = document?.[ field ];
+    if ( !Array.isArray( embedding ) || embedding.length === 0 ) return null;
+    return document[ `${ field }Model` ] ?? LEGACY_EMBEDDING_MODEL;
+};
+
+/**
+ * Whether the embedding a document stores under `field` came from the configured model at the
+ * configured length, and so can be compared with new queries.
+ */
+export const hasCurrentEmbedding = ( document, field ) =>
+    storedEmbeddingModel( document, field ) === getEmbeddingModel() &&
+    document[ field ].length === getEmbeddingDimensions();
+
+/**
+ * Embed a summary or search query. Returns null when the provider has no embedding model.
+ */
+export async function createEmbedding( text ) {
+    if ( !text || !embeddingsEnabled() ) return null;
+    const trimmed = text.length > MAX_EMBEDDING_CHARS ? text.slice( 0, MAX_EMBEDDING_CHARS ) : text;
+    return getLlmProvider().embed( trimmed );
+}
@@ -6,13 +6,13 @@ const DATABASE_NAME = 'congressionalSummaries';
 const COLLECTION_NAME = 'summaries';
 const CONGRESS_API_KEY = process.env.CONGRESS_API_KEY;
 
-export async function fetchCongressionalRecords() {
+export async function fetchCongressionalRecords( { offset = 0, limit = 250 } = {} ) {
     try {
         const response = await axios.get( `https://api.congress.gov/v3/daily-congressional-record?api_key=${ CONGRESS_API_KEY }`, {
             params: {
                 format: 'json',
-                limit: 250,
-                offset: 0
+                limit,
+                offset
             },
             headers: {
                 'Accept': 'application/json',
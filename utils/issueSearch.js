@@ -0,0 +1,300 @@
+import { normalizeBillNumber } from "./billCitations";
+import { findBillMentions } from "./billMentions";
+import { createEmbedding, embeddingsEnabled } from "./embeddings";
+import { congressForDate } from "./memberRoster";
+import { DEFAULT_SECTION, isSectionKey, issueVariantsFilter, SECTION_KEYS, sectionSummaryPath } from "./recordSections";
+import { getSearchText, toTextSearch } from "./searchQuery";
+import { findIssuesBySectionText } from "./sectionTexts";
+import { findIssuesBySpeechText } from "./speeches";
+import { reciprocalRankFusion, searchSummaryText } from "./textSearch";
+import { searchSummaryVectors } from "./vectorIndex";
+
+const COLLECTION_NAME = "summaries";
+// How many issues each ranker contributes to a query's matches
+const TEXT_CANDIDATES = 250;
+const VECTOR_CANDIDATES = 250;
+const BILL_MENTION_ISSUES = 500;
+const PASSAGE_CANDIDATES = 500;
+const PASSAGES_PER_ISSUE = 3;
+
+export const getActiveSections = ( filters = {} ) =>
+    Array.isArray( filters.sections ) ? filters.sections.filter( isSectionKey ) : [];
+
+const escapeRegex = ( value ) => value.replace( /[.*+?^${}()|[\]\\]/g, "\\$&" );
+
+export const cleanFilterValue = ( value ) => typeof value === "string" && value.trim() ? value.trim() : null;
+
+// The filter inputs send strings; congress.gov stores these as numbers
+const numberVariants = ( value ) => ( { $in: [ Number( value ), String( value ) ] } );
+
+// Filters on the structured extraction (speakers, bills, votes, topics) of the searched sections
+const buildExtractionClauses = ( filters, sections ) => {
+    const speaker = {};
+    const name = cleanFilterValue( filters.speaker );
+    const party = cleanFilterValue( filters.party )?.toUpperCase();
+    const state = cleanFilterValue( filters.state )?.toUpperCase();
+    if ( name ) speaker.name = { $regex: escapeRegex( name ), $options: "i" };
+    if ( party ) speaker.party = party;
+    if ( state ) speaker.state = state;
+
+    const bill = normalizeBillNumber( filters.bill );
+    const topic = cleanFilterValue( filters.topic )?.toLowerCase();
+
+    const clause = {};
+    if ( Object.keys( speaker ).length > 0 ) clause.speakers = { $elemMatch: speaker };
+    if ( bill ) clause[ "bills.number" ] = bill;
+    if ( topic ) clause.topics = topic;
+    if ( filters.hasVotes ) clause[ "votes.0" ] = { $exists: true };
+    if ( Object.keys( clause ).length === 0 ) return [];
+
+    const prefixed = ( section ) => Object.fromEntries(
+        Object.entries( clause ).map( ( [ field, value ] ) => [ sectionSummaryPath( section, `extraction.${ field }` ), value ] )
+    );
+    return [ { $or: ( sections.length > 0 ? sections : [ DEFAULT_SECTION ] ).map( prefixed ) } ];
+};
+
+const summaryPaths = Object.keys( SECTION_KEYS ).map( ( section ) => sectionSummaryPath( section ) );
+
+// The summary status facet: any section summarized, any summary behind its source, or neither
+const buildSummaryStatusClauses = ( status ) => {
+    const summarized = summaryPaths.map( ( path ) => ( { [ path ]: { $exists: true, $ne: "" } } ) );
+    if ( status === "summarized" ) return [ { $or: summarized } ];
+    if ( status === "unsummarized" ) return [ { $nor: summarized } ];
+    if ( status === "stale" ) {
+        return [ { $or: Object.keys( SECTION_KEYS ).map( ( section ) => ( { [ sectionSummaryPath( section, "summaryStale" ) ]: true } ) ) } ];
+    }
+    return [];
+};
+
+const buildMongoFilters = ( filters = {} ) => {
+    const query = {};
+
+    if ( filters.startDate || filters.endDate ) {
+        query.issueDate = {};
+        if ( filters.startDate ) query.issueDate.$gte = filters.startDate;
+        // issueDate carries a time ("2024-06-05T04:00:00Z"), so the end date runs through that whole day
+        if ( filters.endDate ) query.issueDate.$lte = `${ filters.endDate }T23:59:59Z`;
+    }
+
+    if ( filters.congress ) {
+        query.congress = numberVariants( filters.congress );
+    }
+
+    if ( filters.volumeNumber ) {
+        query.volumeNumber = numberVariants( filters.volumeNumber );
+    }
+
+    if ( filters.sessionNumber ) {
+        query.sessionNumber = numberVariants( filters.sessionNumber );
+    }
+
+    const sections = getActiveSections( filters );
+
+    if ( filters.hasSummaryOnly && sections.length === 0 ) {
+        query.summary = { $exists: true, $ne: "" };
+    }
+
+    if ( sections.length > 0 ) {
+        // Require that at least one of the requested sections exists on the record, or, when only
+        // saved summaries are wanted, that one of them has its own summary
+        query.$or = sections.flatMap( ( sectionKey ) => {
+            const summaryClause = { [ sectionSummaryPath( sectionKey ) ]: { $exists: true, $ne: "" } };
+            if ( filters.hasSummaryOnly ) return [ summaryClause ];
+            return [
+                { [ `contents.issue.fullIssue.${ sectionKey }` ]: { $exists: true, $ne: null } },
+                summaryClause
+            ];
+        } );
+    }
+
+    const clauses = [ ...buildExtractionClauses( filters, sections ), ...buildSummaryStatusClauses( filters.summaryStatus ) ];
+    if ( clauses.length > 0 ) {
+        query.$and = clauses;
+    }
+
+    return query;
+};
+
+export const issueKey = ( { volumeNumber, issueNumber } ) => `${ Number( volumeNumber ) }-${ Number( issueNumber ) }`;
+
+// Nearest summaries and chunk summaries across the whole corpus, rolled up into one result per
+// issue scored by its best match, with the best chunks kept as the passages that explain it.
+// `capped` is set when a vector search filled its limit, so nearer-ranked issues were cut off.
+const findSemanticMatches = async ( db, query, filters, mongoFilters, sections ) => {
+    const queryEmbedding = await createEmbedding( query );
+    if ( !queryEmbedding ) return { records: [], capped: false };
+
+    const vectorOptions = {
+        sections: sections.length > 0 ? sections : [ DEFAULT_SECTION ],
+        startDate: filters.startDate || null,
+        endDate: filters.endDate || null,
+        volumeNumber: filters.volumeNumber || null
+    };
+    const [ summaryMatches, chunkMatches ] = await Promise.all( [
+        searchSummaryVectors( db, queryEmbedding, { ...vectorOptions, kind: "summary", limit: VECTOR_CANDIDATES } ),
+        searchSummaryVectors( db, queryEmbedding, { ...vectorOptions, kind: "chunk", limit: PASSAGE_CANDIDATES } )
+    ] );
+
+    const byIssue = new Map();
+    const issueMatch = ( match ) => {
+        const key = issueKey( match );
+        if ( !byIssue.has( key ) ) {
+            byIssue.set( key, { volumeNumber: match.volumeNumber, issueNumber: match.issueNumber, best: match, passages: [] } );
+        }
+        return byIssue.get( key );
+    };
+    for ( const match of [ ...summaryMatches, ...chunkMatches ] ) {
+        const issue = issueMatch( match );
+        if ( match.similarity > issue.best.similarity ) issue.best = match;
+        if ( match.kind === "chunk" && issue.passages.length < PASSAGES_PER_ISSUE ) {
+            issue.passages.push( {
+                section: match.section,
+                chunkIndex: match.chunkIndex,
+                similarity: match.similarity,
+                pdfPageStart: match.pdfPageStart ?? null,
+                pdfPageEnd: match.pdfPageEnd ?? null,
+                recordPageStart: match.recordPageStart ?? null,
+                recordPageEnd: match.recordPageEnd ?? null
+            } );
+        }
+    }
+    const capped = summaryMatches.length >= VECTOR_CANDIDATES || chunkMatches.length >= PASSAGE_CANDIDATES || byIssue.size > VECTOR_CANDIDATES;
+    const issues = Array.from( byIssue.values() )
+        .sort( ( a, b ) => b.best.similarity - a.best.similarity )
+        .slice( 0, VECTOR_CANDIDATES );
+    if ( issues.length === 0 ) return { records: [], capped };
+
+    const records = await db
+        .collection( COLLECTION_NAME )
+        .find( { $and: [ mongoFilters, { $or: issues.map( issueVariantsFilter ) } ] } )
+        .toArray();
+
+    return {
+        records: records
+            .map( ( record ) => {
+                const issue = byIssue.get( issueKey( record ) );
+                return issue
+                    ? { ...record, similarity: issue.best.similarity, matchedSection: sections.length > 0 ? issue.best.section : null, passages: issue.passages }
+                    : null;
+            } )
+            .filter( Boolean )
+            .sort( ( a, b ) => b.similarity - a.similarity ),
+        capped
+    };
+};
+
+// Bill numbers restart every Congress: a bill: value means the Congress it names, else the one
+// filtered on or the one its date range ends in, else the most recent Congress that cited it
+const queryCongress = ( filters ) => {
+    if ( filters.congress ) return Number( filters.congress );
+    const date = filters.endDate || filters.startDate;
+    return date ? congressForDate( date ) : null;
+};
+
+// Filters the query itself carries: -exclusions drop issues whose summaries mention them, while
+// member: and bill: narrow like the Member and bill filters (bill: also matches the text index
+// of bill citations)
+const buildQueryClauses = async ( db, parsedQuery, filters, sections ) => {
+    const clauses = [];
+
+    if ( parsedQuery.exclusions.length > 0 ) {
+        clauses.push( {
+            $nor: parsedQuery.exclusions.flatMap( ( exclusion ) => summaryPaths.map( ( path ) => ( {
+                [ path ]: { $regex: `\\b${ escapeRegex( exclusion ) }\\b`, $options: "i" }
+            } ) ) )
+        } );
+    }
+
+    for ( const member of parsedQuery.members ) {
+        clauses.push( ...buildExtractionClauses( { speaker: member }, sections ) );
+    }
+
+    for ( const bill of parsedQuery.bills ) {
+        const congress = bill.congress ?? queryCongress( filters );
+        const { congress: mentionCongress, issues } = await findBillMentions( db, { billKey: bill.key, congress, limit: BILL_MENTION_ISSUES } );
+        // The extraction stores bare numbers, so its matches are held to the same Congress
+        const [ extractionClause ] = buildExtractionClauses( { bill: bill.label }, sections );
+        const extractionMatches = mentionCongress
+            ? { $and: [ { congress: numberVariants( mentionCongress ) }, extractionClause ] }
+            : extractionClause;
+        clauses.push( { $or: [ ...issues.map( issueVariantsFilter ), extractionMatches ] } );
+    }
+
+    return clauses;
+};
+
+/**
+ * The MongoDB filter for the filter panel plus whatever the query itself filters on, and the
+ * sections being searched.
+ */
+export async function buildSearchFilters( db, filters, parsedQuery ) {
+    const sections = getActiveSections( filters );
+    const mongoFilters = buildMongoFilters( filters );
+    const queryClauses = await buildQueryClauses( db, parsedQuery, filters, sections );
+    if ( queryClauses.length > 0 ) {
+        mongoFilters.$and = [ ...( mongoFilters.$and ?? [] ), ...queryClauses ];
+    }
+    return { mongoFilters, sections };
+}
+
+// Rank issues four ways (summary text, the extracted text of the Record itself, the spoken turns
+// cut from it, and embeddings when available) and fuse the rankings with reciprocal-rank fusion, so exact words and meaning both count. Each ranker
+// contributes a bounded number of candidates; `capped` says whether any of them hit that bound,
+// in which case the matches are the best of a larger set rather than all of it.
+export const findHybridMatches = async ( db, parsedQuery, filters, mongoFilters, sections ) => {
+    const search = toTextSearch( parsedQuery );
+    const dateRange = { startDate: filters.startDate || null, endDate: filters.endDate || null };
+    const [ textMatches, sourceIssues, speechIssues, semantic ] = await Promise.all( [
+        searchSummaryText( db, search, mongoFilters, { limit: TEXT_CANDIDATES } ),
+        findIssuesBySectionText( db, search, { ...dateRange, limit: TEXT_CANDIDATES } ),
+        findIssuesBySpeechText( db, search, { ...dateRange, limit: TEXT_CANDIDATES } ),
+        embeddingsEnabled() ? findSemanticMatches( db, getSearchText( parsedQuery ), filters, mongoFilters, sections ) : { records: [], capped: false }
+    ] );
+    const semanticMatches = semantic.records;
+    const capped = [ textMatches, sourceIssues, speechIssues ].some( ( matches ) => matches.length >= TEXT_CANDIDATES ) || semantic.capped;
+
+    // A quoted phrase must appear verbatim, which only the text rankings check
+    const textKeys = new Set( [ ...textMatches, ...sourceIssues, ...speechIssues ].map( issueKey ) );
+    const semanticRanking = parsedQuery.phrases.length > 0
+        ? semanticMatches.filter( ( record ) => textKeys.has( issueKey( record ) ) )
+        : semanticMatches;
+
+    const knownKeys = new Set( [ ...textMatches, ...semanticRanking ].map( issueKey ) );
+    // Issues found only in their extracted text are loaded here, which also applies the filters
+    const textOnly = Array.from( new Map( [ ...sourceIssues, ...speechIssues ]
+        .filter( ( issue ) => !knownKeys.has( issueKey( issue ) ) )
+        .map( ( issue ) => [ issueKey( issue ), issue ] ) ).values() );
+    const textOnlyRecords = textOnly.length > 0
+        ? await db.collection( COLLECTION_NAME ).find( { $and: [ mongoFilters, { $or: textOnly.map( issueVariantsFilter ) } ] } ).toArray()
+        : [];
+
+    const rankings = { summaryText: textMatches, sourceText: sourceIssues, speechText: speechIssues, semantic: semanticRanking };
+    const scores = reciprocalRankFusion( Object.values( rankings ), issueKey );
+    const matchedBy = new Map();
+    for ( const [ name, ranking ] of Object.entries( rankings ) ) {
+        for ( const item of ranking ) {
+            const key = issueKey( item );
+            matchedBy.set( key, [ ...new Set( [ ...( matchedBy.get( key ) ?? [] ), name ] ) ] );
+        }
+    }
+
+    const semanticByKey = new Map( semanticRanking.map( ( record ) => [ issueKey( record ), record ] ) );
+    const records = new Map();
+    for ( const record of [ ...semanticRanking, ...textMatches, ...textOnlyRecords ] ) {
+        const id = record._id.toString();
+        if ( records.has( id ) ) continue;
+
+        const key = issueKey( record );
+        const semantic = semanticByKey.get( key );
+        records.set( id, {
+            ...record,
+            similarity: semantic?.similarity ?? null,
+            matchedSection: semantic?.matchedSection ?? null,
+            passages: semantic?.passages,
+            score: scores.get( key ) ?? 0,
+            matchedBy: matchedBy.get( key ) ?? []
+        } );
+    }
+
+    return { matches: Array.from( records.values() ).sort( ( a, b ) => b.score - a.score ), capped };
+};
@@ -0,0 +1,63 @@
+import { indexBillMentions } from "./billMentions";
+import { indexDigest } from "./digests";
+import { indexSpeeches } from "./speeches";
+import { indexVotes } from "./votes";
+import { congressForDate, loadRoster } from "./memberRoster";
+import { issueVariantsFilter } from "./recordSections";
+
+const SUMMARIES_COLLECTION = "summaries";
+
+// Indexes built deterministically from an issue's extracted text, without the model
+const INDEXERS = [
+    { name: "bill mentions", run: indexBillMentions },
+    { name: "speeches", run: indexSpeeches },
+    { name: "roll-call votes", run: indexVotes },
+    { name: "Daily Digest entries", run: indexDigest }
+];
+
+/**
+ * Everything the text indexes and speaker attribution need to know about an issue: its Congress,
+ * date, and that Congress's member roster (null until a roster is imported).
+ */
+export async function getIssueContext( db, { issueNumber, volumeNumber, section, pdfUrl, issueDate } ) {
+    const issue = await db.collection( SUMMARIES_COLLECTION ).findOne(
+        issueVariantsFilter( { issueNumber, volumeNumber } ),
+        { projection: { congress: 1, issueDate: 1 } }
+    );
+    const date = issueDate ?? issue?.issueDate ?? null;
+    const congress = issue?.congress != null ? Number( issue.congress ) : date ? congressForDate( date ) : null;
+    const roster = await loadRoster( db, congress );
+
+    return {
+        issueNumber,
+        volumeNumber,
+        congress,
+        issueDate: date,
+        section,
+        pdfUrl,
+        roster: roster?.size > 0 ? roster : null
+    };
+}
+
+/**
+ * Rebuild every text-derived index for one issue section from its extracted pages. Each index
+ * is a by-product of summarizing; one failing is logged and never costs the reader the summary.
+ * Returns each index's outcome by name, `{ indexed: true, count }` or `{ indexed: false, error }`,
+ * and `complete` when all of them were rebuilt. Only a complete rebuild may be recorded with
+ * `markSectionTextIndexed`, so a failed index is retried on the next pass.
+ */
+export async function indexIssueText( db, context, pages ) {
+    const indexes = {};
+    for ( const indexer of INDEXERS ) {
+        try {
+            const count = await indexer.run( db, context, pages );
+            indexes[ indexer.name ] = { indexed: true, count };
+            console.log( `📜 Indexed ${ count } ${ indexer.name }` );
+        } catch ( error ) {
+            indexes[ indexer.name ] = { indexed: false, error: error.message };
+            console.error( `❌ Failed to index ${ indexer.name }:`, error.message );
+        }
+    }
+
+    return { indexes, complete: Object.values( indexes ).every( ( outcome ) => outcome.indexed ) };
+}
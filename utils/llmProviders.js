@@ -0,0 +1,218 @@
+import { createHash } from "crypto";
+import OpenAI from "openai";
+import { createSummaryResponse } from "./openaiResponses";
+
+// "openai" (default), "openai-compatible" for a self-hosted chat-completions server such as
+// llama.cpp or vLLM, or "fake" for deterministic offline output
+const PROVIDER_NAME = ( process.env.LLM_PROVIDER || "openai" ).trim().toLowerCase();
+const DEFAULT_EMBEDDING_MODEL = "text-embedding-3-small";
+const DEFAULT_EMBEDDING_DIMENSIONS = 1536;
+// Full vector length of each OpenAI embedding model; text-embedding-3 models can be asked for fewer
+const OPENAI_EMBEDDING_DIMENSIONS = {
+    "text-embedding-3-small": 1536,
+    "text-embedding-3-large": 3072,
+    "text-embedding-ada-002": 1536
+};
+const DEFAULT_TEMPERATURE = 0.3;
+const CONTINUATION_TAIL_CHARS = 4000;
+const CONTINUATION_PROMPT =
+    "Continue exactly where you left off. Do not repeat any text. " +
+    "Start immediately after the last character. If the summary is complete, respond with an empty string.";
+
+// Every backend reports a cut-off answer the way the Responses API does
+export const TRUNCATED = "max_output_tokens";
+
+const parseDimensions = ( value, fallback ) => {
+    const parsed = Number.parseInt( value ?? "", 10 );
+    return Number.isSafeInteger( parsed ) && parsed > 0 ? parsed : fallback;
+};
+
+// A vector of another length cannot share the index with the rest, so it is never stored
+const checkEmbeddingLength = ( embedding, dimensions, setting ) => {
+    if ( embedding && embedding.length !== dimensions ) {
+        throw new Error( `Embedding model returned ${ embedding.length } dimensions, expected ${ dimensions }; check ${ setting }` );
+    }
+    return embedding;
+};
+
+const toMessages = ( input ) => typeof input === "string" ? [ { role: "user", content: input } ] : input;
+
+// Replay the answer so far and ask for the rest; shared by every backend
+const buildContinuationInput = ( input, partial ) => [
+    ...toMessages( input ),
+    { role: "assistant", content: partial.slice( -CONTINUATION_TAIL_CHARS ) },
+    { role: "user", content: CONTINUATION_PROMPT }
+];
+
+const withContinue = ( provider ) => ( {
+    ...provider,
+    continue: ( { input, partial, ...options } ) => provider.summarize( { ...options, input: buildContinuationInput( input, partial ) } )
+} );
+
+/**
+ * OpenAI through the Responses API, with OpenAI embeddings. Embedding is off without a key.
+ * `embeddingDimensions` shortens text-embedding-3 vectors; without it a model's full length is used.
+ */
+export const createOpenAIProvider = ( {
+    apiKey = process.env.OPENAI_API_KEY,
+    summaryModel = process.env.OPENAI_SUMMARY_MODEL || "gpt-4o-mini",
+    embeddingModel = process.env.OPENAI_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL,
+    embeddingDimensions = parseDimensions( process.env.OPENAI_EMBEDDING_DIMENSIONS, null )
+} = {} ) => {
+    const client = apiKey ? new OpenAI( { apiKey } ) : null;
+    const dimensionsParam = embeddingDimensions ? { dimensions: embeddingDimensions } : {};
+    const vectorLength = embeddingDimensions ?? OPENAI_EMBEDDING_DIMENSIONS[ embeddingModel ] ?? DEFAULT_EMBEDDING_DIMENSIONS;
+    const requireClient = () => {
+        if ( !client ) throw new Error( "OPENAI_API_KEY is not configured" );
+        return client;
+    };
+
+    return withContinue( {
+        name: "openai",
+        summaryModel,
+        embeddingModel,
+        embeddingDimensions: vectorLength,
+        canEmbed: Boolean( client ),
+        summarize: async ( { instructions, input, temperature, format } ) => {
+            const response = await createSummaryResponse( requireClient(), { instructions, input, model: summaryModel, temperature: temperature ?? DEFAULT_TEMPERATURE, format } );
+            return { text: response.text, incompleteReason: response.incompleteReason };
+        },
+        embed: async ( text ) => {
+            const response = await requireClient().embeddings.create( { model: embeddingModel, input: text, ...dimensionsParam } );
+            return checkEmbeddingLength( response.data?.[ 0 ]?.embedding || null, vectorLength, "OPENAI_EMBEDDING_DIMENSIONS" );
+        }
+    } );
+};
+
+/**
+ * Any server that speaks the OpenAI chat-completions protocol, e.g. llama.cpp or vLLM, so Record
+ * text never leaves the deployment. Embedding is off unless an embedding model is configured.
+ * `embeddingDimensions` is sent to the server when set, and every vector must have that length
+ * (1536 when unset).
+ */
+export const createChatCompletionsProvider = ( {
+    baseURL = process.env.LLM_BASE_URL,
+    apiKey = process.env.LLM_API_KEY,
+    summaryModel = process.env.LLM_SUMMARY_MODEL,
+    embeddingModel = process.env.LLM_EMBEDDING_MODEL || null,
+    embeddingDimensions = parseDimensions( process.env.LLM_EMBEDDING_DIMENSIONS, null )
+} = {} ) => {
+    if ( !baseURL || !summaryModel ) {
+        throw new Error( "LLM_BASE_URL and LLM_SUMMARY_MODEL are required for the openai-compatible provider" );
+    }
+    // Local servers usually ignore the key, but the client insists on one
+    const client = new OpenAI( { baseURL, apiKey: apiKey || "unused" } );
+    const dimensionsParam = embeddingDimensions ? { dimensions: embeddingDimensions } : {};
+    const vectorLength = embeddingDimensions ?? DEFAULT_EMBEDDING_DIMENSIONS;
+
+    return withContinue( {
+        name: "openai-compatible",
+        summaryModel,
+        embeddingModel,
+        embeddingDimensions: vectorLength,
+        canEmbed: Boolean( embeddingModel ),
+        summarize: async ( { instructions, input, temperature, format } ) => {
+            const completion = await client.chat.completions.create( {
+                model: summaryModel,
+                temperature: temperature ?? DEFAULT_TEMPERATURE,
+                messages: [
+                    ...( instructions ? [ { role: "system", content: instructions } ] : [] ),
+                    ...toMessages( input )
+                ],
+                ...( format?.type === "json_schema"
+                    ? { response_format: { type: "json_schema", json_schema: { name: format.name, schema: format.schema, strict: format.strict ?? true } } }
+                    : {} )
+            } );
+            const choice = completion.choices?.[ 0 ];
+            return {
+                text: choice?.message?.content ?? "",
+                incompleteReason: choice?.finish_reason === "length" ? TRUNCATED : null
+            };
+        },
+        embed: async ( text ) => {
+            if ( !embeddingModel ) throw new Error( "LLM_EMBEDDING_MODEL is not configured" );
+            const response = await client.embeddings.create( { model: embeddingModel, input: text, ...dimensionsParam } );
+            return checkEmbeddingLength( response.data?.[ 0 ]?.embedding || null, vectorLength, "LLM_EMBEDDING_DIMENSIONS" );
+        }
+    } );
+};
+
+const lastUserText = ( input ) => {
+    const message = toMessages( input ).filter( ( item ) => item.role === "user" ).pop();
+    return typeof message?.content === "string" ? message.content : "";
+};
+
+// The smallest value that satisfies a JSON schema, so structured calls parse
+const sampleFromSchema = ( schema = {} ) => {
+    if ( schema.enum ) return schema.enum[ 0 ];
+    const type = Array.isArray( schema.type ) ? ( schema.type.includes( "null" ) ? "null" : schema.type[ 0 ] ) : schema.type;
+    switch ( type ) {
+        case "object":
+            return Object.fromEntries( Object.entries( schema.properties ?? {} ).map( ( [ key, value ] ) => [ key, sampleFromSchema( value ) ] ) );
+        case "array":
+            return [];
+        case "string":
+            return "";
+        case "integer":
+        case "number":
+            return 0;
+        case "boolean":
+            return false;
+        default:
+            return null;
+    }
+};
+
+// Hashed bag of words: texts sharing words land near each other, which is enough to exercise search
+const hashEmbedding = ( text, dimensions ) => {
+    const vector = new Array( dimensions ).fill( 0 );
+    for ( const word of text.toLowerCase().match( /[a-z0-9]+/g ) ?? [] ) {
+        const digest = createHash( "sha1" ).update( word ).digest();
+        vector[ digest.readUInt32BE( 0 ) % dimensions ] += digest[ 4 ] & 1 ? 1 : -1;
+    }
+    return vector;
+};
+
+/**
+ * Deterministic output without any network call, for tests and offline demos: summaries quote
+ * the opening of the input, structured calls return the emptiest valid object, and embeddings
+ * hash words into a fixed number of dimensions.
+ */
+export const createFakeProvider = ( { embeddingDimensions = DEFAULT_EMBEDDING_DIMENSIONS } = {} ) => ( {
+    name: "fake",
+    summaryModel: "fake",
+    embeddingModel: "fake-hashed-words",
+    embeddingDimensions,
+    canEmbed: true,
+    summarize: async ( { input, format } ) => {
+        if ( format?.type === "json_schema" ) {
+            return { text: JSON.stringify( sampleFromSchema( format.schema ) ), incompleteReason: null };
+        }
+        const words = lastUserText( input ).split( /\s+/ ).filter( Boolean );
+        return { text: `**Summary**\n\n${ words.slice( 0, 60 ).join( " " ) }${ words.length > 60 ? "…" : "" }`, incompleteReason: null };
+    },
+    continue: async () => ( { text: "", incompleteReason: null } ),
+    embed: async ( text ) => hashEmbedding( text, embeddingDimensions )
+} );
+
+const PROVIDERS = {
+    openai: createOpenAIProvider,
+    "openai-compatible": createChatCompletionsProvider,
+    fake: createFakeProvider
+};
+
+let provider = null;
+
+/**
+ * The provider chosen by `LLM_PROVIDER`, created once per process. Every call takes
+ * `{ instructions, input, temperature, format }` and resolves to `{ text, incompleteReason }`;
+ * `continue` also takes the `partial` answer to extend.
+ */
+export const getLlmProvider = () => {
+    if ( !provider ) {
+        const create = PROVIDERS[ PROVIDER_NAME ];
+        if ( !create ) throw new Error( `Unknown LLM_PROVIDER "${ PROVIDER_NAME }"` );
+        provider = create();
+    }
+    return provider;
+};
@@ -0,0 +1,223 @@
+import { ensureIndexes } from "./mongoIndexes";
+
+const COLLECTION_NAME = "members";
+const INDEXES = [
+    { key: { congress: 1, nameKeys: 1 } }
+];
+
+// The 1st Congress convened in 1789; each Congress begins at noon on January 3 of an odd year
+const FIRST_CONGRESS_YEAR = 1789;
+
+const PARTY_CODES = { Democrat: "D", Republican: "R", Independent: "I", Libertarian: "L" };
+const CHAMBER_BY_TERM_TYPE = { rep: "House", sen: "Senate" };
+
+export const STATE_CODES = {
+    Alabama: "AL", Alaska: "AK", Arizona: "AZ", Arkansas: "AR", California: "CA", Colorado: "CO",
+    Connecticut: "CT", Delaware: "DE", Florida: "FL", Georgia: "GA", Hawaii: "HI", Idaho: "ID",
+    Illinois: "IL", Indiana: "IN", Iowa: "IA", Kansas: "KS", Kentucky: "KY", Louisiana: "LA",
+    Maine: "ME", Maryland: "MD", Massachusetts: "MA", Michigan: "MI", Minnesota: "MN",
+    Mississippi: "MS", Missouri: "MO", Montana: "MT", Nebraska: "NE", Nevada: "NV",
+    "New Hampshire": "NH", "New Jersey": "NJ", "New Mexico": "NM", "New York": "NY",
+    "North Carolina": "NC", "North Dakota": "ND", Ohio: "OH", Oklahoma: "OK", Oregon: "OR",
+    Pennsylvania: "PA", "Rhode Island": "RI", "South Carolina": "SC", "South Dakota": "SD",
+    Tennessee: "TN", Texas: "TX", Utah: "UT", Vermont: "VT", Virginia: "VA", Washington: "WA",
+    "West Virginia": "WV", Wisconsin: "WI", Wyoming: "WY", "American Samoa": "AS",
+    "District of Columbia": "DC", Guam: "GU", "Northern Mariana Islands": "MP", "Puerto Rico": "PR",
+    "Virgin Islands": "VI"
+};
+
+const toPartyCode = ( party ) => PARTY_CODES[ party ] ?? ( typeof party === "string" && party ? party[ 0 ].toUpperCase() : null );
+
+const toDateString = ( value ) => typeof value === "string" ? value.slice( 0, 10 ) : null;
+
+/**
+ * The Congress in session on a YYYY-MM-DD date.
+ */
+export const congressForDate = ( date ) => {
+    const year = Number.parseInt( date.slice( 0, 4 ), 10 );
+    // January 1 and 2 still belong to the previous Congress
+    const sessionYear = date.slice( 5, 10 ) < "01-03" ? year - 1 : year;
+    return Math.floor( ( sessionYear - FIRST_CONGRESS_YEAR ) / 2 ) + 1;
+};
+
+/**
+ * Uppercase, unaccented form the Record prints surnames in: "Sánchez" becomes "SANCHEZ".
+ */
+export const normalizeMemberName = ( name = "" ) =>
+    name
+        .normalize( "NFD" )
+        .replace( /[\u0300-\u036f]/g, "" )
+        .replace( /[’]/g, "'" )
+        .replace( /[^A-Za-z' -]/g, "" )
+        .replace( /\s+/g, " " )
+        .trim()
+        .toUpperCase();
+
+// Members who share a surname are printed with their first name, e.g. "Mr. DAVID SCOTT of Georgia"
+const buildNameKeys = ( name ) => {
+    const last = normalizeMemberName( name.last );
+    const firstNames = [ name.first, name.nickname ].filter( Boolean ).map( normalizeMemberName );
+    return [ last, ...firstNames.map( ( first ) => `${ first } ${ last }` ) ];
+};
+
+const buildPartyAffiliations = ( term ) => {
+    if ( Array.isArray( term.party_affiliations ) && term.party_affiliations.length > 0 ) {
+        return term.party_affiliations.map( ( affiliation ) => ( {
+            party: toPartyCode( affiliation.party ),
+            start: toDateString( affiliation.start ),
+            end: toDateString( affiliation.end )
+        } ) );
+    }
+    return [ { party: toPartyCode( term.party ), start: toDateString( term.start ), end: toDateString( term.end ) } ];
+};
+
+const readLegislators = ( roster ) => {
+    if ( Array.isArray( roster ) ) return roster;
+    if ( Array.isArray( roster?.legislators ) ) return roster.legislators;
+    if ( Array.isArray( roster?.members ) ) return roster.members;
+    throw new Error( "Roster must be an array of legislators" );
+};
+
+/**
+ * Flatten a bioguide-style roster (the congress-legislators JSON: `id.bioguide`, `name`, `terms`)
+ * into one entry per member, chamber and Congress served.
+ */
+export const parseRoster = ( roster, { congress = null } = {} ) => {
+    const entries = [];
+
+    for ( const legislator of readLegislators( roster ) ) {
+        const bioguideId = legislator?.id?.bioguide;
+        if ( !bioguideId || !legislator.name?.last || !Array.isArray( legislator.terms ) ) continue;
+
+        for ( const term of legislator.terms ) {
+            const chamber = CHAMBER_BY_TERM_TYPE[ term.type ];
+            const start = toDateString( term.start );
+            const end = toDateString( term.end );
+            if ( !chamber || !start || !end ) continue;
+
+            // A term ends on January 3 as the next Congress begins, so it does not count toward that one
+            const lastCongress = congressForDate( end ) - ( end.endsWith( "-01-03" ) ? 1 : 0 );
+            for ( let termCongress = congressForDate( start ); termCongress <= lastCongress; termCongress++ ) {
+                if ( congress && termCongress !== congress ) continue;
+                entries.push( {
+                    _id: `${ bioguideId }:${ termCongress }:${ chamber }`,
+                    bioguideId,
+                    congress: termCongress,
+                    chamber,
+                    firstName: legislator.name.first ?? null,
+                    lastName: legislator.name.last,
+                    officialName: legislator.name.official_full ?? `${ legislator.name.first ?? "" } ${ legislator.name.last }`.trim(),
+                    nameKeys: buildNameKeys( legislator.name ),
+                    state: term.state ?? null,
+                    district: term.district ?? null,
+                    termStart: start,
+                    termEnd: end,
+                    partyAffiliations: buildPartyAffiliations( term )
+                } );
+            }
+        }
+    }
+
+    return entries;
+};
+
+// Rosters change only when one is imported, but another process may be the one importing it
+const ROSTER_CACHE_MS = 10 * 60 * 1000;
+const rosterCache = new Map();
+
+/**
+ * Upsert parsed roster entries into the `members` collection.
+ */
+export async function importRoster( db, entries ) {
+    await ensureIndexes( db, COLLECTION_NAME, INDEXES );
+    const importedAt = new Date();
+
+    if ( entries.length > 0 ) {
+        await db.collection( COLLECTION_NAME ).bulkWrite(
+            entries.map( ( { _id, ...entry } ) => ( {
+                replaceOne: { filter: { _id }, replacement: { ...entry, importedAt }, upsert: true }
+            } ) ),
+            { ordered: false }
+        );
+    }
+
+    rosterCache.clear();
+    return { entries: entries.length, congresses: [ ...new Set( entries.map( ( entry ) => entry.congress ) ) ].sort( ( a, b ) => a - b ) };
+}
+
+/**
+ * Load one Congress's roster, indexed by the name forms the Record prints. Cached per process for
+ * ten minutes; an empty roster is not cached, so a Congress imported later is picked up at once.
+ */
+export const loadRoster = ( db, congress ) => {
+    if ( !congress ) return Promise.resolve( null );
+    const cached = rosterCache.get( congress );
+    if ( cached && Date.now() - cached.loadedAt < ROSTER_CACHE_MS ) return cached.roster;
+
+    const entry = { loadedAt: Date.now(), roster: null };
+    const forget = () => {
+        if ( rosterCache.get( congress ) === entry ) rosterCache.delete( congress );
+    };
+    entry.roster = ( async () => {
+        const members = await db.collection( COLLECTION_NAME ).find( { congress } ).toArray();
+        if ( members.length === 0 ) forget();
+        const byName = new Map();
+        for ( const member of members ) {
+            for ( const key of member.nameKeys ) {
+                byName.set( key, [ ...( byName.get( key ) ?? [] ), member ] );
+            }
+        }
+        return { congress, size: members.length, byName };
+    } )().catch( ( error ) => {
+        forget();
+        throw error;
+    } );
+    rosterCache.set( congress, entry );
+    return entry.roster;
+};
+
+const partyOnDate = ( member, date ) => {
+    const affiliations = member.partyAffiliations ?? [];
+    const current = date
+        ? affiliations.find( ( affiliation ) => affiliation.start <= date && ( !affiliation.end || date <= affiliation.end ) )
+        : null;
+    return ( current ?? affiliations[ affiliations.length - 1 ] )?.party ?? null;
+};
+
+const servedOnDate = ( member, date ) => !date || ( member.termStart <= date && date <= member.termEnd );
+
+/**
+ * Match a speaker as printed in the Record ("SMITH", optionally "of Texas") to one roster member.
+ * Returns `{ bioguideId, name, party, state, district, chamber }`, or null when there is no
+ * match or more than one member could be meant.
+ */
+export const resolveMember = ( roster, { surname, stateName = null, state = null, chamber = null, date = null } ) => {
+    if ( !roster || !surname ) return null;
+    // Issue dates arrive as full timestamps; terms and affiliations are plain days
+    const day = toDateString( date );
+
+    const stateCode = state ?? ( stateName ? STATE_CODES[ stateName ] ?? null : null );
+    const candidates = ( roster.byName.get( normalizeMemberName( surname ) ) ?? [] ).filter( ( member ) =>
+        ( !chamber || member.chamber === chamber ) &&
+        ( !stateCode || member.state === stateCode ) &&
+        servedOnDate( member, day )
+    );
+    const bioguideIds = new Set( candidates.map( ( member ) => member.bioguideId ) );
+    if ( bioguideIds.size !== 1 ) return null;
+
+    const member = candidates[ candidates.length - 1 ];
+    return {
+        bioguideId: member.bioguideId,
+        name: member.officialName,
+        party: partyOnDate( member, day ),
+        state: member.state,
+        district: member.district,
+        chamber: member.chamber
+    };
+};
+
+/**
+ * Short attribution for prompts and labels, e.g. "Charles E. Schumer (D-NY)".
+ */
+export const formatMemberAttribution = ( member ) =>
+    `${ member.name } (${ [ member.party, member.state ].filter( Boolean ).join( "-" ) })`;
@@ -0,0 +1,15 @@
+const pending = new Map();
+
+/**
+ * Create a collection's indexes once per process. A failed attempt is forgotten so the next
+ * caller retries it.
+ */
+export const ensureIndexes = ( db, collectionName, indexes ) => {
+    if ( !pending.has( collectionName ) ) {
+        pending.set( collectionName, db.collection( collectionName ).createIndexes( indexes ).catch( ( error ) => {
+            pending.delete( collectionName );
+            throw error;
+        } ) );
+    }
+    return pending.get( collectionName );
+};
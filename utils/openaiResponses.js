@@ -20,13 +20,16 @@ export const createSummaryResponse = async ( openai, {
     instructions,
     input,
     model = DEFAULT_SUMMARY_MODEL,
-    temperature = DEFAULT_SUMMARY_TEMPERATURE
+    temperature = DEFAULT_SUMMARY_TEMPERATURE,
+    format
 } ) => {
     const response = await openai.responses.create( {
         model,
         temperature,
         instructions,
         input,
+        // e.g. { type: "json_schema", name, schema, strict: true } for structured output
+        ...( format ? { text: { format } } : {} ),
         store: false
     } );
 
@@ -0,0 +1,98 @@
+import pdf from "pdf-parse";
+import { cleanPageText } from "./recordText";
+
+// Congressional Record pages are numbered per part: H (House), S (Senate), E (Extensions), D (Daily Digest)
+const RECORD_PAGE_REGEX = /\b([HSED])(\d{1,5})\b/;
+const HEADER_LINES = 6;
+// Bump when extraction output changes, so stored section texts are re-extracted from their PDFs
+export const EXTRACTOR_VERSION = 2;
+// Share of a page's height given to the running head, and the least each column must hold for a
+// page to be read as two columns
+const HEADER_BAND = 0.06;
+const MIN_COLUMN_SHARE = 0.2;
+const MIN_COLUMN_ITEMS = 20;
+
+/**
+ * Join text items the way pdf-parse's default renderer does: items on one baseline join, a new
+ * baseline starts a line.
+ */
+export const renderItems = ( items ) => {
+    let lastY;
+    let text = "";
+
+    for ( const item of items ) {
+        if ( lastY === item.transform[ 5 ] || !lastY ) {
+            text += item.str;
+        } else {
+            text += `\n${ item.str }`;
+        }
+        lastY = item.transform[ 5 ];
+    }
+
+    return text;
+};
+
+/**
+ * Record pages are set in two columns, which the content stream does not always draw in reading
+ * order. Keep the running head first, then read the left column top to bottom, then the right.
+ * Pages without two well-filled columns keep their drawing order.
+ */
+export const orderReadingItems = ( items, view ) => {
+    const [ , , pageWidth, pageHeight ] = view ?? [];
+    if ( !pageWidth || !pageHeight || items.length < MIN_COLUMN_ITEMS ) return items;
+
+    const headerY = pageHeight * ( 1 - HEADER_BAND );
+    const middle = pageWidth / 2;
+    const header = items.filter( ( item ) => item.transform[ 5 ] >= headerY );
+    const body = items.filter( ( item ) => item.transform[ 5 ] < headerY );
+    const left = body.filter( ( item ) => item.transform[ 4 ] < middle );
+    const right = body.filter( ( item ) => item.transform[ 4 ] >= middle );
+    const leftCount = left.filter( ( item ) => item.str.trim() ).length;
+    const rightCount = right.filter( ( item ) => item.str.trim() ).length;
+    if ( Math.min( leftCount, rightCount ) < ( leftCount + rightCount ) * MIN_COLUMN_SHARE ) return items;
+
+    const topToBottom = ( a, b ) => b.transform[ 5 ] - a.transform[ 5 ] || a.transform[ 4 ] - b.transform[ 4 ];
+    return [ ...header, ...left.sort( topToBottom ), ...right.sort( topToBottom ) ];
+};
+
+/**
+ * Find the Record page identifier (e.g. "H1234") in a page's running header, or null.
+ */
+export const detectRecordPage = ( pageText = "" ) => {
+    const headerLines = pageText
+        .split( "\n" )
+        .map( ( line ) => line.trim() )
+        .filter( Boolean )
+        .slice( 0, HEADER_LINES );
+
+    for ( const line of headerLines ) {
+        if ( /^[HSED]\d{1,5}$/.test( line ) ) return line;
+        if ( /CONGRESSIONAL RECORD/i.test( line ) ) {
+            const match = line.match( RECORD_PAGE_REGEX );
+            if ( match ) return `${ match[ 1 ] }${ match[ 2 ] }`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Extract text page by page, keeping the 1-based PDF page number and the Record page it carries.
+ * Text is put in column reading order and cleaned of running heads and margin notes.
+ */
+export async function extractPdfPages( pdfBuffer ) {
+    const pages = [];
+
+    await pdf( pdfBuffer, {
+        pagerender: async ( pageData ) => {
+            const textContent = await pageData.getTextContent( { normalizeWhitespace: false, disableCombineTextItems: false } );
+            // The page identifier is read from the running head before cleanup removes it
+            const recordPage = detectRecordPage( renderItems( textContent.items ) );
+            const text = cleanPageText( renderItems( orderReadingItems( textContent.items, pageData.view ) ) );
+            pages.push( { pdfPage: pageData.pageNumber ?? pageData.pageIndex + 1, text, recordPage } );
+            return text;
+        }
+    } );
+
+    return pages.sort( ( a, b ) => a.pdfPage - b.pdfPage );
+}
@@ -0,0 +1,156 @@
+import { SECTION_KEYS, sectionSummaryPath } from "./recordSections";
+
+const CONGRESS_API_HOST = "api.congress.gov";
+const API_KEY_PARAM = "api_key";
+
+const ALLOWED_PDF_HOSTS = new Set( [
+    "api.congress.gov",
+    "congress.gov",
+    "www.congress.gov",
+    "api.govinfo.gov",
+    "govinfo.gov",
+    "www.govinfo.gov"
+] );
+const ALLOWED_PDF_SUFFIXES = [ ".congress.gov", ".govinfo.gov" ];
+const MAX_URL_LENGTH = 2048;
+
+const isPrivateIPv4 = ( hostname ) => {
+    if ( !/^\d{1,3}(\.\d{1,3}){3}$/.test( hostname ) ) return false;
+    const parts = hostname.split( "." ).map( Number );
+    if ( parts.some( ( part ) => Number.isNaN( part ) || part < 0 || part > 255 ) ) return false;
+    const [ a, b ] = parts;
+    if ( a === 10 ) return true;
+    if ( a === 127 ) return true;
+    if ( a === 172 && b >= 16 && b <= 31 ) return true;
+    if ( a === 192 && b === 168 ) return true;
+    return false;
+};
+
+const isPrivateIPv6 = ( hostname ) => {
+    const normalized = hostname.toLowerCase();
+    return normalized === "::1" || normalized.startsWith( "fe80:" ) || normalized.startsWith( "fc" ) || normalized.startsWith( "fd" );
+};
+
+const isAllowedPdfHost = ( hostname ) => {
+    if ( ALLOWED_PDF_HOSTS.has( hostname ) ) return true;
+    return ALLOWED_PDF_SUFFIXES.some( ( suffix ) => hostname.endsWith( suffix ) );
+};
+
+/**
+ * The URL normalized, or a client-safe error unless it is an https link to congress.gov or
+ * govinfo.gov. Guards every server-side PDF download against requests to other hosts.
+ */
+export const validatePdfUrl = ( rawUrl ) => {
+    if ( typeof rawUrl !== "string" ) {
+        throw new Error( "Invalid PDF URL" );
+    }
+    const trimmed = rawUrl.trim();
+    if ( trimmed.length === 0 || trimmed.length > MAX_URL_LENGTH ) {
+        throw new Error( "Invalid PDF URL" );
+    }
+
+    let parsed;
+    try {
+        parsed = new URL( trimmed );
+    } catch ( error ) {
+        throw new Error( "Invalid PDF URL" );
+    }
+
+    if ( parsed.protocol !== "https:" ) {
+        throw new Error( "PDF URL must use https" );
+    }
+    if ( parsed.username || parsed.password ) {
+        throw new Error( "PDF URL must not include credentials" );
+    }
+
+    const hostname = parsed.hostname.toLowerCase();
+    if ( hostname === "localhost" || isPrivateIPv4( hostname ) || isPrivateIPv6( hostname ) ) {
+        throw new Error( "PDF URL host is not allowed" );
+    }
+    if ( !isAllowedPdfHost( hostname ) ) {
+        throw new Error( "PDF URL host is not allowed" );
+    }
+    if ( parsed.port && parsed.port !== "443" ) {
+        throw new Error( "PDF URL port is not allowed" );
+    }
+
+    return parsed.toString();
+};
+
+/**
+ * The URL without its congress.gov `api_key` parameter. Values that do not parse as URLs are
+ * returned unchanged.
+ */
+export const stripApiKey = ( rawUrl ) => {
+    if ( typeof rawUrl !== "string" || !rawUrl.includes( `${ API_KEY_PARAM }=` ) ) return rawUrl;
+    try {
+        const parsed = new URL( rawUrl );
+        parsed.searchParams.delete( API_KEY_PARAM );
+        return parsed.toString();
+    } catch ( error ) {
+        return rawUrl;
+    }
+};
+
+/**
+ * The URL with the server's congress.gov API key added when it points at the API host. Only for
+ * requests made server-side; never store or return the result.
+ */
+export const withCongressApiKey = ( rawUrl ) => {
+    const apiKey = process.env.CONGRESS_API_KEY;
+    const parsed = new URL( rawUrl );
+    if ( !apiKey || parsed.hostname.toLowerCase() !== CONGRESS_API_HOST ) return parsed.toString();
+    parsed.searchParams.set( API_KEY_PARAM, apiKey );
+    return parsed.toString();
+};
+
+/**
+ * The same-origin path that streams an issue section's PDF through the server.
+ */
+export const pdfProxyPath = ( { volumeNumber, issueNumber, section } ) =>
+    `/api/pdf/${ encodeURIComponent( volumeNumber ) }/${ encodeURIComponent( issueNumber ) }/${ encodeURIComponent( section ) }`;
+
+// Every stored field that may hold a URL copied from a keyed congress.gov link
+const KEYED_URL_FIELDS = {
+    summaries: [
+        "url",
+        "digest.pdfUrl",
+        ...Object.keys( SECTION_KEYS ).map( ( section ) => sectionSummaryPath( section, "pdfUrl" ) )
+    ],
+    summaryJobs: [ "pdfUrl" ],
+    speeches: [ "pdfUrl" ],
+    votes: [ "pdfUrl" ],
+    billMentions: [ "pdfUrl" ]
+};
+
+const getPath = ( doc, path ) => path.split( "." ).reduce( ( value, key ) => value?.[ key ], doc );
+
+/**
+ * Remove `api_key` from every URL already stored with one. Safe to run repeatedly; returns the
+ * number of documents rewritten per collection.
+ */
+export async function stripStoredApiKeys( db ) {
+    const result = {};
+    for ( const [ collectionName, fields ] of Object.entries( KEYED_URL_FIELDS ) ) {
+        const collection = db.collection( collectionName );
+        const cursor = collection.find(
+            { $or: fields.map( ( field ) => ( { [ field ]: { $regex: `[?&]${ API_KEY_PARAM }=` } } ) ) },
+            { projection: Object.fromEntries( fields.map( ( field ) => [ field, 1 ] ) ) }
+        );
+
+        let updated = 0;
+        for await ( const doc of cursor ) {
+            const update = {};
+            for ( const field of fields ) {
+                const value = getPath( doc, field );
+                const stripped = stripApiKey( value );
+                if ( stripped !== value ) update[ field ] = stripped;
+            }
+            if ( Object.keys( update ).length === 0 ) continue;
+            await collection.updateOne( { _id: doc._id }, { $set: update } );
+            updated += 1;
+        }
+        result[ collectionName ] = updated;
+    }
+    return result;
+}
@@ -0,0 +1,16 @@
+/**
+ * Parse an optional positive integer from a query string parameter. Returns `fallback` when the
+ * parameter is absent or empty, and throws `Invalid <label>` for anything else that is not one,
+ * for the route to answer with a 400.
+ */
+export const parseOptionalInt = ( value, label, fallback = null ) => {
+    if ( value === undefined || value === "" ) return fallback;
+    if ( typeof value !== "string" || !/^\d+$/.test( value.trim() ) ) {
+        throw new Error( `Invalid ${ label }` );
+    }
+    const numberValue = Number.parseInt( value.trim(), 10 );
+    if ( !Number.isSafeInteger( numberValue ) || numberValue <= 0 ) {
+        throw new Error( `Invalid ${ label }` );
+    }
+    return numberValue;
+};
@@ -0,0 +1,144 @@
+import { createHash } from "crypto";
+import { formatPageMarker } from "./citations";
+
+const parseTokenSetting = ( value, fallback ) => {
+    const parsed = Number.parseInt( value ?? "", 10 );
+    return Number.isSafeInteger( parsed ) && parsed > 0 ? parsed : fallback;
+};
+
+export const DEFAULT_MAX_TOKENS = parseTokenSetting( process.env.SUMMARY_CHUNK_MAX_TOKENS, 12000 );
+export const DEFAULT_OVERLAP_TOKENS = parseTokenSetting( process.env.SUMMARY_CHUNK_OVERLAP_TOKENS, 200 );
+
+// Rough English average; close enough to keep chunks under the model's context window
+const CHARS_PER_TOKEN = 4;
+// Below this share of the budget, a break point is not worth the extra, smaller chunk
+const MIN_BREAK_FILL = 0.5;
+
+export const estimateTokens = ( text ) => Math.ceil( text.length / CHARS_PER_TOKEN );
+
+// Article titles in the Record are set in capitals, e.g. "RECOGNIZING THE 50TH ANNIVERSARY OF ..."
+export const isHeading = ( line ) =>
+    line.length >= 8 &&
+    line.length <= 160 &&
+    !/[a-z]/.test( line ) &&
+    /[A-Z]{3,}/.test( line ) &&
+    !/CONGRESSIONAL RECORD/.test( line );
+
+const endsSentence = ( line ) => /[.?!:]["'”’)]*$/.test( line );
+
+const toLines = ( pages ) => pages.flatMap( ( page ) =>
+    page.text
+        .split( "\n" )
+        .map( ( line ) => line.trim() )
+        .filter( Boolean )
+        .map( ( text ) => ( {
+            text,
+            pdfPage: page.pdfPage,
+            recordPage: page.recordPage ?? null,
+            heading: isHeading( text ),
+            tokens: estimateTokens( text ) + 1
+        } ) )
+);
+
+const sumTokens = ( lines ) => lines.reduce( ( total, line ) => total + line.tokens, 0 );
+
+// Prefer to end a chunk right before a heading, then after a full sentence, then anywhere
+const findBreakIndex = ( lines, maxTokens ) => {
+    const minTokens = maxTokens * MIN_BREAK_FILL;
+    let headingBreak = -1;
+    let sentenceBreak = -1;
+    let tokens = 0;
+
+    for ( let i = 0; i < lines.length; i++ ) {
+        if ( tokens >= minTokens ) {
+            if ( lines[ i ].heading ) headingBreak = i;
+            if ( endsSentence( lines[ i - 1 ].text ) ) sentenceBreak = i;
+        }
+        tokens += lines[ i ].tokens;
+    }
+
+    if ( headingBreak > 0 ) return headingBreak;
+    if ( sentenceBreak > 0 ) return sentenceBreak;
+    return lines.length;
+};
+
+const takeOverlap = ( lines, overlapTokens ) => {
+    const overlap = [];
+    let tokens = 0;
+
+    for ( let i = lines.length - 1; i >= 0; i-- ) {
+        if ( tokens + lines[ i ].tokens > overlapTokens ) break;
+        overlap.unshift( lines[ i ] );
+        tokens += lines[ i ].tokens;
+    }
+
+    return overlap;
+};
+
+// Start each page with a marker such as [[Page H1234]] so the model can cite what it summarizes
+const joinWithPageMarkers = ( lines ) => {
+    const output = [];
+    let lastPage = null;
+
+    for ( const line of lines ) {
+        if ( line.pdfPage !== lastPage ) {
+            output.push( formatPageMarker( line ) );
+            lastPage = line.pdfPage;
+        }
+        output.push( line.text );
+    }
+
+    return output.join( "\n" );
+};
+
+const buildChunk = ( lines, index, overlapLineCount ) => {
+    const text = lines.map( ( line ) => line.text ).join( "\n" );
+    const recordPages = lines.map( ( line ) => line.recordPage ).filter( Boolean );
+
+    return {
+        index,
+        text,
+        hash: createHash( "sha1" ).update( text ).digest( "hex" ),
+        tokens: sumTokens( lines ),
+        overlapLines: overlapLineCount,
+        overlapText: joinWithPageMarkers( lines.slice( 0, overlapLineCount ) ),
+        bodyText: joinWithPageMarkers( lines.slice( overlapLineCount ) ),
+        pdfPageStart: lines[ 0 ].pdfPage,
+        pdfPageEnd: lines[ lines.length - 1 ].pdfPage,
+        recordPageStart: recordPages[ 0 ] ?? null,
+        recordPageEnd: recordPages[ recordPages.length - 1 ] ?? null,
+        headings: lines.filter( ( line ) => line.heading ).map( ( line ) => line.text )
+    };
+};
+
+/**
+ * Split extracted Record pages into chunks under a token budget, breaking at article headings or
+ * sentence ends where possible. Each chunk repeats up to `overlapTokens` of the previous chunk's
+ * tail for context and keeps the PDF and Record page range it covers.
+ */
+export function chunkRecordPages( pages, { maxTokens = DEFAULT_MAX_TOKENS, overlapTokens = DEFAULT_OVERLAP_TOKENS } = {} ) {
+    const chunks = [];
+    let current = [];
+    let overlapLineCount = 0;
+
+    for ( const line of toLines( pages ) ) {
+        if ( current.length > overlapLineCount && sumTokens( current ) + line.tokens > maxTokens ) {
+            const breakIndex = Math.max( findBreakIndex( current, maxTokens ), overlapLineCount + 1 );
+            const emitted = current.slice( 0, breakIndex );
+            const carry = current.slice( breakIndex );
+            chunks.push( buildChunk( emitted, chunks.length, overlapLineCount ) );
+
+            const overlap = takeOverlap( emitted, Math.max( 0, Math.min( overlapTokens, maxTokens - sumTokens( carry ) - line.tokens ) ) );
+            current = [ ...overlap, ...carry ];
+            overlapLineCount = overlap.length;
+        }
+
+        current.push( line );
+    }
+
+    if ( current.length > overlapLineCount ) {
+        chunks.push( buildChunk( current, chunks.length, overlapLineCount ) );
+    }
+
+    return chunks;
+}
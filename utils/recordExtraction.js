@@ -0,0 +1,238 @@
+import { normalizeBillNumber } from "./billCitations";
+import { resolveMember } from "./memberRoster";
+
+const PARTIES = [ "D", "R", "I" ];
+const CHAMBERS = [ "House", "Senate" ];
+const VOTE_KINDS = [ "recorded", "voice", "unanimous consent", "other" ];
+const MAX_TOPICS = 15;
+
+const nullable = ( schema ) => ( { ...schema, type: [ schema.type, "null" ] } );
+
+// Strict structured output requires every property to be listed as required; optional values are nullable instead
+export const EXTRACTION_SCHEMA = {
+    type: "object",
+    additionalProperties: false,
+    required: [ "speakers", "bills", "votes", "topics" ],
+    properties: {
+        speakers: {
+            type: "array",
+            items: {
+                type: "object",
+                additionalProperties: false,
+                required: [ "name", "party", "state", "chamber" ],
+                properties: {
+                    name: { type: "string" },
+                    party: { type: [ "string", "null" ], enum: [ ...PARTIES, null ] },
+                    state: nullable( { type: "string", description: "Two-letter postal code" } ),
+                    chamber: { type: [ "string", "null" ], enum: [ ...CHAMBERS, null ] }
+                }
+            }
+        },
+        bills: {
+            type: "array",
+            items: {
+                type: "object",
+                additionalProperties: false,
+                required: [ "number", "title", "action" ],
+                properties: {
+                    number: { type: "string", description: "e.g. H.R. 1234, S. 56, H.Res. 7, S.J.Res. 8" },
+                    title: nullable( { type: "string" } ),
+                    action: nullable( { type: "string", description: "What happened to it, e.g. introduced, passed, debated" } )
+                }
+            }
+        },
+        votes: {
+            type: "array",
+            items: {
+                type: "object",
+                additionalProperties: false,
+                required: [ "question", "bill", "kind", "result", "yeas", "nays" ],
+                properties: {
+                    question: { type: "string" },
+                    bill: nullable( { type: "string" } ),
+                    kind: { type: "string", enum: VOTE_KINDS },
+                    result: nullable( { type: "string", description: "e.g. agreed to, passed, failed, rejected" } ),
+                    yeas: nullable( { type: "integer" } ),
+                    nays: nullable( { type: "integer" } )
+                }
+            }
+        },
+        topics: {
+            type: "array",
+            items: { type: "string" }
+        }
+    }
+};
+
+export const EXTRACTION_PROMPT = `
+You extract structured data from a part of the official U.S. Congressional Record.
+Only report what the text states; never guess.
+- speakers: every Member of Congress who speaks. Use the name as printed (e.g. "Mr. SCHUMER" becomes "Schumer"). Party (D, R or I), two-letter state and chamber only when the text gives them, otherwise null.
+- bills: every bill or resolution mentioned by number (H.R., S., H.Res., S.Res., H.J.Res., S.J.Res., H.Con.Res., S.Con.Res.), with its short title and what happened to it when stated.
+- votes: every motion or question put to a vote, how it was decided (recorded, voice, unanimous consent) and the outcome and tallies when given.
+- topics: up to 8 short lowercase policy topic tags, e.g. "defense appropriations", "border security".
+Lines like [[Page H1234]] are page markers, not content.
+`;
+
+const cleanString = ( value, maxLength = 300 ) => {
+    if ( typeof value !== "string" ) return null;
+    const trimmed = value.replace( /\s+/g, " " ).trim();
+    return trimmed ? trimmed.slice( 0, maxLength ) : null;
+};
+
+const cleanCount = ( value ) => Number.isSafeInteger( value ) && value >= 0 ? value : null;
+
+const stripTitle = ( name ) => name.replace( /^(mr|mrs|ms|miss|dr)\.?\s+/i, "" );
+
+const speakerKey = ( name ) => stripTitle( name ).toLowerCase();
+
+const cleanSpeaker = ( speaker ) => {
+    const name = cleanString( speaker?.name, 120 );
+    if ( !name ) return null;
+    const state = cleanString( speaker.state, 2 )?.toUpperCase() ?? null;
+
+    return {
+        name,
+        party: PARTIES.includes( speaker.party ) ? speaker.party : null,
+        state: /^[A-Z]{2}$/.test( state ?? "" ) ? state : null,
+        chamber: CHAMBERS.includes( speaker.chamber ) ? speaker.chamber : null
+    };
+};
+
+const cleanBill = ( bill ) => {
+    const number = normalizeBillNumber( bill?.number );
+    if ( !number ) return null;
+    const action = cleanString( bill.action );
+    return { number, title: cleanString( bill.title ), actions: action ? [ action ] : [] };
+};
+
+const cleanVote = ( vote ) => {
+    const question = cleanString( vote?.question );
+    if ( !question ) return null;
+
+    return {
+        question,
+        bill: normalizeBillNumber( vote.bill ),
+        kind: VOTE_KINDS.includes( vote.kind ) ? vote.kind : "other",
+        result: cleanString( vote.result, 120 ),
+        yeas: cleanCount( vote.yeas ),
+        nays: cleanCount( vote.nays )
+    };
+};
+
+const compact = ( items, clean ) => ( Array.isArray( items ) ? items : [] ).map( clean ).filter( Boolean );
+
+/**
+ * Check a model response against the extraction schema. Entries that do not fit are dropped
+ * rather than stored; a response that is not an extraction at all returns null.
+ */
+export const validateExtraction = ( data ) => {
+    if ( !data || typeof data !== "object" || Array.isArray( data ) ) return null;
+
+    return {
+        speakers: compact( data.speakers, cleanSpeaker ),
+        bills: compact( data.bills, cleanBill ),
+        votes: compact( data.votes, cleanVote ),
+        topics: compact( data.topics, ( topic ) => cleanString( topic, 60 )?.toLowerCase() )
+    };
+};
+
+export const parseExtraction = ( text ) => {
+    try {
+        return validateExtraction( JSON.parse( text ) );
+    } catch {
+        return null;
+    }
+};
+
+const mergeSpeakers = ( speakers ) => {
+    const byName = new Map();
+    for ( const speaker of speakers ) {
+        const key = speakerKey( speaker.name );
+        const existing = byName.get( key );
+        if ( !existing ) {
+            byName.set( key, { ...speaker } );
+            continue;
+        }
+        existing.party ??= speaker.party;
+        existing.state ??= speaker.state;
+        existing.chamber ??= speaker.chamber;
+    }
+    return Array.from( byName.values() );
+};
+
+const mergeBills = ( bills ) => {
+    const byNumber = new Map();
+    for ( const bill of bills ) {
+        const existing = byNumber.get( bill.number );
+        if ( !existing ) {
+            byNumber.set( bill.number, { ...bill, actions: [ ...bill.actions ] } );
+            continue;
+        }
+        existing.title ??= bill.title;
+        for ( const action of bill.actions ) {
+            if ( !existing.actions.includes( action ) ) existing.actions.push( action );
+        }
+    }
+    return Array.from( byNumber.values() );
+};
+
+// Chunk overlap can repeat the same vote, so identical questions on the same bill count once
+const mergeVotes = ( votes ) => {
+    const byQuestion = new Map();
+    for ( const vote of votes ) {
+        const key = `${ vote.bill ?? "" }|${ vote.question.toLowerCase() }`;
+        if ( !byQuestion.has( key ) ) byQuestion.set( key, vote );
+    }
+    return Array.from( byQuestion.values() );
+};
+
+// Keep the topics most chunks agree on
+const mergeTopics = ( topics ) => {
+    const counts = new Map();
+    for ( const topic of topics ) {
+        counts.set( topic, ( counts.get( topic ) ?? 0 ) + 1 );
+    }
+    return Array.from( counts.entries() )
+        .sort( ( a, b ) => b[ 1 ] - a[ 1 ] )
+        .slice( 0, MAX_TOPICS )
+        .map( ( [ topic ] ) => topic );
+};
+
+/**
+ * Replace the model's party and state for each speaker with the roster's. Speakers the roster
+ * cannot place keep no party rather than a guess; without a roster the model's values stay.
+ */
+export const attributeSpeakers = ( extraction, roster, { date = null } = {} ) => {
+    if ( !roster ) return extraction;
+
+    return {
+        ...extraction,
+        speakers: extraction.speakers.map( ( speaker ) => {
+            const lookup = { surname: stripTitle( speaker.name ), chamber: speaker.chamber, date };
+            // The model's state can be as wrong as its party; fall back to the name alone
+            const member = resolveMember( roster, { ...lookup, state: speaker.state } ) ?? resolveMember( roster, lookup );
+
+            return {
+                ...speaker,
+                bioguideId: member?.bioguideId ?? null,
+                party: member?.party ?? null,
+                state: member?.state ?? null,
+                chamber: member?.chamber ?? speaker.chamber
+            };
+        } )
+    };
+};
+
+/**
+ * Combine per-chunk extractions into one for the issue, deduplicating across chunk boundaries.
+ */
+export const mergeExtractions = ( extractions ) => {
+    const valid = extractions.filter( Boolean );
+    return {
+        speakers: mergeSpeakers( valid.flatMap( ( extraction ) => extraction.speakers ) ),
+        bills: mergeBills( valid.flatMap( ( extraction ) => extraction.bills ) ),
+        votes: mergeVotes( valid.flatMap( ( extraction ) => extraction.votes ) ),
+        topics: mergeTopics( valid.flatMap( ( extraction ) => extraction.topics ) )
+    };
+};
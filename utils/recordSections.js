@@ -0,0 +1,52 @@
+// Map of content keys to human readable labels
+export const SECTION_KEYS = {
+    entireIssue: "Entire Issue",
+    houseSection: "House",
+    senateSection: "Senate",
+    extensionsSection: "Extensions",
+    dailyDigest: "Daily Digest"
+};
+
+export const extractSections = ( contents = {} ) => {
+    const fullIssue = contents?.issue?.fullIssue ?? {};
+    return Object.entries( SECTION_KEYS ).map( ( [ key, label ] ) => {
+        const value = fullIssue?.[ key ];
+        const urlCandidate = Array.isArray( value ) ? value[ 0 ]?.url : value?.url;
+
+        return {
+            key,
+            label,
+            url: urlCandidate || null,
+            present: Boolean( urlCandidate )
+        };
+    } );
+};
+
+export const pickPdfUrl = ( record, sections ) => {
+    const sectionUrl = sections.find( ( section ) => section.present )?.url;
+    return record.pdfUrl || sectionUrl || null;
+};
+
+export const DEFAULT_SECTION = "entireIssue";
+
+export const isSectionKey = ( key ) => typeof key === "string" && Object.hasOwn( SECTION_KEYS, key );
+
+// The whole-issue summary predates per-section summaries and keeps its top-level fields
+export const sectionSummaryPath = ( section, field = "summary" ) =>
+    section === DEFAULT_SECTION ? field : `sectionSummaries.${ section }.${ field }`;
+
+export const getSectionSummary = ( record, section ) =>
+    section === DEFAULT_SECTION ? record : record?.sectionSummaries?.[ section ] ?? null;
+
+// Chunks cached before per-section summaries carry no section and belong to the whole issue
+export const chunkSection = ( chunk ) => chunk.section ?? DEFAULT_SECTION;
+
+export const chunkSectionFilter = ( section ) =>
+    section === DEFAULT_SECTION ? { section: { $in: [ null, DEFAULT_SECTION ] } } : { section };
+
+// congress.gov sends issueNumber as a string, while summaries written by the summarize pipeline
+// key on the parsed number; match both so reads and flags reach every document for the issue
+export const issueVariantsFilter = ( { volumeNumber, issueNumber } ) => ( {
+    volumeNumber,
+    issueNumber: { $in: [ String( issueNumber ), Number( issueNumber ) ] }
+} );
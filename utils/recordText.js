@@ -0,0 +1,62 @@
+// Running heads: "H1234 CONGRESSIONAL RECORD — HOUSE March 5, 2024", or any part of it on its own line
+const RUNNING_HEAD_REGEX = /^(?:[HSED]\s?\d{1,5}\s+)?CONGRESSIONAL RECORD\s*[—–-]+\s*(?:HOUSE|SENATE|EXTENSIONS OF REMARKS|DAILY DIGEST)\b.{0,40}$/i;
+const PAGE_ID_REGEX = /^[HSED]\s?\d{1,5}$/;
+const DATE_LINE_REGEX = /^(?:(?:Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday),?\s+)?(?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},\s+\d{4}$/;
+// How far into a page a bare date still counts as part of the running head
+const HEADER_LINES = 4;
+
+// GPO production slugs and the line that tags each page with the operator and chamber
+const PRODUCTION_LINE_REGEXES = [
+    /^VerDate\b/,
+    /\bJkt\s+\d+\s+PO\s+\d+\s+Frm\s+\d+/,
+    /^\S+\s+on\s+DSK\w+\s+with\s+[\w\s]+$/,
+    /^E:\\CR\\/
+];
+
+// Printed once per page in the margin: explanations of the bullet and the typeface, and the House floor time stamp
+const BOILERPLATE_REGEXES = [
+    /This\s+[‘'"“]{1,2}bullet[’'"”]{1,2}\s+symbol\s+identifies\s+statements\s+or\s+insertions\s+which\s+are\s+not\s+spoken\s+by\s+a\s+Member\s+of\s+the\s+(?:Senate|House)\s+on\s+the\s+floor\.?/gi,
+    /Matter\s+set\s+in\s+this\s+typeface\s+indicates\s+words\s+inserted\s+or\s+appended,\s+rather\s+than\s+spoken,\s+by\s+a?\s*Member\s+of\s+the\s+(?:House|Senate)\s+on\s+the\s+floor\.?/gi
+];
+const TIME_STAMP_REGEX = /^[b•]\s?\d{4}$/;
+
+const isNoiseLine = ( line, index ) =>
+    RUNNING_HEAD_REGEX.test( line ) ||
+    PAGE_ID_REGEX.test( line ) ||
+    TIME_STAMP_REGEX.test( line ) ||
+    ( index < HEADER_LINES && DATE_LINE_REGEX.test( line ) ) ||
+    PRODUCTION_LINE_REGEXES.some( ( regex ) => regex.test( line ) );
+
+/**
+ * Strip what the Record prints around the proceedings from one page of extracted text: running
+ * heads, page identifiers, production slugs, floor time stamps and the bullet and typeface
+ * notes. Words hyphenated across a line break are rejoined and blank runs collapsed.
+ * Run it after the Record page has been read from the header; that header is removed here.
+ */
+export function cleanPageText( text = "" ) {
+    let cleaned = text.replace( /\r\n?/g, "\n" );
+    for ( const regex of BOILERPLATE_REGEXES ) {
+        cleaned = cleaned.replace( regex, "" );
+    }
+
+    const lines = cleaned
+        .split( "\n" )
+        .map( ( line ) => line.replace( /[ \t\u00a0]+/g, " " ).trim() );
+    let contentIndex = 0;
+    const kept = [];
+    for ( const line of lines ) {
+        if ( !line ) {
+            kept.push( line );
+            continue;
+        }
+        if ( !isNoiseLine( line, contentIndex ) ) kept.push( line );
+        contentIndex += 1;
+    }
+
+    return kept
+        .join( "\n" )
+        // "appropri-\nations" → "appropriations"; a capital after the break keeps its hyphen, as in "Jones-\nSmith"
+        .replace( /(\p{L})-\n(\p{Ll})/gu, "$1$2" )
+        .replace( /\n{3,}/g, "\n\n" )
+        .trim();
+}
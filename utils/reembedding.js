@@ -0,0 +1,161 @@
+import { createEmbedding, embeddingFields, getEmbeddingDimensions, getEmbeddingModel, hasCurrentEmbedding, sectionEmbeddingFields } from "./embeddings";
+import { SECTION_KEYS, chunkSection, getSectionSummary, issueVariantsFilter, sectionSummaryPath } from "./recordSections";
+import { ensureVectorSearchIndex, outdatedVectorFilter, upsertChunkVector, upsertSummaryVector } from "./vectorIndex";
+
+const STATE_COLLECTION = "ingestionState";
+const SUMMARIES_COLLECTION = "summaries";
+const CHUNK_COLLECTION = "chunkSummaries";
+const VECTOR_COLLECTION = "summaryVectors";
+// Section summaries first, so issue search recovers before passage search; leftover vectors go last
+const PHASES = [ "sections", "chunks", "cleanup" ];
+
+const buildJobId = ( model, dimensions ) => `reembed:${ model }:${ dimensions }`;
+
+// Documents whose stamp says another model or length; unstamped ones are checked one by one
+const outdatedStampFilter = ( field ) => ( {
+    $or: [
+        { [ `${ field }Model` ]: { $ne: getEmbeddingModel() } },
+        { [ `${ field }Dimensions` ]: { $ne: getEmbeddingDimensions() } }
+    ]
+} );
+
+const afterLastId = ( filter, lastId ) => lastId ? { ...filter, _id: { $gt: lastId } } : filter;
+
+// Each phase returns false when the run's embedding budget ran out or an embedding failed before
+// it finished; the next run resumes at that item, so a phase never completes with items skipped
+const reembedSections = async ( db, state, run ) => {
+    const sections = Object.keys( SECTION_KEYS );
+    const filter = {
+        $or: sections.map( ( section ) => ( {
+            [ sectionSummaryPath( section ) ]: { $exists: true, $ne: "" },
+            ...outdatedStampFilter( sectionSummaryPath( section, "summaryEmbedding" ) )
+        } ) )
+    };
+    const projection = Object.fromEntries( [ "volumeNumber", "issueNumber", "issueDate", "summary", "summaryEmbedding", "summaryEmbeddingModel", "sectionSummaries" ].map( ( field ) => [ field, 1 ] ) );
+    const cursor = db.collection( SUMMARIES_COLLECTION ).find( afterLastId( filter, state.lastId ), { projection, sort: { _id: 1 } } );
+
+    for await ( const record of cursor ) {
+        for ( const section of sections ) {
+            const sectionSummary = getSectionSummary( record, section );
+            if ( !sectionSummary?.summary || hasCurrentEmbedding( sectionSummary, "summaryEmbedding" ) ) continue;
+            // Stop inside the issue; its finished sections are skipped when the next run resumes here
+            if ( run.requested >= run.maxEmbeddings ) return false;
+
+            run.requested += 1;
+            const embedding = await createEmbedding( sectionSummary.summary );
+            if ( !embedding ) {
+                run.failed += 1;
+                return false;
+            }
+            await db.collection( SUMMARIES_COLLECTION ).updateOne( { _id: record._id }, { $set: sectionEmbeddingFields( section, embedding ) } );
+            await upsertSummaryVector( db, { volumeNumber: record.volumeNumber, issueNumber: record.issueNumber, section, issueDate: record.issueDate }, embedding );
+            run.embedded += 1;
+        }
+        state.lastId = record._id;
+    }
+    return true;
+};
+
+const reembedChunks = async ( db, state, run ) => {
+    const filter = { summary: { $exists: true, $ne: "" }, stale: { $ne: true }, ...outdatedStampFilter( "embedding" ) };
+    const cursor = db.collection( CHUNK_COLLECTION ).find( afterLastId( filter, state.lastId ), { projection: { extraction: 0 }, sort: { _id: 1 } } );
+    const issueDates = new Map();
+
+    for await ( const chunk of cursor ) {
+        if ( !hasCurrentEmbedding( chunk, "embedding" ) ) {
+            if ( run.requested >= run.maxEmbeddings ) return false;
+
+            run.requested += 1;
+            const embedding = await createEmbedding( chunk.summary );
+            if ( !embedding ) {
+                run.failed += 1;
+                return false;
+            }
+            const issueKey = `${ chunk.volumeNumber }-${ chunk.issueNumber }`;
+            if ( !issueDates.has( issueKey ) ) {
+                const issue = await db.collection( SUMMARIES_COLLECTION ).findOne( issueVariantsFilter( chunk ), { projection: { issueDate: 1 } } );
+                issueDates.set( issueKey, issue?.issueDate ?? null );
+            }
+            await db.collection( CHUNK_COLLECTION ).updateOne( { _id: chunk._id }, { $set: embeddingFields( "embedding", embedding ) } );
+            const section = chunkSection( chunk );
+            await upsertChunkVector( db, { volumeNumber: chunk.volumeNumber, issueNumber: chunk.issueNumber, section, issueDate: issueDates.get( issueKey ) }, chunk, embedding );
+            run.embedded += 1;
+        }
+        state.lastId = chunk._id;
+    }
+    return true;
+};
+
+// Whatever is still from another model or length has no summary or chunk left to embed it from;
+// only reached once both embedding phases finished without a failure
+const removeOutdatedVectors = async ( db, state, run ) => {
+    const { deletedCount } = await db.collection( VECTOR_COLLECTION ).deleteMany( outdatedVectorFilter() );
+    run.removedVectors = deletedCount;
+    return true;
+};
+
+const PHASE_RUNNERS = {
+    sections: reembedSections,
+    chunks: reembedChunks,
+    cleanup: removeOutdatedVectors
+};
+
+/**
+ * Move stored summary and chunk embeddings, and the vector index built from them, to the
+ * configured embedding model and length. Each call requests at most `maxEmbeddings` embeddings
+ * and saves its position to `ingestionState` under `reembed:<model>:<dimensions>`, so a large
+ * corpus migrates over several calls; `reset` starts that migration over. A failed embedding ends
+ * the call at that item, to be retried by the next one. Until it finishes, search leaves out the
+ * vectors it has not reached yet.
+ */
+export async function reembedCorpus( db, { maxEmbeddings = 200, reset = false } = {} ) {
+    const model = getEmbeddingModel();
+    const dimensions = getEmbeddingDimensions();
+    const jobId = buildJobId( model, dimensions );
+    const stateCollection = db.collection( STATE_COLLECTION );
+
+    if ( reset ) {
+        await stateCollection.deleteOne( { _id: jobId } );
+    }
+
+    const state = await stateCollection.findOne( { _id: jobId } ) ?? { phase: PHASES[ 0 ], lastId: null, embedded: 0, completed: false };
+    const run = { maxEmbeddings, requested: 0, embedded: 0, failed: 0, removedVectors: 0 };
+    if ( state.completed ) {
+        return { jobId, model, done: true, phase: state.phase, embedded: 0, failed: 0, removedVectors: 0, totalEmbedded: state.embedded };
+    }
+
+    await ensureVectorSearchIndex( db );
+    try {
+        while ( !state.completed && await PHASE_RUNNERS[ state.phase ]( db, state, run ) ) {
+            const next = PHASES[ PHASES.indexOf( state.phase ) + 1 ];
+            if ( next ) {
+                state.phase = next;
+                state.lastId = null;
+            } else {
+                state.completed = true;
+            }
+        }
+    } finally {
+        // Saved even when an embedding call throws, so the next run resumes from the last finished item
+        await stateCollection.updateOne(
+            { _id: jobId },
+            {
+                $set: { model, dimensions, phase: state.phase, lastId: state.lastId, completed: state.completed, updatedAt: new Date() },
+                $setOnInsert: { startedAt: new Date() },
+                $inc: { embedded: run.embedded, failed: run.failed }
+            },
+            { upsert: true }
+        );
+    }
+
+    return {
+        jobId,
+        model,
+        done: state.completed,
+        phase: state.phase,
+        embedded: run.embedded,
+        failed: run.failed,
+        removedVectors: run.removedVectors,
+        totalEmbedded: state.embedded + run.embedded
+    };
+}
@@ -0,0 +1,100 @@
+import { hasCurrentEmbedding } from "./embeddings";
+import { SECTION_KEYS, getSectionSummary, issueVariantsFilter, sectionSummaryPath } from "./recordSections";
+import { searchSummaryVectors } from "./vectorIndex";
+
+const COLLECTION_NAME = "summaries";
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Each section is searched on its own, so over-fetch to leave room for the issue itself and repeats
+const CANDIDATE_MULTIPLIER = 4;
+
+// A chamber's floor proceedings are its own section; without a chamber, every section is compared
+const CHAMBER_SECTIONS = {
+    House: [ "houseSection" ],
+    Senate: [ "senateSection" ]
+};
+
+export const RELATED_CHAMBERS = Object.keys( CHAMBER_SECTIONS );
+
+const toDateString = ( date ) => date.toISOString().slice( 0, 10 );
+
+const buildDateWindow = ( issueDate, windowDays ) => {
+    const issuedAt = issueDate ? new Date( issueDate ) : null;
+    if ( !windowDays || !issuedAt || Number.isNaN( issuedAt.getTime() ) ) return {};
+    return {
+        startDate: toDateString( new Date( issuedAt.getTime() - windowDays * DAY_MS ) ),
+        endDate: toDateString( new Date( issuedAt.getTime() + windowDays * DAY_MS ) )
+    };
+};
+
+const buildPreview = ( summary, maxLength = 200 ) => {
+    if ( !summary ) return null;
+    const text = summary.replace( /[#*]/g, "" ).replace( /\s+/g, " " ).trim();
+    return text.length > maxLength ? `${ text.slice( 0, maxLength ) }…` : text;
+};
+
+/**
+ * The issues whose summaries sit closest to one issue's stored summary embeddings, best first.
+ * Each of the issue's summarized sections is compared against the same section of other issues,
+ * and an issue scores its best match. `chamber` limits the comparison to that chamber's section;
+ * `windowDays` to issues within that many days either side. Returns null when the issue does not
+ * exist, and an empty list when none of its sections has an embedding from the configured model.
+ */
+export async function findRelatedIssues( db, { volumeNumber, issueNumber, chamber = null, windowDays = null, limit = 8 } ) {
+    const sections = CHAMBER_SECTIONS[ chamber ] ?? Object.keys( SECTION_KEYS );
+    const embeddingPaths = sections.flatMap( ( section ) => [ sectionSummaryPath( section, "summaryEmbedding" ), sectionSummaryPath( section, "summaryEmbeddingModel" ) ] );
+    const projection = Object.fromEntries( [ "issueDate", ...embeddingPaths ].map( ( field ) => [ field, 1 ] ) );
+    const issue = await db.collection( COLLECTION_NAME ).findOne( issueVariantsFilter( { volumeNumber, issueNumber } ), { projection } );
+    if ( !issue ) return null;
+
+    // An embedding from another model cannot be compared with the index until it is re-embedded
+    const sources = sections
+        .map( ( section ) => ( { section, sectionSummary: getSectionSummary( issue, section ) } ) )
+        .filter( ( { sectionSummary } ) => hasCurrentEmbedding( sectionSummary, "summaryEmbedding" ) )
+        .map( ( { section, sectionSummary } ) => ( { section, embedding: sectionSummary.summaryEmbedding } ) );
+    if ( sources.length === 0 ) return [];
+
+    const window = buildDateWindow( issue.issueDate, windowDays );
+    const matchLists = await Promise.all( sources.map( ( { section, embedding } ) =>
+        searchSummaryVectors( db, embedding, { sections: [ section ], ...window, limit: limit * CANDIDATE_MULTIPLIER } )
+    ) );
+
+    const ownKey = `${ Number( volumeNumber ) }-${ Number( issueNumber ) }`;
+    const best = new Map();
+    for ( const match of matchLists.flat() ) {
+        const key = `${ match.volumeNumber }-${ match.issueNumber }`;
+        if ( key === ownKey ) continue;
+        const existing = best.get( key );
+        if ( !existing ) {
+            best.set( key, { ...match, sections: [ match.section ] } );
+        } else {
+            existing.sections.push( match.section );
+            if ( match.similarity > existing.similarity ) Object.assign( existing, { similarity: match.similarity, section: match.section } );
+        }
+    }
+
+    const ranked = [ ...best.values() ].sort( ( a, b ) => b.similarity - a.similarity ).slice( 0, limit );
+    if ( ranked.length === 0 ) return [];
+
+    const records = await db.collection( COLLECTION_NAME )
+        .find(
+            { $or: ranked.map( issueVariantsFilter ) },
+            { projection: { volumeNumber: 1, issueNumber: 1, issueDate: 1, congress: 1, summary: 1, sectionSummaries: 1 } }
+        )
+        .toArray();
+    const recordsByKey = new Map( records.map( ( record ) => [ `${ Number( record.volumeNumber ) }-${ Number( record.issueNumber ) }`, record ] ) );
+
+    return ranked.map( ( match ) => {
+        const record = recordsByKey.get( `${ match.volumeNumber }-${ match.issueNumber }` );
+        const sectionSummary = getSectionSummary( record, match.section );
+        return {
+            volumeNumber: match.volumeNumber,
+            issueNumber: match.issueNumber,
+            issueDate: record?.issueDate ?? match.issueDate ?? null,
+            congress: record?.congress ?? null,
+            similarity: match.similarity,
+            matchedSection: match.section,
+            sections: match.sections,
+            preview: buildPreview( sectionSummary?.executiveSummary || sectionSummary?.summary )
+        };
+    } );
+}
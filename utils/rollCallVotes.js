@@ -0,0 +1,152 @@
+import { findBillCitations } from "./billCitations";
+
+// House: "[Roll No. 123]"; Senate: "[Rollcall Vote No. 45 Leg.]" or "… Ex.]" for executive business
+const ROLL_MARKER_REGEX = /\[(Roll No\.|Rollcall Vote No\.)\s*(\d{1,4})(?:\s+(Leg|Ex)\.)?\]/g;
+const DASH = "\\s*[—–-]+\\s*";
+const TALLY_PATTERNS = {
+    yeas: new RegExp( `\\bYEAS${ DASH }(\\d{1,3})\\b` ),
+    nays: new RegExp( `\\bNAYS${ DASH }(\\d{1,3})\\b` ),
+    present: new RegExp( `\\bANSWERED [“"]?PRESENT[”"]?${ DASH }(\\d{1,3})\\b` ),
+    notVoting: new RegExp( `\\bNOT VOTING${ DASH }(\\d{1,3})\\b` )
+};
+// The run-in form announcing the result before the name lists: "yeas 215, nays 210, not voting 8"
+const RUN_IN_TALLY_REGEX = /\byeas (\d{1,3}),? nays (\d{1,3})(?:,? answered [“"]?present[”"]? (\d{1,3}))?(?:,? not voting (\d{1,3}))?/gi;
+const QUESTION_REGEX = /The question is,?\s/g;
+// Results open with "So …" in the House and "The …" in the Senate; the name lists before them have no periods
+const RESULT_OPENING_REGEX = /\b(?:So|The|Thus) /g;
+const OUTCOME_REGEX = /\b(?:was|were|is|are) (not agreed to|agreed to|passed|rejected|confirmed|adopted|not sustained|sustained|not invoked|invoked)\b/i;
+// Abbreviations that end in a period without ending the sentence ("H.R. 1234", "Mr. Smith", "No. 5")
+const ABBREVIATION_REGEX = /(?:\b[HSJ]|\bR|\bRes|\bCon|\bMr|\bMrs|\bMs|\bNo|\bSec|\bU\.S)$/;
+const LOOKBACK_CHARS = 4000;
+const LOOKAHEAD_CHARS = 15000;
+const RUN_IN_LOOKBACK_CHARS = 600;
+const RESULT_OPENING_CHARS = 300;
+
+const joinPages = ( pages ) => {
+    let text = "";
+    const starts = [];
+    for ( const page of pages ) {
+        starts.push( { offset: text.length, page } );
+        text += `${ page.text.replace( /\s+/g, " " ) } `;
+    }
+    return { text, starts };
+};
+
+const pageAt = ( starts, offset ) => {
+    let current = starts[ 0 ]?.page ?? null;
+    for ( const start of starts ) {
+        if ( start.offset > offset ) break;
+        current = start.page;
+    }
+    return current;
+};
+
+const findSentenceEnd = ( text, from ) => {
+    const endRegex = /[.?](?=\s|$)/g;
+    endRegex.lastIndex = from;
+    for ( let match = endRegex.exec( text ); match; match = endRegex.exec( text ) ) {
+        if ( match[ 0 ] === "?" || !ABBREVIATION_REGEX.test( text.slice( Math.max( 0, match.index - 4 ), match.index ) ) ) {
+            return match.index + 1;
+        }
+    }
+    return text.length;
+};
+
+const findSentenceStart = ( text, index ) => {
+    for ( let i = index - 1; i > 0; i-- ) {
+        if ( ( text[ i ] === "." || text[ i ] === "?" ) && text[ i + 1 ] === " " &&
+            ( text[ i ] === "?" || !ABBREVIATION_REGEX.test( text.slice( Math.max( 0, i - 4 ), i ) ) ) ) {
+            return i + 2;
+        }
+    }
+    return 0;
+};
+
+// The last "The question is …" put since the previous roll call
+const findQuestion = ( text, markerIndex, previousEnd ) => {
+    const from = Math.max( previousEnd, markerIndex - LOOKBACK_CHARS );
+    const window = text.slice( from, markerIndex );
+    let last = null;
+    for ( const match of window.matchAll( QUESTION_REGEX ) ) last = match;
+    if ( !last ) return null;
+
+    const start = from + last.index;
+    return text.slice( start, findSentenceEnd( text, start + last[ 0 ].length ) ).trim();
+};
+
+const readTallies = ( block, runIn ) => {
+    const tallies = {};
+    for ( const [ field, pattern ] of Object.entries( TALLY_PATTERNS ) ) {
+        const match = block.match( pattern );
+        tallies[ field ] = match ? Number.parseInt( match[ 1 ], 10 ) : null;
+    }
+
+    const runInMatch = Array.from( runIn.matchAll( RUN_IN_TALLY_REGEX ) ).pop();
+    if ( runInMatch ) {
+        tallies.yeas ??= Number.parseInt( runInMatch[ 1 ], 10 );
+        tallies.nays ??= Number.parseInt( runInMatch[ 2 ], 10 );
+        tallies.present ??= runInMatch[ 3 ] ? Number.parseInt( runInMatch[ 3 ], 10 ) : null;
+        tallies.notVoting ??= runInMatch[ 4 ] ? Number.parseInt( runInMatch[ 4 ], 10 ) : null;
+    }
+    return tallies;
+};
+
+const findOutcome = ( text, from, to ) => {
+    const match = text.slice( from, to ).match( OUTCOME_REGEX );
+    if ( !match ) return { result: null, outcome: null };
+
+    const index = from + match.index;
+    const openingFrom = Math.max( from, index - RESULT_OPENING_CHARS );
+    const opening = Array.from( text.slice( openingFrom, index ).matchAll( RESULT_OPENING_REGEX ) ).pop();
+    const start = Math.max( findSentenceStart( text, index ), openingFrom, opening ? openingFrom + opening.index : 0 );
+    return {
+        result: text.slice( start, findSentenceEnd( text, index ) ).trim(),
+        outcome: match[ 1 ].toLowerCase()
+    };
+};
+
+const uniqueBills = ( ...texts ) => {
+    const bills = new Map();
+    for ( const text of texts ) {
+        for ( const citation of findBillCitations( text ?? "" ) ) {
+            if ( !bills.has( citation.key ) ) bills.set( citation.key, { key: citation.key, label: citation.label } );
+        }
+    }
+    return Array.from( bills.values() );
+};
+
+/**
+ * Find the recorded votes in extracted Record pages: roll-call number, chamber, tallies, the
+ * question put, how it was decided, and the bills the question or result cites.
+ */
+export function parseRollCallVotes( pages ) {
+    const { text, starts } = joinPages( pages );
+    const markers = Array.from( text.matchAll( ROLL_MARKER_REGEX ) );
+
+    return markers.map( ( marker, i ) => {
+        const blockStart = marker.index + marker[ 0 ].length;
+        const blockEnd = Math.min( markers[ i + 1 ]?.index ?? text.length, blockStart + LOOKAHEAD_CHARS );
+        const block = text.slice( blockStart, blockEnd );
+        const previousEnd = i > 0 ? markers[ i - 1 ].index + markers[ i - 1 ][ 0 ].length : 0;
+        const runIn = text.slice( Math.max( previousEnd, marker.index - RUN_IN_LOOKBACK_CHARS ), marker.index );
+
+        const question = findQuestion( text, marker.index, previousEnd );
+        const { result, outcome } = findOutcome( text, blockStart, blockEnd );
+        const page = pageAt( starts, marker.index );
+        const bills = uniqueBills( question, result );
+
+        return {
+            chamber: marker[ 1 ] === "Roll No." ? "House" : "Senate",
+            rollNumber: Number.parseInt( marker[ 2 ], 10 ),
+            business: marker[ 3 ] === "Ex" ? "executive" : marker[ 3 ] === "Leg" ? "legislative" : null,
+            question,
+            result,
+            outcome,
+            ...readTallies( block, runIn ),
+            bills,
+            billKey: bills[ 0 ]?.key ?? null,
+            pdfPage: page?.pdfPage ?? null,
+            recordPage: page?.recordPage ?? null
+        };
+    } );
+}
@@ -0,0 +1,95 @@
+import { SECTION_KEYS, sectionSummaryPath } from "./recordSections";
+
+const COLLECTION_NAME = "summaries";
+const MONTH_FACET_LIMIT = 36;
+
+const hasText = ( path ) => ( { $gt: [ { $strLenCP: { $ifNull: [ `$${ path }`, "" ] } }, 0 ] } );
+
+// One row per issue: documents the summarize pipeline created before ingest share an issue with
+// the ingested one, so their flags are merged rather than counted twice
+const issueStages = [
+    {
+        $project: {
+            volumeNumber: 1,
+            issueNumber: { $convert: { input: "$issueNumber", to: "int", onError: "$issueNumber", onNull: null } },
+            congress: { $convert: { input: "$congress", to: "int", onError: null, onNull: null } },
+            sessionNumber: { $convert: { input: "$sessionNumber", to: "int", onError: null, onNull: null } },
+            month: { $substrCP: [ { $ifNull: [ "$issueDate", "" ] }, 0, 7 ] },
+            ...Object.fromEntries( Object.keys( SECTION_KEYS ).map( ( section ) => [
+                `has_${ section }`,
+                { $or: [ { $gt: [ `$contents.issue.fullIssue.${ section }`, null ] }, hasText( sectionSummaryPath( section ) ) ] }
+            ] ) ),
+            summarized: { $or: Object.keys( SECTION_KEYS ).map( ( section ) => hasText( sectionSummaryPath( section ) ) ) },
+            stale: { $or: Object.keys( SECTION_KEYS ).map( ( section ) => ( { $eq: [ `$${ sectionSummaryPath( section, "summaryStale" ) }`, true ] } ) ) }
+        }
+    },
+    {
+        $group: {
+            _id: { volumeNumber: "$volumeNumber", issueNumber: "$issueNumber" },
+            volumeNumber: { $first: "$volumeNumber" },
+            congress: { $max: "$congress" },
+            sessionNumber: { $max: "$sessionNumber" },
+            month: { $max: "$month" },
+            ...Object.fromEntries( Object.keys( SECTION_KEYS ).map( ( section ) => [ `has_${ section }`, { $max: `$has_${ section }` } ] ) ),
+            summarized: { $max: "$summarized" },
+            stale: { $max: "$stale" }
+        }
+    }
+];
+
+const countBy = ( field, direction = -1 ) => [
+    { $match: { [ field ]: { $nin: [ null, "" ] } } },
+    { $group: { _id: `$${ field }`, count: { $sum: 1 } } },
+    { $sort: { _id: direction } }
+];
+
+/**
+ * Issue counts for everything matching `filter`, broken down by congress, session, volume,
+ * month, which sections congress.gov published, and summary status.
+ */
+export async function getSearchFacets( db, filter ) {
+    const [ facets ] = await db.collection( COLLECTION_NAME ).aggregate( [
+        { $match: filter },
+        ...issueStages,
+        {
+            $facet: {
+                total: [ { $count: "count" } ],
+                congress: countBy( "congress" ),
+                session: countBy( "sessionNumber" ),
+                volume: countBy( "volumeNumber" ),
+                month: [ ...countBy( "month" ), { $limit: MONTH_FACET_LIMIT } ],
+                flags: [
+                    {
+                        $group: {
+                            _id: null,
+                            ...Object.fromEntries( Object.keys( SECTION_KEYS ).map( ( section ) => [
+                                section,
+                                { $sum: { $cond: [ `$has_${ section }`, 1, 0 ] } }
+                            ] ) ),
+                            summarized: { $sum: { $cond: [ "$summarized", 1, 0 ] } },
+                            stale: { $sum: { $cond: [ "$stale", 1, 0 ] } }
+                        }
+                    }
+                ]
+            }
+        }
+    ] ).toArray();
+
+    const toCounts = ( rows ) => rows.map( ( row ) => ( { value: row._id, count: row.count } ) );
+    const total = facets.total[ 0 ]?.count ?? 0;
+    const flags = facets.flags[ 0 ] ?? {};
+
+    return {
+        total,
+        congress: toCounts( facets.congress ),
+        session: toCounts( facets.session ),
+        volume: toCounts( facets.volume ),
+        month: toCounts( facets.month ),
+        sections: Object.entries( SECTION_KEYS ).map( ( [ key, label ] ) => ( { value: key, label, count: flags[ key ] ?? 0 } ) ),
+        summaryStatus: [
+            { value: "summarized", label: "Summarized", count: flags.summarized ?? 0 },
+            { value: "stale", label: "Source updated", count: flags.stale ?? 0 },
+            { value: "unsummarized", label: "Not summarized", count: total - ( flags.summarized ?? 0 ) }
+        ]
+    };
+}
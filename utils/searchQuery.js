@@ -0,0 +1,56 @@
+import { parseBillNumber } from "./billCitations";
+
+// "exact phrase", -exclusion, -"excluded phrase", member:Schumer, member:"Van Hollen", bill:hr1234
+const TOKEN_REGEX = /(-?)(?:([A-Za-z]+):)?(?:"([^"]*)"?|(\S+))/g;
+const PREFIXES = [ "member", "bill" ];
+
+/**
+ * Split a search box query into free-text terms, quoted phrases, exclusions and field prefixes.
+ * A negated prefix such as `-member:Smith` excludes its value as text. Throws on a `bill:` value
+ * that is not a bill number.
+ */
+export const parseSearchQuery = ( query = "" ) => {
+    const parsed = { terms: [], phrases: [], exclusions: [], members: [], bills: [] };
+    if ( typeof query !== "string" ) return parsed;
+
+    for ( const match of query.matchAll( TOKEN_REGEX ) ) {
+        const [ , negated, rawPrefix, quoted, bare ] = match;
+        const prefix = rawPrefix?.toLowerCase();
+        const knownPrefix = PREFIXES.includes( prefix ) ? prefix : null;
+        // An unknown prefix stays part of the word, e.g. "title:IX"
+        const value = ( knownPrefix || !rawPrefix ? quoted ?? bare : `${ rawPrefix }:${ quoted ?? bare }` )?.trim();
+        if ( !value || !/\w/.test( value ) ) continue;
+
+        if ( negated ) {
+            parsed.exclusions.push( value );
+        } else if ( knownPrefix === "member" ) {
+            parsed.members.push( value );
+        } else if ( knownPrefix === "bill" ) {
+            const bill = parseBillNumber( value );
+            if ( !bill ) throw new Error( `Invalid bill number "${ value }"` );
+            parsed.bills.push( bill );
+        } else if ( quoted !== undefined ) {
+            parsed.phrases.push( value );
+        } else {
+            parsed.terms.push( value );
+        }
+    }
+
+    return parsed;
+};
+
+/**
+ * The words to rank by: phrases and terms, without exclusions or prefixes. Empty when the query
+ * only filters.
+ */
+export const getSearchText = ( parsed ) => [ ...parsed.phrases, ...parsed.terms ].join( " " ).trim();
+
+/**
+ * The query in MongoDB `$text` syntax, which matches any term, requires every phrase and drops
+ * documents containing an exclusion.
+ */
+export const toTextSearch = ( parsed ) => [
+    ...parsed.terms,
+    ...parsed.phrases.map( ( phrase ) => `"${ phrase }"` ),
+    ...parsed.exclusions.map( ( exclusion ) => /\s/.test( exclusion ) ? `-"${ exclusion }"` : `-${ exclusion }` )
+].join( " " );
@@ -0,0 +1,151 @@
+import axios from "axios";
+import { createHash } from "crypto";
+import { GridFSBucket } from "mongodb";
+import { ensureIndexes } from "./mongoIndexes";
+import { EXTRACTOR_VERSION, extractPdfPages } from "./pdfPages";
+import { stripApiKey, validatePdfUrl, withCongressApiKey } from "./pdfUrls";
+import { issueVariantsFilter } from "./recordSections";
+import { buildIssueDateRange } from "./speeches";
+
+const COLLECTION_NAME = "sectionTexts";
+const SUMMARIES_COLLECTION = "summaries";
+const PDF_BUCKET = "sectionPdfs";
+const INDEXES = [
+    { key: { volumeNumber: 1, issueNumber: 1 } },
+    { key: { "pages.text": "text" }, name: "sectionTexts_text", default_language: "english" }
+];
+
+const sectionTextId = ( { volumeNumber, issueNumber, section } ) =>
+    `${ Number( volumeNumber ) }-${ Number( issueNumber ) }:${ section }`;
+
+const sha256 = ( value ) => createHash( "sha256" ).update( value ).digest( "hex" );
+
+// Hash what downstream steps read, so a new PDF that extracts to the same text changes nothing
+const hashPages = ( pages ) => sha256( JSON.stringify( pages.map( ( { pdfPage, recordPage, text } ) => [ pdfPage, recordPage, text ] ) ) );
+
+const readPdf = async ( bucket, fileId ) => {
+    const chunks = [];
+    for await ( const chunk of bucket.openDownloadStream( fileId ) ) chunks.push( chunk );
+    return Buffer.concat( chunks );
+};
+
+const writePdf = ( bucket, filename, pdfBuffer, metadata ) => new Promise( ( resolve, reject ) => {
+    const upload = bucket.openUploadStream( filename, { metadata } );
+    upload.once( "error", reject );
+    upload.once( "finish", () => resolve( upload.id ) );
+    upload.end( pdfBuffer );
+} );
+
+/**
+ * The extracted pages of one issue section, from the store when they are current. The PDF is
+ * downloaded only when the section was never stored, its URL changed, or congress.gov updated
+ * the issue since; it is parsed again only when its bytes or the extractor changed.
+ * `textChanged` is true whenever the pages differ from what was stored before, and
+ * `indexedTextHash` is the text the deterministic indexes were last built from.
+ */
+export async function loadSectionText( db, { volumeNumber, issueNumber, section, pdfUrl: rawPdfUrl } ) {
+    const pdfUrl = stripApiKey( validatePdfUrl( rawPdfUrl ) );
+    await ensureIndexes( db, COLLECTION_NAME, INDEXES );
+    const collection = db.collection( COLLECTION_NAME );
+    const bucket = new GridFSBucket( db, { bucketName: PDF_BUCKET } );
+    const _id = sectionTextId( { volumeNumber, issueNumber, section } );
+
+    const [ stored, issue ] = await Promise.all( [
+        collection.findOne( { _id } ),
+        db.collection( SUMMARIES_COLLECTION ).findOne( issueVariantsFilter( { volumeNumber, issueNumber } ), { projection: { updateDate: 1, issueDate: 1 } } )
+    ] );
+    const sourceUpdateDate = issue?.updateDate ?? null;
+    const isCurrent = Boolean( stored && stored.pdfUrl === pdfUrl && stored.sourceUpdateDate === sourceUpdateDate );
+    if ( isCurrent && stored.extractorVersion === EXTRACTOR_VERSION ) {
+        return { pages: stored.pages, textHash: stored.textHash, pdfHash: stored.pdfHash, textChanged: false, indexedTextHash: stored.indexedTextHash ?? null };
+    }
+
+    let pdfBuffer;
+    if ( isCurrent ) {
+        console.log( `📦 Re-extracting stored PDF for ${ _id }` );
+        pdfBuffer = await readPdf( bucket, stored.pdfFileId );
+    } else {
+        console.log( `⬇️ Downloading PDF for ${ _id }` );
+        const pdfResponse = await axios.get( withCongressApiKey( pdfUrl ), { responseType: "arraybuffer", maxRedirects: 0 } );
+        pdfBuffer = Buffer.from( pdfResponse.data );
+    }
+
+    const pdfHash = sha256( pdfBuffer );
+    const reuseText = stored && stored.pdfHash === pdfHash && stored.extractorVersion === EXTRACTOR_VERSION;
+    const pages = reuseText ? stored.pages : await extractPdfPages( pdfBuffer );
+    const textHash = reuseText ? stored.textHash : hashPages( pages );
+
+    let pdfFileId = stored?.pdfFileId ?? null;
+    if ( !stored || stored.pdfHash !== pdfHash ) {
+        pdfFileId = await writePdf( bucket, `${ _id }.pdf`, pdfBuffer, { volumeNumber: Number( volumeNumber ), issueNumber: Number( issueNumber ), section, pdfHash } );
+    }
+
+    await collection.updateOne(
+        { _id },
+        {
+            $set: {
+                volumeNumber: Number( volumeNumber ),
+                issueNumber: Number( issueNumber ),
+                section,
+                issueDate: issue?.issueDate ?? null,
+                pdfUrl,
+                pdfFileId,
+                pdfHash,
+                byteLength: pdfBuffer.length,
+                pages,
+                pageCount: pages.length,
+                textHash,
+                extractorVersion: EXTRACTOR_VERSION,
+                sourceUpdateDate,
+                storedAt: new Date()
+            }
+        },
+        { upsert: true }
+    );
+    // Drop the replaced PDF only once nothing points at it
+    if ( stored?.pdfFileId && !stored.pdfFileId.equals( pdfFileId ) ) {
+        await bucket.delete( stored.pdfFileId ).catch( ( error ) => {
+            console.error( `❌ Failed to delete replaced PDF for ${ _id }:`, error.message );
+        } );
+    }
+
+    return { pages, textHash, pdfHash, textChanged: stored?.textHash !== textHash, indexedTextHash: stored?.indexedTextHash ?? null };
+}
+
+/**
+ * Record that the deterministic indexes were rebuilt from this version of a section's text.
+ */
+export async function markSectionTextIndexed( db, issue, textHash ) {
+    await db.collection( COLLECTION_NAME ).updateOne( { _id: sectionTextId( issue ) }, { $set: { indexedTextHash: textHash } } );
+}
+
+/**
+ * The sections of an issue that have stored text, with the URL each was downloaded from.
+ */
+export async function findStoredSections( db, { volumeNumber, issueNumber } ) {
+    return db.collection( COLLECTION_NAME )
+        .find( { volumeNumber: Number( volumeNumber ), issueNumber: Number( issueNumber ) }, { projection: { section: 1, pdfUrl: 1 } } )
+        .toArray();
+}
+
+/**
+ * Issues whose extracted page text matches a MongoDB `$text` search, best first, scored by their
+ * best-matching section. Text stored before issue dates were recorded alongside it passes the
+ * date range here; callers filter those against the issue itself.
+ */
+export async function findIssuesBySectionText( db, search, { startDate = null, endDate = null, limit = 200 } = {} ) {
+    await ensureIndexes( db, COLLECTION_NAME, INDEXES );
+    const match = { $text: { $search: search } };
+    if ( startDate || endDate ) {
+        match.$or = [ { issueDate: buildIssueDateRange( startDate, endDate ) }, { issueDate: null } ];
+    }
+
+    const issues = await db.collection( COLLECTION_NAME ).aggregate( [
+        { $match: match },
+        { $group: { _id: { volumeNumber: "$volumeNumber", issueNumber: "$issueNumber" }, score: { $max: { $meta: "textScore" } } } },
+        { $sort: { score: -1 } },
+        { $limit: limit }
+    ] ).toArray();
+
+    return issues.map( ( issue ) => ( { ...issue._id, score: issue.score } ) );
+}
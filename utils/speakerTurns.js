@@ -0,0 +1,113 @@
+import { isHeading } from "./recordChunks";
+
+// Surnames are printed in capitals except for a mixed-case prefix: "McCONNELL", "DeLAURO", "LaHOOD"
+const SURNAME_WORD = String.raw`(?:Mac|Mc|Del|Des|De|Di|Du|La|Le|Van|Von)?\p{Lu}[\p{Lu}'’-]+`;
+// "Mr. SMITH. Mr. Speaker, I rise…", "Ms. SÁNCHEZ of California. …", "Mr. VAN HOLLEN. …"
+const MEMBER_TAG_REGEX = new RegExp( String.raw`^(Mr\.|Mrs\.|Ms\.|Miss) (${ SURNAME_WORD }(?: ${ SURNAME_WORD })*)(?: of (\p{Lu}\p{Ll}+(?: \p{Lu}\p{Ll}+)*))?\.(?:\s+(.*))?$`, "u" );
+// "The SPEAKER pro tempore (Mr. Smith). …", "The PRESIDING OFFICER. …", "The ACTING PRESIDENT pro tempore. …"
+const PRESIDING_TAG_REGEX = /^(The (?:Acting )?(?:SPEAKER|CHAIR|CHAIRMAN|CHAIRWOMAN|PRESIDING OFFICER|(?:ACTING |VICE )?PRESIDENT)(?: pro tempore)?)(?: \([^)]*\))?\.(?:\s+(.*))?$/;
+// Running heads repeated on every page: "CONGRESSIONAL RECORD — HOUSE", a bare "H1234", "June 5, 2024"
+const RUNNING_HEAD_REGEX = /CONGRESSIONAL RECORD|^[HSED]\d{1,5}$|^(January|February|March|April|May|June|July|August|September|October|November|December) \d{1,2}, \d{4}$/;
+
+const CHAMBER_BY_PAGE_PREFIX = { H: "House", E: "House", S: "Senate" };
+const CHAMBER_BY_SECTION = { houseSection: "House", extensionsSection: "House", senateSection: "Senate" };
+
+const parseSpeakerTag = ( line ) => {
+    const member = line.match( MEMBER_TAG_REGEX );
+    if ( member ) {
+        const [ , title, surname, stateName = null, rest = "" ] = member;
+        return {
+            speaker: `${ title } ${ surname }${ stateName ? ` of ${ stateName }` : "" }`,
+            title,
+            surname,
+            stateName,
+            presiding: false,
+            rest
+        };
+    }
+
+    const presiding = line.match( PRESIDING_TAG_REGEX );
+    if ( presiding ) {
+        return { speaker: presiding[ 1 ], title: null, surname: null, stateName: null, presiding: true, rest: presiding[ 2 ] ?? "" };
+    }
+
+    return null;
+};
+
+/**
+ * The distinct members who take the floor in a stretch of text, as printed: `{ speaker, surname, stateName }`.
+ */
+export const findSpeakerTags = ( text ) => {
+    const speakers = new Map();
+    for ( const line of text.split( "\n" ) ) {
+        const tag = parseSpeakerTag( line.trim() );
+        if ( tag && !tag.presiding && !speakers.has( tag.speaker ) ) {
+            speakers.set( tag.speaker, { speaker: tag.speaker, surname: tag.surname, stateName: tag.stateName } );
+        }
+    }
+    return Array.from( speakers.values() );
+};
+
+export const toChamber = ( recordPage, section ) =>
+    CHAMBER_BY_PAGE_PREFIX[ recordPage?.[ 0 ] ] ?? CHAMBER_BY_SECTION[ section ] ?? null;
+
+/**
+ * Split extracted Record pages into speaker turns. A turn runs from one speaker tag
+ * ("Mr. SMITH.", "The PRESIDING OFFICER.") to the next tag or article heading, and keeps the
+ * heading it falls under and the PDF and Record pages it spans.
+ */
+export function segmentSpeakerTurns( pages, { section = null } = {} ) {
+    const turns = [];
+    let current = null;
+    let heading = null;
+
+    const closeTurn = () => {
+        if ( current && current.lines.length > 0 ) {
+            const { lines, ...turn } = current;
+            const text = lines.join( "\n" );
+            turns.push( { ...turn, turnIndex: turns.length, text, wordCount: text.split( /\s+/ ).filter( Boolean ).length } );
+        }
+        current = null;
+    };
+
+    for ( const page of pages ) {
+        const recordPage = page.recordPage ?? null;
+
+        for ( const rawLine of page.text.split( "\n" ) ) {
+            const line = rawLine.trim();
+            if ( !line || RUNNING_HEAD_REGEX.test( line ) ) continue;
+
+            if ( isHeading( line ) ) {
+                closeTurn();
+                heading = line;
+                continue;
+            }
+
+            const tag = parseSpeakerTag( line );
+            if ( tag ) {
+                closeTurn();
+                const { rest, ...speaker } = tag;
+                current = {
+                    ...speaker,
+                    chamber: toChamber( recordPage, section ),
+                    heading,
+                    pdfPageStart: page.pdfPage,
+                    pdfPageEnd: page.pdfPage,
+                    recordPageStart: recordPage,
+                    recordPageEnd: recordPage,
+                    lines: rest ? [ rest ] : []
+                };
+                continue;
+            }
+
+            if ( current ) {
+                current.lines.push( line );
+                current.pdfPageEnd = page.pdfPage;
+                current.recordPageEnd = recordPage ?? current.recordPageEnd;
+            }
+        }
+    }
+
+    closeTurn();
+    return turns;
+}
@@ -0,0 +1,120 @@
+import { ensureIndexes } from "./mongoIndexes";
+import { resolveMember } from "./memberRoster";
+import { segmentSpeakerTurns } from "./speakerTurns";
+
+const COLLECTION_NAME = "speeches";
+const INDEXES = [
+    { key: { surname: 1, issueDate: -1 } },
+    { key: { bioguideId: 1, issueDate: -1 } },
+    { key: { volumeNumber: 1, issueNumber: 1, section: 1 } },
+    { key: { text: "text" }, name: "speeches_text", default_language: "english" }
+];
+
+const escapeRegex = ( value ) => value.replace( /[.*+?^${}()|[\]\\]/g, "\\$&" );
+
+// Party and state come from the member roster, never from the text or the model
+const attributeTurn = ( turn, roster, date ) => {
+    const member = turn.presiding
+        ? null
+        : resolveMember( roster, { surname: turn.surname, stateName: turn.stateName, chamber: turn.chamber, date } );
+    return {
+        ...turn,
+        bioguideId: member?.bioguideId ?? null,
+        memberName: member?.name ?? null,
+        party: member?.party ?? null,
+        state: member?.state ?? null
+    };
+};
+
+/**
+ * Replace the speaker turns stored for one issue section with those segmented from its pages.
+ */
+export async function indexSpeeches( db, { issueNumber, volumeNumber, congress, issueDate, section, pdfUrl, roster }, pages ) {
+    await ensureIndexes( db, COLLECTION_NAME, INDEXES );
+    const collection = db.collection( COLLECTION_NAME );
+
+    const indexedAt = new Date();
+    const speeches = segmentSpeakerTurns( pages, { section } ).map( ( turn ) => ( {
+        ...attributeTurn( turn, roster, issueDate ),
+        congress,
+        volumeNumber,
+        issueNumber,
+        issueDate,
+        section,
+        pdfUrl,
+        indexedAt
+    } ) );
+
+    await collection.deleteMany( { volumeNumber, issueNumber, section } );
+    if ( speeches.length > 0 ) {
+        await collection.insertMany( speeches );
+    }
+
+    return speeches.length;
+}
+
+// A turn indexed through both the whole issue and its chamber section is the same speech
+const speechKey = ( speech ) =>
+    `${ speech.volumeNumber }-${ speech.issueNumber }|${ speech.recordPageStart ?? speech.pdfPageStart }|${ speech.speaker }|${ speech.text.slice( 0, 80 ) }`;
+
+// issueDate is stored with a time of day, so the end date has to reach the end of that day
+export const buildIssueDateRange = ( startDate, endDate ) => {
+    const range = {};
+    if ( startDate ) range.$gte = startDate;
+    if ( endDate ) range.$lte = `${ endDate }T23:59:59Z`;
+    return range;
+};
+
+/**
+ * Everything a member said, newest first. `speaker` matches the whole printed surname ("Smith"
+ * finds "Mr. SMITH", "Mr. SMITH of Texas" and "Mr. ADAM SMITH", not "Mr. SMITHSON"); `query`
+ * narrows to turns containing the phrase.
+ */
+export async function searchSpeeches( db, { speaker, query = "", startDate = null, endDate = null, chamber = null, party = null, state = null, limit = 200 } ) {
+    await ensureIndexes( db, COLLECTION_NAME, INDEXES );
+    const filter = {
+        presiding: false,
+        // Members who share a surname are printed with their first name before it
+        surname: { $regex: `^(?:\\S+ )*${ escapeRegex( speaker.trim().replace( /\s+/g, " " ).toUpperCase() ) }$`, $options: "i" }
+    };
+    if ( startDate || endDate ) filter.issueDate = buildIssueDateRange( startDate, endDate );
+    if ( chamber ) filter.chamber = chamber;
+    if ( party ) filter.party = party;
+    if ( state ) filter.state = state;
+    if ( query.trim() ) filter.text = { $regex: escapeRegex( query.trim() ), $options: "i" };
+
+    const speeches = await db.collection( COLLECTION_NAME )
+        .find( filter, { projection: { indexedAt: 0 } } )
+        .sort( { issueDate: -1, volumeNumber: -1, issueNumber: -1, turnIndex: 1 } )
+        .limit( limit * 2 )
+        .toArray();
+
+    const seen = new Set();
+    return speeches
+        .filter( ( speech ) => {
+            const key = speechKey( speech );
+            if ( seen.has( key ) ) return false;
+            seen.add( key );
+            return true;
+        } )
+        .slice( 0, limit );
+}
+
+/**
+ * Issues whose spoken text matches a MongoDB `$text` search, best first, scored by their
+ * best-matching speech. This is the extracted-text side of issue search.
+ */
+export async function findIssuesBySpeechText( db, search, { startDate = null, endDate = null, limit = 200 } = {} ) {
+    await ensureIndexes( db, COLLECTION_NAME, INDEXES );
+    const match = { $text: { $search: search } };
+    if ( startDate || endDate ) match.issueDate = buildIssueDateRange( startDate, endDate );
+
+    const issues = await db.collection( COLLECTION_NAME ).aggregate( [
+        { $match: match },
+        { $group: { _id: { volumeNumber: "$volumeNumber", issueNumber: "$issueNumber" }, score: { $max: { $meta: "textScore" } } } },
+        { $sort: { score: -1 } },
+        { $limit: limit }
+    ] ).toArray();
+
+    return issues.map( ( issue ) => ( { ...issue._id, score: issue.score } ) );
+}
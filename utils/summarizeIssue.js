@@ -0,0 +1,452 @@
+import { getLlmProvider, TRUNCATED } from "./llmProviders";
+import { chunkRecordPages, DEFAULT_MAX_TOKENS, estimateTokens } from "./recordChunks";
+import { mapWithConcurrency } from "./concurrency";
+import { createEmbedding, embeddingFields, hasCurrentEmbedding, sectionEmbeddingFields } from "./embeddings";
+import { buildPageMap, extractCitations } from "./citations";
+import { getIssueContext, indexIssueText } from "./issueTextIndexes";
+import { formatMemberAttribution, resolveMember } from "./memberRoster";
+import { attributeSpeakers, EXTRACTION_PROMPT, EXTRACTION_SCHEMA, mergeExtractions, parseExtraction } from "./recordExtraction";
+import { findSpeakerTags, toChamber } from "./speakerTurns";
+import { DEFAULT_SECTION, chunkSectionFilter, getSectionSummary, isSectionKey, issueVariantsFilter, sectionSummaryPath } from "./recordSections";
+import { pruneChunkVectors, upsertChunkVector, upsertSummaryVector } from "./vectorIndex";
+import { stripApiKey, validatePdfUrl } from "./pdfUrls";
+import { loadSectionText, markSectionTextIndexed } from "./sectionTexts";
+
+const COLLECTION_NAME = "summaries";
+const CHUNK_COLLECTION = "chunkSummaries";
+
+const SUMMARY_SYSTEM_PROMPT = `
+                Return your response in Markdown.
+                You are an expert political analyst tasked with summarizing a section of the official U.S. Congressional Record.
+                Your goal is to create an accurate, readable summary that makes complex legislative discussions easy to follow while preserving factual detail.
+                Summarize the entire contents of the provided text, including full remarks made by each speaker.
+                Use clear transitions between topics or speakers, with a bolded header title for each new section.
+                After each member's name, append their party and state exactly as given in the member list that accompanies the text, e.g. (D-NY) or (I-VT).
+                Never supply a party or state from memory; a speaker who is not on that list gets their name alone.
+                
+                ## Formatting Instructions:
+                    # Write in paragraphs of 5 to 7 sentences each.
+                    # Separate each paragraph with a line break:
+                
+                        "\[{Section 1}\]"
+                
+                        \n
+                
+                        "\[{Section 2}\]
+                
+                        \n
+                
+                        "\[{Section 3}\]
+                
+                        ...
+                
+                    followed after each paragraph for visual clarity and to make it easier to read.
+                
+                ## Be sure to: 
+                    # Identify and name each speaker when they begin speaking.
+                    # Capture and explain the key arguments, themes, and rhetorical points made by each speaker, preserving the intent and tone of their statements.
+                    # Do not omit or paraphrase away the core content of any speech; always summarize completely and clearly.
+                    # Cite your sources for each summary section/point/topic/analysis.
+                    # The text marks the start of every page with a marker such as [[Page H1234]]. Cite the page(s) each point comes from in square brackets using that page identifier, e.g. [H1234] or [S567, S568].
+                    # Only cite page identifiers that appear in the provided text.
+
+                ## If any bills, resolutions, or motions are introduced or passed, be sure to: 
+                    # Clearly name the bill/resolution.
+                    # Describe its contents and intended effects in plain language.
+                    # Explain the implications of the bill, especially if debated.
+
+                ## If any controversial statements, debates, or points of tension arise, highlight:
+                    # Who said what, the context and significance of the remarks, any possible public or political impact of the bill.
+                
+                ## Formatting Instructions:
+                    # Write in paragraphs of 5 to 7 sentences each.
+                    
+                    `;
+
+const EXECUTIVE_SUMMARY_PROMPT = `
+Return your response in Markdown.
+You are an expert political analyst writing the executive overview of one day of the U.S. Congressional Record.
+You are given detailed summaries of consecutive parts of the day's proceedings.
+Write a short overview that a busy staffer can read in two minutes, with these bolded sections:
+**Top debates**: the most significant debates, who led each side, and what was at stake.
+**Bills acted on**: each bill, resolution, or motion that was introduced, debated, passed, or failed, with its number and outcome.
+**Notable floor moments**: memorable exchanges, procedural surprises, or statements likely to draw attention.
+Use short bullet points. Do not invent facts that are not in the summaries.
+Keep the page citations from the summaries, e.g. [H1234], on the points they support.
+`;
+
+const SUMMARY_CONCURRENCY = Math.max( 1, Number.parseInt( process.env.SUMMARY_CONCURRENCY ?? "", 10 ) || 3 );
+const TRAILING_EMPTY_SECTION_REGEX = /(\s*\[\{Section\s*\d+\}\]\s*)+$/i;
+
+const parsePositiveInt = ( value, label ) => {
+    let numberValue;
+
+    if ( typeof value === "number" ) {
+        numberValue = value;
+    } else if ( typeof value === "string" ) {
+        const trimmed = value.trim();
+        if ( !/^\d+$/.test( trimmed ) ) {
+            throw new Error( `Invalid ${ label }` );
+        }
+        numberValue = Number.parseInt( trimmed, 10 );
+    } else {
+        throw new Error( `Invalid ${ label }` );
+    }
+
+    if ( !Number.isSafeInteger( numberValue ) || numberValue <= 0 ) {
+        throw new Error( `Invalid ${ label }` );
+    }
+    return numberValue;
+};
+
+// The overlap repeats the end of the previous chunk so speeches keep their context; keep the model
+// from summarizing those lines twice
+const formatChunkInput = ( chunk, memberList = "" ) => {
+    const body = memberList ? `${ memberList }\n\n---\n\n${ chunk.bodyText }` : chunk.bodyText;
+    if ( !chunk.overlapText ) return body;
+    return `Context from the previous part (already summarized, do not summarize it again):\n${ chunk.overlapText }\n\n---\n\n${ body }`;
+};
+
+// Party and state for each member who speaks in the chunk, from the roster rather than the model's memory
+const buildMemberList = ( chunk, { roster, issueDate, section } ) => {
+    if ( !roster ) return "";
+
+    const chamber = toChamber( chunk.recordPageStart, section );
+    const lines = findSpeakerTags( chunk.text ).flatMap( ( tag ) => {
+        const member = resolveMember( roster, { surname: tag.surname, stateName: tag.stateName, chamber, date: issueDate } );
+        return member ? [ `- ${ tag.speaker }: ${ formatMemberAttribution( member ) }` ] : [];
+    } );
+
+    return lines.length > 0 ? `Members speaking in this part:\n${ lines.join( "\n" ) }` : "";
+};
+
+const buildSummaryInput = ( chunk ) => ( [
+    { role: "user", content: chunk }
+] );
+
+const stripTrailingEmptySections = ( text ) => {
+    if ( !text ) return text;
+    return text.replace( TRAILING_EMPTY_SECTION_REGEX, "" ).trimEnd();
+};
+
+async function summarizeChunk( chunk, chunkIndex ) {
+    let combined = "";
+    let attempt = 0;
+    let finishReason = null;
+    let previousLength = 0;
+    let stagnantCount = 0;
+
+    const llm = getLlmProvider();
+    const input = buildSummaryInput( chunk );
+    while ( attempt === 0 || finishReason === TRUNCATED ) {
+        const response = attempt === 0
+            ? await llm.summarize( { instructions: SUMMARY_SYSTEM_PROMPT, input } )
+            : await llm.continue( { instructions: SUMMARY_SYSTEM_PROMPT, input, partial: combined } );
+
+        const content = response.text || "";
+        finishReason = response.incompleteReason;
+
+        if ( content.trim() ) {
+            combined = combined ? `${ combined }\n\n${ content }` : content;
+        } else {
+            break;
+        }
+
+        if ( finishReason !== TRUNCATED ) {
+            break;
+        }
+
+        if ( combined.length === previousLength ) {
+            stagnantCount += 1;
+        } else {
+            stagnantCount = 0;
+        }
+        previousLength = combined.length;
+
+        if ( stagnantCount >= 2 ) {
+            console.warn( `âš ï¸ Chunk ${ chunkIndex } continuation stalled.` );
+            break;
+        }
+
+        attempt += 1;
+    }
+
+    if ( combined && TRAILING_EMPTY_SECTION_REGEX.test( combined ) ) {
+        const response = await llm.continue( { instructions: SUMMARY_SYSTEM_PROMPT, input, partial: combined } );
+
+        const content = response.text || "";
+        if ( content.trim() ) {
+            combined = combined ? `${ combined }\n\n${ content }` : content;
+        }
+    }
+
+    return { index: chunkIndex, content: stripTrailingEmptySections( combined ) };
+}
+
+// Group summaries into batches that fit one reduce call, keeping their order
+const batchByTokens = ( texts, maxTokens ) => {
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for ( const text of texts ) {
+        const tokens = estimateTokens( text );
+        if ( current.length > 0 && currentTokens + tokens > maxTokens ) {
+            batches.push( current );
+            current = [];
+            currentTokens = 0;
+        }
+        current.push( text );
+        currentTokens += tokens;
+    }
+
+    if ( current.length > 0 ) batches.push( current );
+    return batches;
+};
+
+const createOverview = async ( texts ) => {
+    const response = await getLlmProvider().summarize( {
+        instructions: EXECUTIVE_SUMMARY_PROMPT,
+        input: [
+            { role: "user", content: texts.map( ( text, i ) => `## Part ${ i + 1 }\n\n${ text }` ).join( "\n\n" ) }
+        ]
+    } );
+
+    return stripTrailingEmptySections( response.text || "" );
+};
+
+/**
+ * Reduce chunk summaries to one executive overview. When they do not fit a single call, batches
+ * are reduced to intermediate overviews first, level by level, until one call can take them all.
+ */
+async function reduceSummaries( summaries ) {
+    let texts = summaries.filter( ( text ) => text?.trim() );
+    if ( texts.length === 0 ) return "";
+
+    let batches = batchByTokens( texts, DEFAULT_MAX_TOKENS );
+    while ( batches.length > 1 ) {
+        console.log( `🧩 Reducing ${ texts.length } summaries in ${ batches.length } batches` );
+        texts = await mapWithConcurrency( batches, SUMMARY_CONCURRENCY, createOverview );
+
+        const nextBatches = batchByTokens( texts, DEFAULT_MAX_TOKENS );
+        // Overviews that no longer shrink would loop forever; take the oversized final call instead
+        if ( nextBatches.length >= batches.length ) break;
+        batches = nextBatches;
+    }
+
+    return createOverview( texts );
+}
+
+/**
+ * Second pass over a chunk's source text: speakers, bills, votes and topics as schema-validated
+ * JSON. Returns null when the model's answer does not validate, so the chunk is retried next run.
+ */
+async function extractChunk( chunk, chunkIndex ) {
+    const response = await getLlmProvider().summarize( {
+        instructions: EXTRACTION_PROMPT,
+        input: [ { role: "user", content: chunk.bodyText } ],
+        temperature: 0,
+        format: { type: "json_schema", name: "record_extraction", schema: EXTRACTION_SCHEMA, strict: true }
+    } );
+
+    const extraction = parseExtraction( response.text );
+    if ( !extraction ) {
+        console.warn( `⚠️ Chunk ${ chunkIndex } extraction did not match the schema` );
+    }
+    return extraction;
+}
+
+/**
+ * Validate the fields a summarize request needs. Throws with a client-safe message.
+ */
+export const parseSummaryRequest = ( body = {} ) => {
+    const { pdfUrl, issueNumber, volumeNumber, issueDate, section = DEFAULT_SECTION, refresh } = body;
+    if ( !pdfUrl || !issueNumber || !volumeNumber ) {
+        throw new Error( "Missing PDF URL, Issue Number, or Volume Number" );
+    }
+    if ( !isSectionKey( section ) ) {
+        throw new Error( "Invalid section" );
+    }
+
+    return {
+        issueNumber: parsePositiveInt( issueNumber, "issue number" ),
+        volumeNumber: parsePositiveInt( volumeNumber, "volume number" ),
+        section,
+        pdfUrl: stripApiKey( validatePdfUrl( pdfUrl ) ),
+        issueDate:
+            typeof issueDate === "string" && issueDate.trim().length > 0 && issueDate.trim().length <= 32
+                ? issueDate.trim()
+                : null,
+        refresh: refresh === true
+    };
+};
+
+/**
+ * Return the stored summary for an issue section, or null when it has to be (re)generated.
+ * A stale summary is still served until the reader explicitly asks for a refresh.
+ */
+export async function getCachedSummary( db, { issueNumber, volumeNumber, section = DEFAULT_SECTION, refresh = false } ) {
+    const existingRecord = await db.collection( COLLECTION_NAME ).findOne( {
+        ...issueVariantsFilter( { issueNumber, volumeNumber } ),
+        [ sectionSummaryPath( section ) ]: { $exists: true, $ne: "" }
+    } );
+    const existingSummary = getSectionSummary( existingRecord, section );
+    const isStale = Boolean( existingSummary?.summaryStale );
+    if ( !existingSummary?.summary || ( refresh && isStale ) ) {
+        return null;
+    }
+
+    return {
+        section,
+        summary: stripTrailingEmptySections( existingSummary.summary ),
+        executiveSummary: existingSummary.executiveSummary ?? null,
+        extraction: existingSummary.extraction ?? null,
+        citations: existingSummary.citations ?? [],
+        pdfUrl: existingSummary.pdfUrl ?? null,
+        stale: isStale,
+        sourceUpdatedAt: existingRecord.sourceUpdatedAt ?? null
+    };
+}
+
+/**
+ * Chunk and summarize one issue section, then store the combined summary and its embedding.
+ * The section's text comes from the extracted-text store, which downloads the PDF only when it
+ * changed. Finished chunks are cached in `chunkSummaries`, so a rerun after a failure resumes
+ * from the first chunk without a fresh summary. `onStart` and `onChunk` report progress to the caller.
+ */
+export async function summarizeIssue( db, { issueNumber, volumeNumber, section = DEFAULT_SECTION, pdfUrl, issueDate }, { onStart, onChunk } = {} ) {
+    const collection = db.collection( COLLECTION_NAME );
+    const chunkCollection = db.collection( CHUNK_COLLECTION );
+
+    const { pages, textHash, indexedTextHash } = await loadSectionText( db, { issueNumber, volumeNumber, section, pdfUrl } );
+    const issueContext = await getIssueContext( db, { issueNumber, volumeNumber, section, pdfUrl, issueDate } );
+    // The text indexes only need rebuilding when the text behind them changed
+    if ( indexedTextHash !== textHash ) {
+        const { complete } = await indexIssueText( db, issueContext, pages );
+        if ( complete ) await markSectionTextIndexed( db, { issueNumber, volumeNumber, section }, textHash );
+    }
+    const chunks = chunkRecordPages( pages );
+
+    await onStart?.( { totalChunks: chunks.length } );
+
+    const chunkSummaries = [];
+    const chunkExtractions = [];
+    const chunkEmbeddings = [];
+
+    await mapWithConcurrency( chunks, SUMMARY_CONCURRENCY, async ( chunk, i ) => {
+        const chunkFilter = { issueNumber, volumeNumber, ...chunkSectionFilter( section ), chunkIndex: i };
+
+        // Cached summary
+        const cachedChunk = await chunkCollection.findOne( chunkFilter );
+        // A cached chunk only counts when it was cut from exactly the same text
+        const cached = Boolean( cachedChunk?.summary && !cachedChunk.stale && cachedChunk.chunkHash === chunk.hash );
+        let summaryText;
+        let extraction = cached ? cachedChunk.extraction ?? null : null;
+        let embedding = cached && hasCurrentEmbedding( cachedChunk, "embedding" ) ? cachedChunk.embedding : null;
+        if ( cached ) {
+            console.log( `âš¡ Using cached chunk ${ i }` );
+            summaryText = stripTrailingEmptySections( cachedChunk.summary );
+            // Chunks cached before the extraction pass only need that pass
+            if ( !extraction ) {
+                extraction = await extractChunk( chunk, i );
+                if ( extraction ) {
+                    await chunkCollection.updateOne( chunkFilter, { $set: { extraction } } );
+                }
+            }
+            // Chunks cached before passage search, or embedded with another model, only need their embedding
+            if ( !embedding ) {
+                embedding = await createEmbedding( summaryText );
+                if ( embedding ) {
+                    await chunkCollection.updateOne( chunkFilter, { $set: embeddingFields( "embedding", embedding ) } );
+                }
+            }
+        } else {
+            console.log( `âœï¸ Summarizing ${ section } chunk ${ i + 1 } / ${ chunks.length }` );
+            const result = await summarizeChunk( formatChunkInput( chunk, buildMemberList( chunk, issueContext ) ), i );
+            summaryText = result.content;
+            extraction = await extractChunk( chunk, i );
+            embedding = await createEmbedding( summaryText );
+
+            await chunkCollection.updateOne(
+                chunkFilter,
+                {
+                    $set: {
+                        issueNumber,
+                        volumeNumber,
+                        section,
+                        chunkIndex: i,
+                        chunkHash: chunk.hash,
+                        pdfPageStart: chunk.pdfPageStart,
+                        pdfPageEnd: chunk.pdfPageEnd,
+                        recordPageStart: chunk.recordPageStart,
+                        recordPageEnd: chunk.recordPageEnd,
+                        summary: summaryText,
+                        extraction,
+                        ...( embedding ? embeddingFields( "embedding", embedding ) : { embedding: null } ),
+                        stale: false
+                    }
+                },
+                { upsert: true }
+            );
+        }
+
+        chunkSummaries.push( { index: i, content: summaryText } );
+        chunkExtractions[ i ] = extraction;
+        chunkEmbeddings[ i ] = embedding;
+        await onChunk?.( { index: i, content: summaryText, cached, completed: chunkSummaries.length, totalChunks: chunks.length } );
+    } );
+
+    // Assemble full summary
+    chunkSummaries.sort( ( a, b ) => a.index - b.index );
+    const fullSummary = stripTrailingEmptySections(
+        chunkSummaries.map( ( c ) => c.content ).join( "\n\n" )
+    );
+
+    const executiveSummary = await reduceSummaries( chunkSummaries.map( ( c ) => c.content ) );
+    const citations = extractCitations( `${ executiveSummary }\n\n${ fullSummary }`, buildPageMap( pages ) );
+    const extraction = attributeSpeakers( mergeExtractions( chunkExtractions ), issueContext.roster, { date: issueContext.issueDate } );
+    const summaryEmbedding = await createEmbedding( fullSummary );
+    const summaryUpdate = {
+        [ sectionSummaryPath( section, "pdfUrl" ) ]: pdfUrl,
+        [ sectionSummaryPath( section, "summary" ) ]: fullSummary,
+        [ sectionSummaryPath( section, "executiveSummary" ) ]: executiveSummary,
+        [ sectionSummaryPath( section, "citations" ) ]: citations,
+        [ sectionSummaryPath( section, "extraction" ) ]: extraction,
+        [ sectionSummaryPath( section, "summaryStale" ) ]: false
+    };
+    if ( section !== DEFAULT_SECTION ) {
+        summaryUpdate[ sectionSummaryPath( section, "updatedAt" ) ] = new Date();
+    }
+    // Whichever section was summarized last; search can sort by it
+    summaryUpdate.summarizedAt = new Date();
+    if ( issueDate ) {
+        summaryUpdate.issueDate = issueDate;
+    }
+    if ( summaryEmbedding ) {
+        Object.assign( summaryUpdate, sectionEmbeddingFields( section, summaryEmbedding ) );
+    }
+
+    // Write onto the ingested issue document when there is one, whichever issueNumber type it uses
+    await collection.updateOne(
+        issueVariantsFilter( { issueNumber, volumeNumber } ),
+        { $set: summaryUpdate, $setOnInsert: { issueNumber } },
+        { upsert: true }
+    );
+    try {
+        const vectorIssue = { issueNumber, volumeNumber, section, issueDate: issueContext.issueDate };
+        if ( summaryEmbedding ) {
+            await upsertSummaryVector( db, vectorIssue, summaryEmbedding );
+        }
+        for ( const [ i, chunk ] of chunks.entries() ) {
+            if ( chunkEmbeddings[ i ] ) {
+                await upsertChunkVector( db, vectorIssue, { ...chunk, chunkIndex: i }, chunkEmbeddings[ i ] );
+            }
+        }
+        await pruneChunkVectors( db, vectorIssue, chunks.length );
+    } catch ( error ) {
+        // The backfill picks up any summary or chunk left out of the vector index
+        console.error( "❌ Failed to index summary embeddings:", error.message );
+    }
+
+    return { summary: fullSummary, executiveSummary, extraction, citations, totalChunks: chunks.length };
+}
@@ -0,0 +1,193 @@
+import { ObjectId } from "mongodb";
+import { summarizeIssue } from "./summarizeIssue";
+import { DEFAULT_SECTION } from "./recordSections";
+import { ensureIndexes } from "./mongoIndexes";
+
+const JOB_COLLECTION = "summaryJobs";
+const ACTIVE_STATUSES = [ "queued", "running" ];
+const INDEXES = [
+    // At most one active job per issue section, however many requests enqueue it at once
+    {
+        key: { volumeNumber: 1, issueNumber: 1, section: 1 },
+        name: "summaryJobs_active_section",
+        unique: true,
+        partialFilterExpression: { status: { $in: ACTIVE_STATUSES } }
+    }
+];
+const DUPLICATE_KEY_ERROR = 11000;
+// A running job refreshes its lease after every chunk; one that stops doing so is treated as crashed
+const LEASE_MS = 3 * 60 * 1000;
+// Counts runs that threw; a lease that lapsed (say, a serverless function frozen after its response)
+// resumes from the cached chunks without using one up
+const MAX_ATTEMPTS = 3;
+
+const leaseExpiry = () => new Date( Date.now() + LEASE_MS );
+
+export const toJobId = ( value ) => {
+    if ( value instanceof ObjectId ) return value;
+    if ( typeof value !== "string" || !ObjectId.isValid( value ) ) return null;
+    return new ObjectId( value );
+};
+
+export const serializeJob = ( job ) => ( {
+    id: job._id.toString(),
+    issueNumber: job.issueNumber,
+    volumeNumber: job.volumeNumber,
+    section: job.section ?? DEFAULT_SECTION,
+    issueDate: job.issueDate ?? null,
+    status: job.status,
+    totalChunks: job.totalChunks ?? null,
+    completedChunks: job.completedChunks ?? 0,
+    attempts: job.attempts ?? 0,
+    error: job.error ?? null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt ?? null
+} );
+
+/**
+ * Queue a summarization job for an issue section. Returns the already active job for that section,
+ * if any, so reopening the page reattaches to the running job instead of starting a second one;
+ * a partial unique index keeps two concurrent requests from both inserting one.
+ */
+export async function enqueueSummaryJob( db, { issueNumber, volumeNumber, section = DEFAULT_SECTION, pdfUrl, issueDate = null }, { source = "user" } = {} ) {
+    await ensureIndexes( db, JOB_COLLECTION, INDEXES );
+    const now = new Date();
+    const activeFilter = { issueNumber, volumeNumber, section, status: { $in: ACTIVE_STATUSES } };
+    try {
+        return await db.collection( JOB_COLLECTION ).findOneAndUpdate(
+            activeFilter,
+            {
+                $setOnInsert: {
+                    issueNumber,
+                    volumeNumber,
+                    section,
+                    pdfUrl,
+                    issueDate,
+                    source,
+                    status: "queued",
+                    totalChunks: null,
+                    completedChunks: 0,
+                    attempts: 0,
+                    error: null,
+                    lockedUntil: null,
+                    createdAt: now,
+                    updatedAt: now
+                }
+            },
+            { upsert: true, returnDocument: "after" }
+        );
+    } catch ( error ) {
+        // Another request inserted the section's job between this one's lookup and insert
+        if ( error.code !== DUPLICATE_KEY_ERROR ) throw error;
+        return db.collection( JOB_COLLECTION ).findOne( activeFilter );
+    }
+}
+
+export async function getSummaryJob( db, jobId ) {
+    const id = toJobId( jobId );
+    if ( !id ) return null;
+    return db.collection( JOB_COLLECTION ).findOne( { _id: id } );
+}
+
+// A job can be picked up when it is waiting, or when its worker's lease ran out mid-run
+const claimableFilter = ( now ) => ( {
+    $or: [
+        { status: "queued" },
+        { status: "running", lockedUntil: { $lt: now } }
+    ]
+} );
+
+export const isJobClaimable = ( job, now = new Date() ) =>
+    job?.status === "queued" || ( job?.status === "running" && job.lockedUntil < now );
+
+async function claimSummaryJob( db, filter = {} ) {
+    const now = new Date();
+    return db.collection( JOB_COLLECTION ).findOneAndUpdate(
+        { ...filter, ...claimableFilter( now ) },
+        {
+            $set: { status: "running", lockedUntil: leaseExpiry(), startedAt: now, updatedAt: now }
+        },
+        { sort: { createdAt: 1 }, returnDocument: "after" }
+    );
+}
+
+async function executeSummaryJob( db, job ) {
+    const jobs = db.collection( JOB_COLLECTION );
+    const touch = ( fields ) => jobs.updateOne(
+        { _id: job._id },
+        { $set: { ...fields, lockedUntil: leaseExpiry(), updatedAt: new Date() } }
+    );
+
+    let summarizedChunks = 0;
+
+    try {
+        await summarizeIssue( db, job, {
+            onStart: ( { totalChunks } ) => touch( { totalChunks } ),
+            onChunk: ( { completed, cached } ) => {
+                if ( !cached ) summarizedChunks += 1;
+                return touch( { completedChunks: completed } );
+            }
+        } );
+
+        await jobs.updateOne(
+            { _id: job._id },
+            { $set: { status: "completed", error: null, lockedUntil: null, finishedAt: new Date(), updatedAt: new Date() } }
+        );
+        return { status: "completed", summarizedChunks };
+    } catch ( error ) {
+        // Finished chunks stay cached, so a retry resumes after the last one
+        const attempts = ( job.attempts ?? 0 ) + 1;
+        const status = attempts >= MAX_ATTEMPTS ? "failed" : "queued";
+        console.error( `❌ Summary job ${ job._id } failed (attempt ${ attempts }):`, error.message );
+        await jobs.updateOne(
+            { _id: job._id },
+            {
+                $set: {
+                    status,
+                    attempts,
+                    error: error.message,
+                    lockedUntil: null,
+                    updatedAt: new Date(),
+                    ...( status === "failed" ? { finishedAt: new Date() } : {} )
+                }
+            }
+        );
+        return { status, summarizedChunks };
+    }
+}
+
+/**
+ * Claim and run one specific job. Resolves to null when another worker already holds it,
+ * otherwise to the final status and how many chunks needed a fresh summary.
+ */
+export async function runSummaryJob( db, jobId ) {
+    const id = toJobId( jobId );
+    if ( !id ) return null;
+
+    const job = await claimSummaryJob( db, { _id: id } );
+    if ( !job ) return null;
+
+    return executeSummaryJob( db, job );
+}
+
+/**
+ * Work through the queue oldest first, including jobs whose worker crashed.
+ * `maxChunks` caps freshly summarized chunks; it is checked between jobs, so the last job
+ * may overshoot it by its own size.
+ */
+export async function processSummaryJobs( db, { maxJobs = 1, maxChunks = Infinity, filter = {} } = {} ) {
+    const results = [];
+    let chunksUsed = 0;
+
+    while ( results.length < maxJobs && chunksUsed < maxChunks ) {
+        const job = await claimSummaryJob( db, filter );
+        if ( !job ) break;
+
+        const { status, summarizedChunks } = await executeSummaryJob( db, job );
+        chunksUsed += summarizedChunks;
+        results.push( { id: job._id.toString(), issueNumber: job.issueNumber, volumeNumber: job.volumeNumber, section: job.section, status, summarizedChunks } );
+    }
+
+    return results;
+}
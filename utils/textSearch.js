@@ -0,0 +1,54 @@
+import { ensureIndexes } from "./mongoIndexes";
+import { SECTION_KEYS, sectionSummaryPath } from "./recordSections";
+
+const COLLECTION_NAME = "summaries";
+// Rank constant from the original reciprocal-rank fusion paper; dampens the gap between top ranks
+const RRF_K = 60;
+
+const summaryTextFields = Object.keys( SECTION_KEYS ).flatMap( ( section ) => [
+    [ sectionSummaryPath( section ), 1 ],
+    [ sectionSummaryPath( section, "executiveSummary" ), 2 ],
+    [ sectionSummaryPath( section, "extraction.topics" ), 2 ]
+] );
+
+// MongoDB allows one text index per collection, so it covers every section's summary
+const INDEXES = [
+    {
+        key: Object.fromEntries( summaryTextFields.map( ( [ field ] ) => [ field, "text" ] ) ),
+        weights: Object.fromEntries( summaryTextFields ),
+        name: "summaries_text",
+        default_language: "english"
+    }
+];
+
+/**
+ * Issues whose summaries match a MongoDB `$text` search within `filter`, best first, with the
+ * text score as `score`.
+ */
+export async function searchSummaryText( db, search, filter = {}, { limit = 200 } = {} ) {
+    await ensureIndexes( db, COLLECTION_NAME, INDEXES );
+    return db.collection( COLLECTION_NAME )
+        .find( { $and: [ filter, { $text: { $search: search } } ] }, { projection: { score: { $meta: "textScore" } } } )
+        .sort( { score: { $meta: "textScore" } } )
+        .limit( limit )
+        .toArray();
+}
+
+/**
+ * Fuse ranked lists into one score per key: the sum of 1 / (k + rank) over every list the key
+ * appears in. Rewards items several rankers agree on without comparing their raw scores.
+ */
+export const reciprocalRankFusion = ( rankings, getKey ) => {
+    const scores = new Map();
+    for ( const ranking of rankings ) {
+        const seen = new Set();
+        for ( const item of ranking ) {
+            const key = getKey( item );
+            // Only an item's best rank in each list counts, and duplicates do not push others down
+            if ( seen.has( key ) ) continue;
+            seen.add( key );
+            scores.set( key, ( scores.get( key ) ?? 0 ) + 1 / ( RRF_K + seen.size ) );
+        }
+    }
+    return scores;
+};
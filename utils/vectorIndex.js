@@ -0,0 +1,408 @@
+import { createEmbedding, embeddingFields, getEmbeddingDimensions, getEmbeddingModel, hasCurrentEmbedding, sectionEmbeddingFields } from "./embeddings";
+import { ensureIndexes } from "./mongoIndexes";
+import { SECTION_KEYS, chunkSection, getSectionSummary, issueVariantsFilter, sectionSummaryPath } from "./recordSections";
+
+const COLLECTION_NAME = "summaryVectors";
+const SUMMARIES_COLLECTION = "summaries";
+const CHUNK_COLLECTION = "chunkSummaries";
+const INDEXES = [
+    { key: { updatedAt: 1 } },
+    { key: { volumeNumber: 1, issueNumber: 1, section: 1, kind: 1 } },
+    { key: { model: 1 } }
+];
+
+// "summary" vectors embed a whole section summary, which the embedding input limit truncates;
+// "chunk" vectors embed each chunk summary, so passages late in a long day are searchable too
+export const VECTOR_KINDS = [ "summary", "chunk" ];
+
+// Set on Atlas to the name of a vectorSearch index over `summaryVectors`; self-hosted Mongo
+// has no $vectorSearch, so without it search runs against an in-process index instead
+const ATLAS_INDEX_NAME = process.env.VECTOR_SEARCH_INDEX || null;
+const ATLAS_CANDIDATE_MULTIPLIER = 10;
+
+// One vector per issue section or chunk, whichever issueNumber type the summary was stored under
+const vectorId = ( { volumeNumber, issueNumber, section, chunkIndex = null } ) =>
+    `${ Number( volumeNumber ) }-${ Number( issueNumber ) }:${ section }${ chunkIndex === null ? "" : `:${ chunkIndex }` }`;
+
+// Vectors written before their length was recorded carry only the embedding itself
+const vectorLength = { $ifNull: [ "$dimensions", { $size: { $ifNull: [ "$embedding", [] ] } } ] };
+
+/**
+ * Matches vectors that did not come from the configured embedding model at its configured length.
+ */
+export const outdatedVectorFilter = () => ( {
+    $expr: { $or: [ { $ne: [ "$model", getEmbeddingModel() ] }, { $ne: [ vectorLength, getEmbeddingDimensions() ] } ] }
+} );
+
+// issueDate is stored as congress.gov's string; vector filters need a real date to range over
+const toIssuedAt = ( issueDate ) => {
+    const date = issueDate ? new Date( issueDate ) : null;
+    return date && !Number.isNaN( date.getTime() ) ? date : null;
+};
+
+const writeVector = async ( db, { volumeNumber, issueNumber, section, issueDate }, fields, embedding ) => {
+    await ensureIndexes( db, COLLECTION_NAME, INDEXES );
+    const vector = { volumeNumber: Number( volumeNumber ), issueNumber: Number( issueNumber ), section, ...fields };
+    await db.collection( COLLECTION_NAME ).replaceOne(
+        { _id: vectorId( vector ) },
+        {
+            ...vector,
+            issueDate: issueDate ?? null,
+            issuedAt: toIssuedAt( issueDate ),
+            model: getEmbeddingModel(),
+            dimensions: embedding.length,
+            embedding,
+            updatedAt: new Date()
+        },
+        { upsert: true }
+    );
+};
+
+/**
+ * Store the embedding of one issue section's summary in the vector index.
+ */
+export const upsertSummaryVector = ( db, issue, embedding ) =>
+    writeVector( db, issue, { kind: "summary" }, embedding );
+
+/**
+ * Store the embedding of one chunk summary, with the pages it covers, in the vector index.
+ */
+export const upsertChunkVector = ( db, issue, chunk, embedding ) =>
+    writeVector( db, issue, {
+        kind: "chunk",
+        chunkIndex: chunk.chunkIndex,
+        pdfPageStart: chunk.pdfPageStart ?? null,
+        pdfPageEnd: chunk.pdfPageEnd ?? null,
+        recordPageStart: chunk.recordPageStart ?? null,
+        recordPageEnd: chunk.recordPageEnd ?? null
+    }, embedding );
+
+/**
+ * Drop chunk vectors past the end of a section that was re-chunked into fewer chunks.
+ */
+export async function pruneChunkVectors( db, { volumeNumber, issueNumber, section }, chunkCount ) {
+    await db.collection( COLLECTION_NAME ).deleteMany( {
+        volumeNumber: Number( volumeNumber ),
+        issueNumber: Number( issueNumber ),
+        section,
+        kind: "chunk",
+        chunkIndex: { $gte: chunkCount }
+    } );
+    forgetLocalVectors( ( meta ) =>
+        meta.kind === "chunk" &&
+        meta.volumeNumber === Number( volumeNumber ) &&
+        meta.issueNumber === Number( issueNumber ) &&
+        meta.section === section &&
+        meta.chunkIndex >= chunkCount
+    );
+}
+
+const buildSearchIndexDefinition = () => ( {
+    fields: [
+        { type: "vector", path: "embedding", numDimensions: getEmbeddingDimensions(), similarity: "cosine" },
+        { type: "filter", path: "kind" },
+        { type: "filter", path: "section" },
+        { type: "filter", path: "issuedAt" },
+        { type: "filter", path: "volumeNumber" },
+        { type: "filter", path: "model" }
+    ]
+} );
+
+/**
+ * Create the Atlas vectorSearch index when one is configured, or update it when the embedding
+ * model's dimensions or the filter fields changed. Filter fields mirror what
+ * `searchSummaryVectors` narrows on.
+ */
+export async function ensureVectorSearchIndex( db ) {
+    if ( !ATLAS_INDEX_NAME ) return false;
+    const collection = db.collection( COLLECTION_NAME );
+    const definition = buildSearchIndexDefinition();
+    const [ existing ] = await collection.listSearchIndexes( ATLAS_INDEX_NAME ).toArray();
+    if ( !existing ) {
+        await collection.createSearchIndex( { name: ATLAS_INDEX_NAME, type: "vectorSearch", definition } );
+        return true;
+    }
+
+    const fieldKey = ( field ) => `${ field.type }:${ field.path }:${ field.numDimensions ?? "" }`;
+    const existingFields = new Set( ( existing.latestDefinition?.fields ?? [] ).map( fieldKey ) );
+    if ( definition.fields.every( ( field ) => existingFields.has( fieldKey( field ) ) ) ) return false;
+    await collection.updateSearchIndex( ATLAS_INDEX_NAME, definition );
+    return true;
+}
+
+const buildIssuedAtRange = ( { startDate, endDate } ) => {
+    const range = {};
+    if ( startDate ) range.$gte = new Date( `${ startDate }T00:00:00Z` );
+    if ( endDate ) range.$lte = new Date( `${ endDate }T23:59:59.999Z` );
+    return Object.keys( range ).length > 0 ? range : null;
+};
+
+const searchAtlas = async ( db, queryEmbedding, { kind, sections, startDate, endDate, volumeNumber, limit } ) => {
+    const filter = { kind, section: { $in: sections }, model: getEmbeddingModel() };
+    const issuedAt = buildIssuedAtRange( { startDate, endDate } );
+    if ( issuedAt ) filter.issuedAt = issuedAt;
+    if ( volumeNumber ) filter.volumeNumber = Number( volumeNumber );
+
+    return db.collection( COLLECTION_NAME ).aggregate( [
+        {
+            $vectorSearch: {
+                index: ATLAS_INDEX_NAME,
+                path: "embedding",
+                queryVector: queryEmbedding,
+                numCandidates: limit * ATLAS_CANDIDATE_MULTIPLIER,
+                limit,
+                filter
+            }
+        },
+        { $project: { embedding: 0, similarity: { $meta: "vectorSearchScore" } } }
+    ] ).toArray();
+};
+
+// Bounded fallback for small deployments without Atlas; it is not an approximate nearest-neighbour
+// index. Every search scans all held vectors, and a cold process first loads them all from Mongo.
+// Only vectors from the configured model are held, each quantized to one signed byte per
+// dimension: a 1536-dimension vector takes 1.5 KB, so the default LOCAL_VECTOR_LIMIT of 20,000
+// needs about 30 MB. Each search tops the index up with whatever was written since the last one;
+// deletions, which leave nothing to find by `updatedAt`, are caught by comparing ids every
+// RECONCILE_INTERVAL_MS. A corpus larger than the limit belongs on Atlas: set VECTOR_SEARCH_INDEX
+// and search goes through `$vectorSearch` instead.
+const LOCAL_VECTOR_LIMIT = Number.parseInt( process.env.LOCAL_VECTOR_LIMIT ?? "", 10 ) || 20000;
+const RECONCILE_INTERVAL_MS = 5 * 60 * 1000;
+const QUANTIZE_SCALE = 127;
+const localIndex = { entries: new Map(), syncedAt: null, reconciledAt: 0, syncing: null, overLimit: false };
+
+const normalize = ( embedding ) => {
+    const vector = Float32Array.from( embedding );
+    let norm = 0;
+    for ( let i = 0; i < vector.length; i++ ) norm += vector[ i ] * vector[ i ];
+    norm = Math.sqrt( norm );
+    if ( norm === 0 ) return null;
+    for ( let i = 0; i < vector.length; i++ ) vector[ i ] /= norm;
+    return vector;
+};
+
+const quantize = ( embedding ) => {
+    const vector = normalize( embedding );
+    return vector ? Int8Array.from( vector, ( value ) => Math.round( value * QUANTIZE_SCALE ) ) : null;
+};
+
+const forgetLocalVectors = ( predicate ) => {
+    for ( const [ id, { meta } ] of localIndex.entries ) {
+        if ( predicate( meta ) ) localIndex.entries.delete( id );
+    }
+};
+
+// Drop whatever another process deleted since the index was loaded
+const reconcileLocalIndex = async ( db ) => {
+    const ids = new Set();
+    const cursor = db.collection( COLLECTION_NAME ).find( { model: getEmbeddingModel() }, { projection: { _id: 1 } } );
+    for await ( const { _id } of cursor ) ids.add( _id );
+    for ( const id of localIndex.entries.keys() ) {
+        if ( !ids.has( id ) ) localIndex.entries.delete( id );
+    }
+};
+
+const syncLocalIndex = ( db ) => {
+    if ( !localIndex.syncing ) {
+        localIndex.syncing = ( async () => {
+            const startedAt = new Date();
+            const dimensions = getEmbeddingDimensions();
+            const filter = { model: getEmbeddingModel() };
+            if ( localIndex.syncedAt ) filter.updatedAt = { $gt: localIndex.syncedAt };
+            const cursor = db.collection( COLLECTION_NAME ).find( filter );
+            for await ( const { embedding, ...meta } of cursor ) {
+                const vector = embedding?.length === dimensions ? quantize( embedding ) : null;
+                if ( !vector ) {
+                    localIndex.entries.delete( meta._id );
+                    continue;
+                }
+                if ( !localIndex.entries.has( meta._id ) && localIndex.entries.size >= LOCAL_VECTOR_LIMIT ) {
+                    localIndex.overLimit = true;
+                    continue;
+                }
+                localIndex.entries.set( meta._id, { meta, vector } );
+            }
+            if ( localIndex.overLimit ) {
+                console.error( `❌ The in-process vector index is full at ${ LOCAL_VECTOR_LIMIT } vectors and leaves the rest out of search; set VECTOR_SEARCH_INDEX to search the whole corpus on Atlas` );
+            }
+            if ( startedAt.getTime() - localIndex.reconciledAt > RECONCILE_INTERVAL_MS ) {
+                if ( localIndex.syncedAt ) await reconcileLocalIndex( db );
+                localIndex.reconciledAt = startedAt.getTime();
+            }
+            // Writes that land while the cursor runs are picked up on the next sync
+            localIndex.syncedAt = new Date( startedAt.getTime() - 1000 );
+        } )().finally( () => {
+            localIndex.syncing = null;
+        } );
+    }
+    return localIndex.syncing;
+};
+
+const searchLocal = async ( db, queryEmbedding, { kind, sections, startDate, endDate, volumeNumber, limit } ) => {
+    await syncLocalIndex( db );
+    const query = normalize( queryEmbedding );
+    if ( !query ) return [];
+
+    const issuedAt = buildIssuedAtRange( { startDate, endDate } );
+    const matches = [];
+    for ( const { meta, vector } of localIndex.entries.values() ) {
+        if ( meta.kind !== kind || !sections.includes( meta.section ) ) continue;
+        if ( volumeNumber && meta.volumeNumber !== Number( volumeNumber ) ) continue;
+        if ( issuedAt && ( !meta.issuedAt || ( issuedAt.$gte && meta.issuedAt < issuedAt.$gte ) || ( issuedAt.$lte && meta.issuedAt > issuedAt.$lte ) ) ) continue;
+        if ( vector.length !== query.length ) continue;
+
+        let dot = 0;
+        for ( let i = 0; i < query.length; i++ ) dot += query[ i ] * vector[ i ];
+        matches.push( { ...meta, similarity: dot / QUANTIZE_SCALE } );
+    }
+
+    matches.sort( ( a, b ) => b.similarity - a.similarity );
+    return matches.slice( 0, limit );
+};
+
+/**
+ * The issue sections (or, with `kind: "chunk"`, the chunks) whose summaries sit closest to a
+ * query embedding, best first, as `{ volumeNumber, issueNumber, section, issueDate, similarity }`
+ * plus `chunkIndex` and page ranges for chunks. Only vectors from the configured embedding model
+ * are compared; `getEmbeddingCoverage` reports how many others are left out.
+ */
+export async function searchSummaryVectors( db, queryEmbedding, { kind = "summary", sections, startDate = null, endDate = null, volumeNumber = null, limit = 200 } ) {
+    const options = { kind, sections, startDate, endDate, volumeNumber, limit };
+    return ATLAS_INDEX_NAME ? searchAtlas( db, queryEmbedding, options ) : searchLocal( db, queryEmbedding, options );
+}
+
+// Spends one unit of the run's embedding budget, or reports the item as left for the next run
+const embedWithinBudget = async ( result, maxEmbeddings, text ) => {
+    if ( result.embedded >= maxEmbeddings ) {
+        result.remaining += 1;
+        return null;
+    }
+    const embedding = await createEmbedding( text );
+    if ( embedding ) {
+        result.embedded += 1;
+    } else {
+        result.remaining += 1;
+    }
+    return embedding;
+};
+
+const backfillSections = async ( db, indexed, result, maxEmbeddings ) => {
+    const sections = Object.keys( SECTION_KEYS );
+    const projection = Object.fromEntries( [ "volumeNumber", "issueNumber", "issueDate", "summary", "summaryEmbedding", "summaryEmbeddingModel", "sectionSummaries" ].map( ( field ) => [ field, 1 ] ) );
+    const cursor = db.collection( SUMMARIES_COLLECTION ).find(
+        { $or: sections.map( ( section ) => ( { [ sectionSummaryPath( section ) ]: { $exists: true, $ne: "" } } ) ) },
+        { projection }
+    );
+
+    for await ( const record of cursor ) {
+        for ( const section of sections ) {
+            const sectionSummary = getSectionSummary( record, section );
+            const issue = { volumeNumber: record.volumeNumber, issueNumber: record.issueNumber, section, issueDate: record.issueDate };
+            if ( !sectionSummary?.summary || indexed.has( vectorId( issue ) ) ) continue;
+
+            let embedding = sectionSummary.summaryEmbedding ?? null;
+            if ( embedding && !hasCurrentEmbedding( sectionSummary, "summaryEmbedding" ) ) {
+                result.outdated += 1;
+                continue;
+            }
+            if ( !embedding ) {
+                embedding = await embedWithinBudget( result, maxEmbeddings, sectionSummary.summary );
+                if ( !embedding ) continue;
+                await db.collection( SUMMARIES_COLLECTION ).updateOne(
+                    { _id: record._id },
+                    { $set: sectionEmbeddingFields( section, embedding ) }
+                );
+            }
+
+            await upsertSummaryVector( db, issue, embedding );
+            indexed.add( vectorId( issue ) );
+            result.indexed += 1;
+        }
+    }
+};
+
+const backfillChunks = async ( db, indexed, result, maxEmbeddings ) => {
+    const issueDates = new Map();
+    const cursor = db.collection( CHUNK_COLLECTION ).find(
+        { summary: { $exists: true, $ne: "" }, stale: { $ne: true } },
+        { projection: { extraction: 0 } }
+    );
+
+    for await ( const chunk of cursor ) {
+        const section = chunkSection( chunk );
+        const issueKey = `${ chunk.volumeNumber }-${ chunk.issueNumber }`;
+        if ( !issueDates.has( issueKey ) ) {
+            const issue = await db.collection( SUMMARIES_COLLECTION ).findOne(
+                issueVariantsFilter( chunk ),
+                { projection: { issueDate: 1 } }
+            );
+            issueDates.set( issueKey, issue?.issueDate ?? null );
+        }
+        const issue = { volumeNumber: chunk.volumeNumber, issueNumber: chunk.issueNumber, section, issueDate: issueDates.get( issueKey ) };
+        if ( indexed.has( vectorId( { ...issue, chunkIndex: chunk.chunkIndex } ) ) ) continue;
+
+        let embedding = chunk.embedding ?? null;
+        if ( embedding && !hasCurrentEmbedding( chunk, "embedding" ) ) {
+            result.outdated += 1;
+            continue;
+        }
+        if ( !embedding ) {
+            embedding = await embedWithinBudget( result, maxEmbeddings, chunk.summary );
+            if ( !embedding ) continue;
+            await db.collection( CHUNK_COLLECTION ).updateOne( { _id: chunk._id }, { $set: embeddingFields( "embedding", embedding ) } );
+        }
+
+        await upsertChunkVector( db, issue, chunk, embedding );
+        result.indexed += 1;
+    }
+};
+
+/**
+ * Index every summarized issue section and chunk that is not in the vector index yet. Embeddings
+ * already stored on the summary or chunk are reused; at most `maxEmbeddings` new ones are
+ * requested per run, so a large corpus is backfilled over several calls. Embeddings from another
+ * model are counted as `outdated` and left to `reembedCorpus`.
+ */
+export async function backfillSummaryVectors( db, { maxEmbeddings = 200 } = {} ) {
+    await ensureIndexes( db, COLLECTION_NAME, INDEXES );
+    await ensureVectorSearchIndex( db );
+
+    // Vectors written before chunks were indexed carry no kind, and vectors from another model are
+    // not searched; rewrite both from the stored embedding when it is current
+    const indexed = new Set( await db.collection( COLLECTION_NAME ).distinct( "_id", {
+        kind: { $in: VECTOR_KINDS },
+        model: getEmbeddingModel(),
+        $expr: { $eq: [ vectorLength, getEmbeddingDimensions() ] }
+    } ) );
+    const result = { indexed: 0, embedded: 0, remaining: 0, outdated: 0 };
+    await backfillSections( db, indexed, result, maxEmbeddings );
+    await backfillChunks( db, indexed, result, maxEmbeddings );
+
+    return result;
+}
+
+/**
+ * How the vector index splits between the configured embedding model and any other, as
+ * `{ model, dimensions, compatible, incompatible, models: [ { model, dimensions, count } ] }`.
+ * Incompatible vectors are left out of every search until `reembedCorpus` replaces them.
+ */
+export async function getEmbeddingCoverage( db ) {
+    const model = getEmbeddingModel();
+    const dimensions = getEmbeddingDimensions();
+    const counts = await db.collection( COLLECTION_NAME )
+        .aggregate( [
+            { $group: { _id: { model: "$model", dimensions: vectorLength }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+        ] )
+        .toArray();
+    const compatible = counts.find( ( entry ) => entry._id.model === model && entry._id.dimensions === dimensions )?.count ?? 0;
+    const total = counts.reduce( ( sum, entry ) => sum + entry.count, 0 );
+
+    return {
+        model,
+        dimensions,
+        compatible,
+        incompatible: total - compatible,
+        models: counts.map( ( entry ) => ( { model: entry._id.model ?? null, dimensions: entry._id.dimensions, count: entry.count } ) )
+    };
+}
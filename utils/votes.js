@@ -0,0 +1,79 @@
+import { ensureIndexes } from "./mongoIndexes";
+import { issueVariantsFilter } from "./recordSections";
+import { parseRollCallVotes } from "./rollCallVotes";
+
+const COLLECTION_NAME = "votes";
+const INDEXES = [
+    { key: { volumeNumber: 1, issueNumber: 1, section: 1 } },
+    { key: { billKey: 1, congress: 1, issueDate: -1 } },
+    { key: { congress: 1, chamber: 1, rollNumber: 1 } }
+];
+
+/**
+ * Replace the roll-call votes stored for one issue section with those parsed from its pages.
+ */
+export async function indexVotes( db, { issueNumber, volumeNumber, congress, issueDate, section, pdfUrl }, pages ) {
+    await ensureIndexes( db, COLLECTION_NAME, INDEXES );
+    const collection = db.collection( COLLECTION_NAME );
+
+    const indexedAt = new Date();
+    const votes = parseRollCallVotes( pages ).map( ( vote ) => ( {
+        ...vote,
+        congress,
+        volumeNumber,
+        issueNumber,
+        issueDate,
+        section,
+        pdfUrl,
+        indexedAt
+    } ) );
+
+    await collection.deleteMany( { volumeNumber, issueNumber, section } );
+    if ( votes.length > 0 ) {
+        await collection.insertMany( votes );
+    }
+
+    return votes.length;
+}
+
+// A roll call indexed through both the whole issue and its chamber section is the same vote
+const dedupeVotes = ( votes ) => {
+    const seen = new Set();
+    return votes.filter( ( vote ) => {
+        const key = `${ vote.volumeNumber }-${ vote.issueNumber }|${ vote.chamber }|${ vote.rollNumber }`;
+        if ( seen.has( key ) ) return false;
+        seen.add( key );
+        return true;
+    } );
+};
+
+/**
+ * Recorded votes for one issue (`volumeNumber` and `issueNumber`) or on one bill (`billKey`),
+ * in the order they were taken. Bill numbers restart every Congress, so a bill's votes are those
+ * in `congress`; without one, the most recent Congress that voted on it is used. Returns that
+ * Congress (null for an issue's votes), every Congress that voted on a bill of this number (most
+ * recent first), and the votes.
+ */
+export async function findVotes( db, { volumeNumber = null, issueNumber = null, billKey = null, congress = null, chamber = null, limit = 200 } ) {
+    await ensureIndexes( db, COLLECTION_NAME, INDEXES );
+    const collection = db.collection( COLLECTION_NAME );
+    const congresses = billKey
+        ? ( await collection.distinct( "congress", { "bills.key": billKey } ) ).filter( ( value ) => value != null ).sort( ( a, b ) => b - a )
+        : [];
+    const resolvedCongress = congress ?? congresses[ 0 ] ?? null;
+    if ( billKey && !resolvedCongress ) return { congress: null, congresses, votes: [] };
+
+    const filter = {};
+    if ( volumeNumber && issueNumber ) Object.assign( filter, issueVariantsFilter( { volumeNumber, issueNumber } ) );
+    if ( billKey ) filter[ "bills.key" ] = billKey;
+    if ( resolvedCongress ) filter.congress = resolvedCongress;
+    if ( chamber ) filter.chamber = chamber;
+
+    const votes = await collection
+        .find( filter, { projection: { indexedAt: 0 } } )
+        .sort( { issueDate: -1, chamber: 1, rollNumber: 1 } )
+        .limit( limit * 2 )
+        .toArray();
+
+    return { congress: resolvedCongress, congresses, votes: dedupeVotes( votes ).slice( 0, limit ) };
+}